@@ -43,28 +43,58 @@ document.addEventListener("alpine:init", () => {
     },
   });
 
-  // User store
+  // User store, backed by the server-side session
   Alpine.store("user", {
     isAuthenticated: false,
     userData: null,
 
-    login(userData) {
+    async login(username, password) {
+      const response = await fetch("/api/auth/login", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({ username, password }),
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new Error(data.error || "Login failed");
+      }
+
       this.isAuthenticated = true;
-      this.userData = userData;
-      localStorage.setItem("user", JSON.stringify(userData));
+      this.userData = data.user;
+      return data.user;
     },
 
-    logout() {
+    can(permission) {
+      return !!this.userData?.permissions?.includes(permission);
+    },
+
+    async logout() {
+      await fetch("/api/auth/logout", {
+        method: "POST",
+        credentials: "include",
+      }).catch(() => {});
+
       this.isAuthenticated = false;
       this.userData = null;
-      localStorage.removeItem("user");
+      window.location.href = "/login";
     },
 
-    init() {
-      const savedUser = localStorage.getItem("user");
-      if (savedUser) {
-        this.userData = JSON.parse(savedUser);
-        this.isAuthenticated = true;
+    async init() {
+      // Left over from when the user was kept in localStorage
+      localStorage.removeItem("user");
+
+      try {
+        const response = await fetch("/api/auth/session", {
+          credentials: "include",
+        });
+        const session = await response.json();
+        this.isAuthenticated = session.authenticated;
+        this.userData = session.user;
+      } catch (error) {
+        this.isAuthenticated = false;
+        this.userData = null;
       }
     },
   });
@@ -163,23 +193,50 @@ const Utils = {
     };
   },
 
-  // Validate IP address
+  // Validate IPv4 or IPv6 address, optionally in CIDR notation
   isValidIP(ip) {
-    const regex = /^(\d{1,3}\.){3}\d{1,3}(\/\d{1,2})?$/;
-    if (!regex.test(ip)) return false;
+    if (typeof ip !== "string") return false;
+
+    const [address, prefix, ...rest] = ip.split("/");
+    if (rest.length > 0) return false;
+    if (prefix !== undefined && !/^\d{1,3}$/.test(prefix)) return false;
 
-    const parts = ip.split(/[./]/);
-    for (let i = 0; i < 4; i++) {
-      const num = parseInt(parts[i]);
-      if (num < 0 || num > 255) return false;
+    if (/^(\d{1,3}\.){3}\d{1,3}$/.test(address)) {
+      const octetsValid = address
+        .split(".")
+        .every((part) => parseInt(part) <= 255);
+      return octetsValid && (prefix === undefined || parseInt(prefix) <= 32);
     }
 
-    if (parts[4]) {
-      const cidr = parseInt(parts[4]);
-      if (cidr < 0 || cidr > 32) return false;
+    return (
+      this.isValidIPv6(address) &&
+      (prefix === undefined || parseInt(prefix) <= 128)
+    );
+  },
+
+  isValidIPv6(address) {
+    if (!/^[0-9a-fA-F:.]+$/.test(address) || !address.includes(":")) {
+      return false;
     }
 
-    return true;
+    // A trailing dotted IPv4 takes the place of the last two groups
+    let groups = address;
+    const dotted = address.match(/:(\d{1,3}(\.\d{1,3}){3})$/);
+    if (dotted) {
+      if (!this.isValidIP(dotted[1])) return false;
+      groups = address.slice(0, -dotted[1].length) + "0:0";
+    }
+
+    const halves = groups.split("::");
+    if (halves.length > 2) return false;
+
+    const parts = halves.map((half) => (half ? half.split(":") : []));
+    if (!parts.flat().every((part) => /^[0-9a-fA-F]{1,4}$/.test(part))) {
+      return false;
+    }
+
+    const count = parts.flat().length;
+    return halves.length === 2 ? count < 8 : count === 8;
   },
 
   // Validate port
@@ -260,10 +317,23 @@ const API = {
     try {
       const response = await fetch(url, { ...defaultOptions, ...options });
 
+      // Session expired: send the browser back through the login page
+      if (response.status === 401 && window.location.pathname !== "/login") {
+        const next = window.location.pathname + window.location.search;
+        window.location.href = `/login?next=${encodeURIComponent(next)}`;
+      }
+
       if (!response.ok) {
         const error = await response.json().catch(() => ({
           error: `HTTP ${response.status}: ${response.statusText}`,
         }));
+        // A flagged password has to be changed before anything else
+        if (
+          error.mustChangePassword &&
+          window.location.pathname !== "/settings"
+        ) {
+          window.location.href = "/settings";
+        }
         throw new Error(error.error || "Request failed");
       }
 
@@ -369,8 +439,43 @@ const API = {
   },
 
   // MTU Testing
-  async testMTU(data) {
-    return this.request("/mtu/test", {
+  async startMTUTest(data) {
+    return this.request("/mtu/tests", {
+      method: "POST",
+      body: JSON.stringify(data),
+    });
+  },
+
+  async getMTUTests(params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return this.request(`/mtu/tests${query ? "?" + query : ""}`);
+  },
+
+  async getMTUTest(id) {
+    return this.request(`/mtu/tests/${id}`);
+  },
+
+  // Returns the EventSource; the caller closes it after "done"
+  watchMTUTest(id, handlers = {}) {
+    const source = new EventSource(`${this.baseURL}/mtu/tests/${id}/events`);
+    for (const [event, handler] of Object.entries(handlers)) {
+      source.addEventListener(event, (e) => handler(JSON.parse(e.data)));
+    }
+    return source;
+  },
+
+  async cancelMTUTest(id) {
+    return this.request(`/mtu/tests/${id}`, {
+      method: "DELETE",
+    });
+  },
+
+  async compareMTUTests(id, otherId) {
+    return this.request(`/mtu/tests/${id}/compare/${otherId}`);
+  },
+
+  async discoverPathMTU(data) {
+    return this.request("/mtu/discover", {
       method: "POST",
       body: JSON.stringify(data),
     });
@@ -400,11 +505,39 @@ const API = {
     });
   },
 
+  // Rollback guard on profile changes
+  async getRollbackGuard(interfaceName) {
+    return this.request(`/servers/${interfaceName}/rollback-guard`);
+  },
+
+  async confirmProfileChange(interfaceName) {
+    return this.request(`/servers/${interfaceName}/rollback-guard/confirm`, {
+      method: "POST",
+    });
+  },
+
+  async rollbackProfileChange(interfaceName) {
+    return this.request(`/servers/${interfaceName}/rollback-guard/rollback`, {
+      method: "POST",
+    });
+  },
+
   // Statistics
   async getStats() {
     return this.request("/stats");
   },
 
+  // Traffic history: params are from, to (ISO dates) and granularity
+  async getServerTraffic(id, params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return this.request(`/servers/${id}/traffic${query ? "?" + query : ""}`);
+  },
+
+  async getPeerTraffic(id, params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return this.request(`/peers/${id}/traffic${query ? "?" + query : ""}`);
+  },
+
   async getHealth() {
     return this.request("/health");
   },
@@ -0,0 +1,56 @@
+const fs = require("fs");
+const path = require("path");
+const NftFirewall = require("./nftFirewall");
+const IptablesFirewall = require("./iptablesFirewall");
+const MockFirewall = require("./mockFirewall");
+
+let firewall = null;
+
+function hasCommand(command) {
+  const dirs = (process.env.PATH || "")
+    .split(path.delimiter)
+    .concat(["/usr/sbin", "/sbin"]);
+
+  return dirs.some((dir) => {
+    try {
+      fs.accessSync(path.join(dir, command), fs.constants.X_OK);
+      return true;
+    } catch {
+      return false;
+    }
+  });
+}
+
+// FIREWALL_BACKEND=nft|iptables picks a driver; by default nft when it is
+// installed, iptables otherwise. MOCK_FIREWALL=true (or MOCK_WIREGUARD=true)
+// keeps rules in memory.
+function createFirewall(options = {}) {
+  if (
+    process.env.MOCK_FIREWALL === "true" ||
+    process.env.MOCK_WIREGUARD === "true"
+  ) {
+    return new MockFirewall();
+  }
+
+  const backend =
+    process.env.FIREWALL_BACKEND || (hasCommand("nft") ? "nft" : "iptables");
+  if (backend === "iptables") {
+    return new IptablesFirewall(options);
+  }
+  return new NftFirewall(options);
+}
+
+function getFirewall() {
+  if (!firewall) {
+    firewall = createFirewall();
+  }
+  return firewall;
+}
+
+module.exports = {
+  createFirewall,
+  getFirewall,
+  NftFirewall,
+  IptablesFirewall,
+  MockFirewall,
+};
@@ -0,0 +1,170 @@
+const { run } = require("../../utils/exec");
+const { assertInterfaceName } = require("../../utils/validators");
+const {
+  chainName,
+  sysctls,
+  renderIptables,
+} = require("../../utils/firewallRules");
+
+const BINARIES = { 4: "iptables", 6: "ip6tables" };
+
+// Every chain the driver may have installed for an interface, hooked ones
+// before the peers chain they jump to
+function installedChains(interfaceName) {
+  return [4, 6].flatMap((family) => [
+    {
+      family,
+      table: "filter",
+      hook: "FORWARD",
+      chain: chainName(interfaceName),
+    },
+    {
+      family,
+      table: "filter",
+      hook: "INPUT",
+      chain: chainName(interfaceName, "-INPUT"),
+    },
+    {
+      family,
+      table: "filter",
+      hook: null,
+      chain: chainName(interfaceName, "-PEERS"),
+    },
+    {
+      family,
+      table: "nat",
+      hook: "POSTROUTING",
+      chain: chainName(interfaceName, "-NAT"),
+    },
+  ]);
+}
+
+// Fallback for hosts without nftables: filter chains hooked from FORWARD
+// and INPUT (plus a peers chain they jump to) and a nat chain hooked from
+// POSTROUTING per interface, in iptables and, for dual-stack servers, ip6tables.
+// Applying flushes and refills the chains; removing unhooks and deletes
+// them.
+class IptablesFirewall {
+  constructor(options = {}) {
+    this.name = "iptables";
+    this.run = options.run || run;
+  }
+
+  _iptables(family, table, args) {
+    return this.run(BINARIES[family], ["-w", "-t", table, ...args]);
+  }
+
+  preview(spec) {
+    const commands = [];
+
+    for (const { family, table, chain, hook, rules } of renderIptables(spec)) {
+      if (rules.length === 0) continue;
+      const command = `${BINARIES[family]} -t ${table}`;
+      commands.push(`${command} -N ${chain}`);
+      commands.push(`${command} -F ${chain}`);
+      rules.forEach((rule) =>
+        commands.push(`${command} -A ${chain} ${rule.join(" ")}`)
+      );
+      if (hook) {
+        commands.push(`${command} -I ${hook} 1 -j ${chain}`);
+      }
+    }
+
+    return {
+      backend: this.name,
+      sysctl: sysctls(spec).map(([key, value]) => `${key}=${value}`),
+      commands,
+    };
+  }
+
+  async apply(spec) {
+    for (const [key, value] of sysctls(spec)) {
+      await this.run("sysctl", ["-w", `${key}=${value}`]);
+    }
+
+    const chains = renderIptables(spec);
+
+    for (const { family, table, chain, hook, rules } of chains) {
+      if (rules.length === 0) continue;
+
+      try {
+        await this._iptables(family, table, ["-N", chain]);
+      } catch (error) {
+        if (!/already exists/i.test(error.message)) throw error;
+      }
+      await this._iptables(family, table, ["-F", chain]);
+
+      for (const rule of rules) {
+        await this._iptables(family, table, ["-A", chain, ...rule]);
+      }
+
+      if (!hook) continue;
+      try {
+        await this._iptables(family, table, ["-C", hook, "-j", chain]);
+      } catch {
+        await this._iptables(family, table, ["-I", hook, "1", "-j", chain]);
+      }
+    }
+
+    // Only once nothing refers to them any more, so a filter chain goes
+    // before the peers chain it jumps to
+    for (const { family, table, chain, hook, rules } of [...chains].reverse()) {
+      if (rules.length === 0) {
+        await this._removeChain(family, table, hook, chain);
+      }
+    }
+  }
+
+  async remove(interfaceName) {
+    for (const { family, table, hook, chain } of installedChains(
+      interfaceName
+    )) {
+      await this._removeChain(family, table, hook, chain);
+    }
+  }
+
+  // Missing chains and a missing ip6tables binary count as removed
+  async _removeChain(family, table, hook, chain) {
+    const ignoreMissing = (promise) =>
+      promise.catch((error) => {
+        if (
+          error.code !== "ENOENT" &&
+          !/No chain|does not exist|Bad rule|Couldn't load target/i.test(
+            error.message
+          )
+        ) {
+          throw error;
+        }
+      });
+
+    if (hook) {
+      await ignoreMissing(
+        this._iptables(family, table, ["-D", hook, "-j", chain])
+      );
+    }
+    await ignoreMissing(this._iptables(family, table, ["-F", chain]));
+    await ignoreMissing(this._iptables(family, table, ["-X", chain]));
+  }
+
+  async status(interfaceName) {
+    assertInterfaceName(interfaceName);
+    const rules = [];
+
+    for (const { family, table, chain } of installedChains(interfaceName)) {
+      try {
+        const { stdout } = await this._iptables(family, table, ["-S", chain]);
+        rules.push(stdout.trim());
+      } catch {
+        // Chain not installed
+      }
+    }
+
+    return {
+      interfaceName,
+      applied: rules.length > 0,
+      rules: rules.join("\n"),
+    };
+  }
+}
+
+module.exports = IptablesFirewall;
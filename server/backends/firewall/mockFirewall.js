@@ -0,0 +1,37 @@
+const { assertInterfaceName } = require("../../utils/validators");
+const NftFirewall = require("./nftFirewall");
+
+// Keeps the last applied ruleset per interface in memory; previews are the
+// nftables ones so they look like what a real host would load
+class MockFirewall {
+  constructor() {
+    this.name = "mock";
+    this.renderer = new NftFirewall();
+    this.applied = new Map();
+  }
+
+  preview(spec) {
+    return { ...this.renderer.preview(spec), backend: this.name };
+  }
+
+  async apply(spec) {
+    this.applied.set(spec.interfaceName, this.preview(spec));
+  }
+
+  async remove(interfaceName) {
+    assertInterfaceName(interfaceName);
+    this.applied.delete(interfaceName);
+  }
+
+  async status(interfaceName) {
+    assertInterfaceName(interfaceName);
+    const applied = this.applied.get(interfaceName);
+    return {
+      interfaceName,
+      applied: !!applied,
+      rules: applied ? applied.commands.join("\n") : "",
+    };
+  }
+}
+
+module.exports = MockFirewall;
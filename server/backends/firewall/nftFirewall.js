@@ -0,0 +1,62 @@
+const { run } = require("../../utils/exec");
+const { assertInterfaceName } = require("../../utils/validators");
+const {
+  tableName,
+  sysctls,
+  renderNftables,
+} = require("../../utils/firewallRules");
+
+// One `inet` table per interface, loaded with `nft -f -` so the whole
+// ruleset is swapped in a single transaction. `run` can be replaced to
+// capture the commands instead of executing them.
+class NftFirewall {
+  constructor(options = {}) {
+    this.name = "nft";
+    this.run = options.run || run;
+  }
+
+  preview(spec) {
+    return {
+      backend: this.name,
+      sysctl: sysctls(spec).map(([key, value]) => `${key}=${value}`),
+      commands: [`nft -f - <<'EOF'\n${renderNftables(spec)}EOF`],
+    };
+  }
+
+  async apply(spec) {
+    for (const [key, value] of sysctls(spec)) {
+      await this.run("sysctl", ["-w", `${key}=${value}`]);
+    }
+    await this.run("nft", ["-f", "-"], { input: renderNftables(spec) });
+  }
+
+  async remove(interfaceName) {
+    try {
+      await this.run("nft", [
+        "delete",
+        "table",
+        "inet",
+        tableName(interfaceName),
+      ]);
+    } catch (error) {
+      if (!/No such file|does not exist/i.test(error.message)) throw error;
+    }
+  }
+
+  async status(interfaceName) {
+    assertInterfaceName(interfaceName);
+    try {
+      const { stdout } = await this.run("nft", [
+        "list",
+        "table",
+        "inet",
+        tableName(interfaceName),
+      ]);
+      return { interfaceName, applied: true, rules: stdout };
+    } catch (error) {
+      return { interfaceName, applied: false, rules: "" };
+    }
+  }
+}
+
+module.exports = NftFirewall;
@@ -0,0 +1,24 @@
+const TcShaper = require("./tcShaper");
+const MockShaper = require("./mockShaper");
+
+let shaper = null;
+
+// MOCK_SHAPER=true (or MOCK_WIREGUARD=true) keeps shaping in memory
+function createShaper() {
+  if (
+    process.env.MOCK_SHAPER === "true" ||
+    process.env.MOCK_WIREGUARD === "true"
+  ) {
+    return new MockShaper();
+  }
+  return new TcShaper();
+}
+
+function getShaper() {
+  if (!shaper) {
+    shaper = createShaper();
+  }
+  return shaper;
+}
+
+module.exports = { createShaper, getShaper, TcShaper, MockShaper };
@@ -0,0 +1,88 @@
+const {
+  assertInterfaceName,
+  assertBandwidth,
+} = require("../../utils/validators");
+const { assertPeerIP, nextClassMinor } = require("./tcShaper");
+
+// In-memory stand-in for tc with the same interface and status shape, so
+// shaping can be exercised without root or an ifb module
+class MockShaper {
+  constructor() {
+    this.name = "mock";
+    this.interfaces = new Map();
+  }
+
+  async setup(interfaceName) {
+    assertInterfaceName(interfaceName);
+    if (!this.interfaces.has(interfaceName)) {
+      this.interfaces.set(interfaceName, new Map());
+    }
+  }
+
+  async teardown(interfaceName) {
+    assertInterfaceName(interfaceName);
+    this.interfaces.delete(interfaceName);
+  }
+
+  async setPeer(interfaceName, { ip, ip6 = null, download, upload }) {
+    const peers = this._shaped(interfaceName);
+    assertPeerIP(ip);
+    const limits = {
+      download: assertBandwidth(download),
+      upload: assertBandwidth(upload),
+    };
+
+    if (limits.download === 0 && limits.upload === 0) {
+      peers.delete(ip);
+      return;
+    }
+
+    let classId = peers.get(ip)?.classId;
+    if (!classId) {
+      const taken = Array.from(peers.values(), (peer) =>
+        parseInt(peer.classId.split(":")[1], 16)
+      );
+      classId = `1:${nextClassMinor(taken).toString(16)}`;
+    }
+    peers.set(ip, { ip6, classId, ...limits });
+  }
+
+  async removePeer(interfaceName, ip) {
+    assertPeerIP(ip);
+    this.interfaces.get(interfaceName)?.delete(ip);
+  }
+
+  async status(interfaceName) {
+    assertInterfaceName(interfaceName);
+    const peers = this.interfaces.get(interfaceName);
+    if (!peers) {
+      return { interfaceName, enabled: false, peers: [] };
+    }
+
+    return {
+      interfaceName,
+      enabled: true,
+      peers: Array.from(peers, ([ip, peer]) => ({
+        ip,
+        ...peer,
+        stats: {
+          downloadBytes: 0,
+          downloadDrops: 0,
+          uploadBytes: 0,
+          uploadDrops: 0,
+        },
+      })),
+    };
+  }
+
+  _shaped(interfaceName) {
+    assertInterfaceName(interfaceName);
+    const peers = this.interfaces.get(interfaceName);
+    if (!peers) {
+      throw new Error(`Cannot find device "${interfaceName}"`);
+    }
+    return peers;
+  }
+}
+
+module.exports = MockShaper;
@@ -0,0 +1,427 @@
+const { run } = require("../../utils/exec");
+const {
+  assertInterfaceName,
+  assertBandwidth,
+  isValidIPv4,
+  isValidIPv6,
+} = require("../../utils/validators");
+
+// Unclassified traffic bypasses shaping (HTB "default 0")
+const ROOT_HANDLE = "1:";
+// tc ties each filter priority to one protocol
+const FILTER_PRIO = { ip: "10", ipv6: "11" };
+
+// Class minors double as the fq_codel leaf's major handle, so 1 (the root
+// qdisc) and 0xffff (ingress) are never handed out
+const MIN_CLASS = 2;
+const MAX_CLASS = 0xfffe;
+
+function assertPeerIP(ip) {
+  if (!isValidIPv4(ip)) {
+    throw new Error(`Invalid peer address for shaping: ${JSON.stringify(ip)}`);
+  }
+  return ip;
+}
+
+function assertPeerIP6(ip6) {
+  if (ip6 && !isValidIPv6(ip6)) {
+    throw new Error(
+      `Invalid peer IPv6 address for shaping: ${JSON.stringify(ip6)}`
+    );
+  }
+  return ip6 || null;
+}
+
+// Lowest class minor not already taken on an interface
+function nextClassMinor(taken) {
+  const used = new Set(taken);
+  for (let minor = MIN_CLASS; minor <= MAX_CLASS; minor++) {
+    if (!used.has(minor)) return minor;
+  }
+  throw new Error("No free traffic classes left on this interface");
+}
+
+const classMinorOf = (classId) => parseInt(classId.split(":")[1], 16);
+
+// Ingress can't be shaped directly; it is redirected through an IFB device
+function ifbName(interfaceName) {
+  return `ifb${interfaceName}`;
+}
+
+async function ignoreMissing(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    if (
+      !/No such file|Cannot find|does not exist|not found/i.test(error.message)
+    ) {
+      throw error;
+    }
+  }
+}
+
+// Shapes peers with tc: download on the WireGuard interface's egress and
+// upload on the egress of its IFB twin, each peer in its own HTB class with
+// an fq_codel leaf, selected by flower filters on the peer's addresses.
+// Class ids are allocated per interface and keyed by the peer's IPv4
+// address, so applying the same peer twice replaces its class. `run` can
+// be replaced to capture the commands instead of executing them.
+class TcShaper {
+  constructor(options = {}) {
+    this.name = "tc";
+    this.run = options.run || run;
+    // interface -> Promise<Map of peer ip -> class minor>
+    this.classes = new Map();
+  }
+
+  async setup(interfaceName) {
+    assertInterfaceName(interfaceName);
+    const ifb = ifbName(interfaceName);
+
+    await this._rootQdisc(interfaceName);
+
+    try {
+      await this.run("ip", ["link", "add", ifb, "type", "ifb"]);
+    } catch (error) {
+      if (!/File exists/.test(error.message)) throw error;
+    }
+    await this.run("ip", ["link", "set", "dev", ifb, "up"]);
+    await this._rootQdisc(ifb);
+
+    await this.run("tc", [
+      "qdisc",
+      "replace",
+      "dev",
+      interfaceName,
+      "handle",
+      "ffff:",
+      "ingress",
+    ]);
+    await this.run("tc", [
+      "filter",
+      "replace",
+      "dev",
+      interfaceName,
+      "parent",
+      "ffff:",
+      "protocol",
+      "all",
+      "prio",
+      "1",
+      "matchall",
+      "action",
+      "mirred",
+      "egress",
+      "redirect",
+      "dev",
+      ifb,
+    ]);
+  }
+
+  async teardown(interfaceName) {
+    assertInterfaceName(interfaceName);
+    this.classes.delete(interfaceName);
+
+    await ignoreMissing(
+      this.run("tc", ["qdisc", "del", "dev", interfaceName, "root"])
+    );
+    await ignoreMissing(
+      this.run("tc", ["qdisc", "del", "dev", interfaceName, "ingress"])
+    );
+    await ignoreMissing(
+      this.run("ip", ["link", "del", ifbName(interfaceName)])
+    );
+  }
+
+  async setPeer(interfaceName, { ip, ip6, download, upload }) {
+    assertInterfaceName(interfaceName);
+    const addresses = { ip: assertPeerIP(ip), ip6: assertPeerIP6(ip6) };
+    const limits = {
+      download: assertBandwidth(download),
+      upload: assertBandwidth(upload),
+    };
+
+    const classes = await this._classes(interfaceName);
+    let minor = classes.get(ip);
+    if (minor === undefined) {
+      minor = nextClassMinor(classes.values());
+      classes.set(ip, minor);
+    }
+
+    await this._setClass(
+      interfaceName,
+      minor,
+      "dst_ip",
+      addresses,
+      limits.download
+    );
+    await this._setClass(
+      ifbName(interfaceName),
+      minor,
+      "src_ip",
+      addresses,
+      limits.upload
+    );
+
+    if (limits.download === 0 && limits.upload === 0) {
+      classes.delete(ip);
+    }
+  }
+
+  async removePeer(interfaceName, ip) {
+    assertInterfaceName(interfaceName);
+    assertPeerIP(ip);
+
+    const classes = await this._classes(interfaceName);
+    const minor = classes.get(ip);
+    if (minor === undefined) return;
+
+    await this._removeClass(interfaceName, minor);
+    await this._removeClass(ifbName(interfaceName), minor);
+    classes.delete(ip);
+  }
+
+  // Live state read back from the kernel
+  async status(interfaceName) {
+    assertInterfaceName(interfaceName);
+
+    let download;
+    try {
+      download = await this._readDevice(interfaceName);
+    } catch (error) {
+      return { interfaceName, enabled: false, peers: [] };
+    }
+    const upload = await this._readDevice(ifbName(interfaceName)).catch(
+      () => new Map()
+    );
+
+    const peers = [];
+    for (const [ip, down] of download) {
+      const up = upload.get(ip);
+      peers.push({
+        ip,
+        ip6: down.ip6 || up?.ip6 || null,
+        classId: down.classId,
+        download: down.rate,
+        upload: up ? up.rate : 0,
+        stats: {
+          downloadBytes: down.bytes,
+          downloadDrops: down.drops,
+          uploadBytes: up ? up.bytes : 0,
+          uploadDrops: up ? up.drops : 0,
+        },
+      });
+    }
+    for (const [ip, up] of upload) {
+      if (download.has(ip)) continue;
+      peers.push({
+        ip,
+        ip6: up.ip6,
+        classId: up.classId,
+        download: 0,
+        upload: up.rate,
+        stats: {
+          downloadBytes: 0,
+          downloadDrops: 0,
+          uploadBytes: up.bytes,
+          uploadDrops: up.drops,
+        },
+      });
+    }
+
+    return { interfaceName, enabled: true, peers };
+  }
+
+  // ==================== TC ====================
+
+  // Peer ip -> class minor for an interface, seeded from whatever classes
+  // the kernel already has so a restart doesn't hand out taken ids. The
+  // promise is cached so concurrent calls share one map.
+  _classes(interfaceName) {
+    if (!this.classes.has(interfaceName)) {
+      const load = async () => {
+        const classes = new Map();
+        for (const dev of [interfaceName, ifbName(interfaceName)]) {
+          const applied = await this._readDevice(dev).catch(() => new Map());
+          for (const [ip, { classId }] of applied) {
+            classes.set(ip, classMinorOf(classId));
+          }
+        }
+        return classes;
+      };
+      this.classes.set(interfaceName, load());
+    }
+    return this.classes.get(interfaceName);
+  }
+
+  async _rootQdisc(dev) {
+    await this.run("tc", [
+      "qdisc",
+      "replace",
+      "dev",
+      dev,
+      "root",
+      "handle",
+      ROOT_HANDLE,
+      "htb",
+      "default",
+      "0",
+    ]);
+  }
+
+  // A zero rate means "unlimited": the class is removed and the peer falls
+  // through to the unshaped default
+  async _setClass(dev, minor, key, { ip, ip6 }, rate) {
+    if (rate === 0) {
+      await this._removeClass(dev, minor);
+      return;
+    }
+
+    const classId = `1:${minor.toString(16)}`;
+
+    await this.run("tc", [
+      "class",
+      "replace",
+      "dev",
+      dev,
+      "parent",
+      ROOT_HANDLE,
+      "classid",
+      classId,
+      "htb",
+      "rate",
+      `${rate}kbit`,
+      "ceil",
+      `${rate}kbit`,
+    ]);
+    await this.run("tc", [
+      "qdisc",
+      "replace",
+      "dev",
+      dev,
+      "parent",
+      classId,
+      "handle",
+      `${minor.toString(16)}:`,
+      "fq_codel",
+    ]);
+    await this._setFilter(dev, minor, "ip", key, ip);
+    if (ip6) {
+      await this._setFilter(dev, minor, "ipv6", key, ip6);
+    } else {
+      await this._removeFilter(dev, minor, "ipv6");
+    }
+  }
+
+  async _setFilter(dev, minor, protocol, key, address) {
+    await this.run("tc", [
+      "filter",
+      "replace",
+      "dev",
+      dev,
+      "parent",
+      ROOT_HANDLE,
+      "protocol",
+      protocol,
+      "prio",
+      FILTER_PRIO[protocol],
+      "handle",
+      String(minor),
+      "flower",
+      key,
+      address,
+      "classid",
+      `1:${minor.toString(16)}`,
+    ]);
+  }
+
+  async _removeFilter(dev, minor, protocol) {
+    await ignoreMissing(
+      this.run("tc", [
+        "filter",
+        "del",
+        "dev",
+        dev,
+        "parent",
+        ROOT_HANDLE,
+        "protocol",
+        protocol,
+        "prio",
+        FILTER_PRIO[protocol],
+        "handle",
+        String(minor),
+        "flower",
+      ])
+    );
+  }
+
+  async _removeClass(dev, minor) {
+    await this._removeFilter(dev, minor, "ip");
+    await this._removeFilter(dev, minor, "ipv6");
+    await ignoreMissing(
+      this.run("tc", [
+        "class",
+        "del",
+        "dev",
+        dev,
+        "classid",
+        `1:${minor.toString(16)}`,
+      ])
+    );
+  }
+
+  // Map of peer ip -> { classId, ip6, rate (kbit/s), bytes, drops } for a
+  // device. A peer's IPv4 and IPv6 filters share its class.
+  async _readDevice(dev) {
+    const [classes, filters] = await Promise.all([
+      this.run("tc", ["-j", "-s", "class", "show", "dev", dev]),
+      this.run("tc", [
+        "-j",
+        "filter",
+        "show",
+        "dev",
+        dev,
+        "parent",
+        ROOT_HANDLE,
+      ]),
+    ]);
+
+    const byClass = new Map();
+    for (const cls of JSON.parse(classes.stdout || "[]")) {
+      if (cls.class !== "htb") continue;
+      byClass.set(cls.handle, {
+        // tc reports rates in bytes per second
+        rate: Math.round((cls.rate * 8) / 1000),
+        bytes: cls.stats?.bytes || 0,
+        drops: cls.stats?.drops || 0,
+      });
+    }
+
+    const addresses = new Map();
+    for (const filter of JSON.parse(filters.stdout || "[]")) {
+      const options = filter.options;
+      if (filter.kind !== "flower" || !options?.keys) continue;
+
+      const address = options.keys.dst_ip || options.keys.src_ip;
+      if (!address || !byClass.has(options.classid)) continue;
+
+      const entry = addresses.get(options.classid) || {};
+      if (isValidIPv4(address)) entry.ip = address;
+      if (isValidIPv6(address)) entry.ip6 = address;
+      addresses.set(options.classid, entry);
+    }
+
+    const result = new Map();
+    for (const [classId, { ip, ip6 = null }] of addresses) {
+      if (!ip) continue;
+      result.set(ip, { classId, ip6, ...byClass.get(classId) });
+    }
+
+    return result;
+  }
+}
+
+TcShaper.assertPeerIP = assertPeerIP;
+TcShaper.nextClassMinor = nextClassMinor;
+
+module.exports = TcShaper;
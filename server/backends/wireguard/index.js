@@ -0,0 +1,24 @@
+const WgBackend = require("./wgBackend");
+const MockBackend = require("./mockBackend");
+
+let backend = null;
+
+// MOCK_WIREGUARD=true swaps the kernel-backed driver for the in-memory one
+function createBackend(options = {}) {
+  if (process.env.MOCK_WIREGUARD === "true") {
+    return new MockBackend(options);
+  }
+  return new WgBackend(options);
+}
+
+// Shared instance so the service, models and routes see the same state
+function getBackend() {
+  if (!backend) {
+    backend = createBackend({
+      configPath: process.env.WG_CONFIG_PATH || "/etc/wireguard",
+    });
+  }
+  return backend;
+}
+
+module.exports = { createBackend, getBackend, WgBackend, MockBackend };
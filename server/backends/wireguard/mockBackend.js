@@ -0,0 +1,332 @@
+const {
+  assertKey,
+  assertCIDR,
+  assertInterfaceName,
+  assertMTU,
+} = require("../../utils/validators");
+const { generatePrivateKey, derivePublicKey } = require("../../utils/keys");
+const wgConfig = require("../../utils/wgConfig");
+
+// In-memory stand-in for wg/wg-quick/ip so the dashboard runs without root.
+// Keeps per-interface state (up/down, MTU, peers, counters) and config files,
+// and simulates handshakes and traffic for peers that have an endpoint.
+class MockBackend {
+  constructor(options = {}) {
+    this.name = "mock";
+    this.interfaces = new Map();
+    this.configs = new Map();
+    this.previousConfigs = new Map();
+
+    this._seed(
+      parseInt(options.serversCount ?? process.env.MOCK_SERVERS_COUNT) || 0,
+      parseInt(options.peersCount ?? process.env.MOCK_PEERS_COUNT) || 0
+    );
+  }
+
+  // ==================== PEERS ====================
+
+  async setPeer(interfaceName, peer) {
+    const iface = this._running(interfaceName);
+    assertKey(peer.publicKey, "public key");
+    (peer.allowedIPs || []).forEach(assertCIDR);
+    if (peer.presharedKey) assertKey(peer.presharedKey, "preshared key");
+
+    const existing =
+      iface.peers.get(peer.publicKey) || this._newPeer(peer.publicKey);
+
+    if (peer.allowedIPs) existing.allowedIPs = [...peer.allowedIPs];
+    if (peer.presharedKey) existing.presharedKey = peer.presharedKey;
+    if (peer.persistentKeepalive !== undefined) {
+      existing.persistentKeepalive = peer.persistentKeepalive || 0;
+    }
+
+    iface.peers.set(peer.publicKey, existing);
+  }
+
+  async removePeer(interfaceName, publicKey) {
+    assertKey(publicKey, "public key");
+    this._running(interfaceName).peers.delete(publicKey);
+  }
+
+  // ==================== INTERFACES ====================
+
+  async show(interfaceName) {
+    const iface = this._running(interfaceName);
+    this._tick(iface);
+
+    const lines = [
+      `interface: ${interfaceName}`,
+      `  public key: ${iface.publicKey}`,
+      "  private key: (hidden)",
+      `  listening port: ${iface.listenPort}`,
+    ];
+
+    for (const [publicKey, peer] of iface.peers) {
+      lines.push("", `peer: ${publicKey}`);
+      if (peer.endpoint) lines.push(`  endpoint: ${peer.endpoint}`);
+      lines.push(`  allowed ips: ${peer.allowedIPs.join(", ") || "(none)"}`);
+      if (peer.latestHandshake) {
+        const ago = Math.floor(Date.now() / 1000) - peer.latestHandshake;
+        lines.push(`  latest handshake: ${ago} seconds ago`);
+        lines.push(`  transfer: ${peer.rx} B received, ${peer.tx} B sent`);
+      }
+      if (peer.persistentKeepalive) {
+        lines.push(
+          `  persistent keepalive: every ${peer.persistentKeepalive} seconds`
+        );
+      }
+    }
+
+    return lines.join("\n") + "\n";
+  }
+
+  async showDump(interfaceName) {
+    const iface = this._running(interfaceName);
+    this._tick(iface);
+
+    const lines = [
+      [iface.privateKey, iface.publicKey, iface.listenPort, "off"].join("\t"),
+    ];
+
+    for (const [publicKey, peer] of iface.peers) {
+      lines.push(
+        [
+          publicKey,
+          peer.presharedKey || "(none)",
+          peer.endpoint || "(none)",
+          peer.allowedIPs.join(",") || "(none)",
+          peer.latestHandshake,
+          peer.rx,
+          peer.tx,
+          peer.persistentKeepalive || "off",
+        ].join("\t")
+      );
+    }
+
+    return lines.join("\n") + "\n";
+  }
+
+  async up(interfaceName) {
+    assertInterfaceName(interfaceName);
+    if (this.interfaces.get(interfaceName)?.up) {
+      throw new Error(`wg-quick: \`${interfaceName}' already exists`);
+    }
+
+    const content = this.configs.get(interfaceName);
+    if (!content) {
+      throw new Error(
+        `wg-quick: \`/etc/wireguard/${interfaceName}.conf' does not exist`
+      );
+    }
+
+    const config = wgConfig.flatten(wgConfig.parse(content));
+    const iface = {
+      up: true,
+      addresses: (config.interface.Address || "")
+        .split(",")
+        .map((address) => address.trim())
+        .filter((address) => address),
+      mtu: parseInt(config.interface.MTU) || 1420,
+      peers: new Map(),
+      lastTick: Date.now(),
+    };
+    this._applyConfig(iface, config);
+
+    this.interfaces.set(interfaceName, iface);
+  }
+
+  // Like wg syncconf: peers that stay keep their endpoint and counters
+  async syncConfig(interfaceName) {
+    const iface = this._running(interfaceName);
+    const content = await this.readConfig(interfaceName);
+    this._applyConfig(iface, wgConfig.flatten(wgConfig.parse(content)));
+  }
+
+  async getLink(interfaceName) {
+    const iface = this._running(interfaceName);
+    return { mtu: iface.mtu, addresses: [...iface.addresses] };
+  }
+
+  async down(interfaceName) {
+    this._running(interfaceName);
+    this.interfaces.delete(interfaceName);
+  }
+
+  async setMTU(interfaceName, mtu) {
+    this._running(interfaceName).mtu = assertMTU(mtu);
+  }
+
+  async listInterfaces() {
+    return Array.from(this.interfaces.keys());
+  }
+
+  async isRunning(interfaceName) {
+    return !!this.interfaces.get(interfaceName)?.up;
+  }
+
+  async version() {
+    return "wireguard-tools v1.0.20210914 (mock)";
+  }
+
+  // ==================== CONFIG FILES ====================
+
+  async readConfig(interfaceName) {
+    const content = this.configs.get(interfaceName);
+    if (content === undefined) {
+      const error = new Error(`ENOENT: no such file ${interfaceName}.conf`);
+      error.code = "ENOENT";
+      throw error;
+    }
+    return content;
+  }
+
+  async writeConfig(interfaceName, content) {
+    assertInterfaceName(interfaceName);
+    if (this.configs.has(interfaceName)) {
+      this.previousConfigs.set(interfaceName, this.configs.get(interfaceName));
+    }
+    this.configs.set(interfaceName, content);
+    return `mock://${interfaceName}.conf`;
+  }
+
+  async deleteConfig(interfaceName) {
+    await this.readConfig(interfaceName);
+    this.configs.delete(interfaceName);
+  }
+
+  async configExists(interfaceName) {
+    return this.configs.has(interfaceName);
+  }
+
+  // ==================== SIMULATION ====================
+
+  _running(interfaceName) {
+    assertInterfaceName(interfaceName);
+    const iface = this.interfaces.get(interfaceName);
+    if (!iface || !iface.up) {
+      throw new Error(
+        `Unable to access interface: No such device (${interfaceName})`
+      );
+    }
+    return iface;
+  }
+
+  // Roughly two out of three peers (picked by key) have a client behind them
+  _newPeer(publicKey) {
+    const keyBytes = Buffer.from(publicKey, "base64");
+    const online = keyBytes[0] % 3 !== 0;
+
+    return {
+      allowedIPs: [],
+      persistentKeepalive: 0,
+      endpoint: online
+        ? `203.81.${64 + (keyBytes[1] % 8)}.${(keyBytes[2] % 250) + 2}:${
+            40000 + keyBytes[3] * 100
+          }`
+        : null,
+      latestHandshake: 0,
+      rx: 0,
+      tx: 0,
+    };
+  }
+
+  // Peers with an endpoint are "online": they handshake every two minutes
+  // and move traffic proportional to the time since the last tick
+  _tick(iface) {
+    const now = Date.now();
+    const elapsed = (now - iface.lastTick) / 1000;
+    iface.lastTick = now;
+
+    for (const peer of iface.peers.values()) {
+      if (!peer.endpoint) continue;
+
+      const nowSeconds = Math.floor(now / 1000);
+      if (nowSeconds - peer.latestHandshake >= 120) {
+        peer.latestHandshake = nowSeconds;
+      }
+
+      peer.rx += Math.floor(elapsed * (2000 + Math.random() * 50000));
+      peer.tx += Math.floor(elapsed * (1000 + Math.random() * 20000));
+    }
+  }
+
+  _seed(serversCount, peersCount) {
+    for (let i = 0; i < serversCount; i++) {
+      const interfaceName = `wg${i}`;
+      const privateKey = generatePrivateKey();
+      const peers = [];
+
+      for (let j = 0; j < peersCount; j++) {
+        const peerPrivateKey = generatePrivateKey();
+        peers.push({
+          publicKey: derivePublicKey(peerPrivateKey),
+          allowedIPs: [
+            `10.${i}.${Math.floor((j + 2) / 256)}.${(j + 2) % 256}/32`,
+          ],
+        });
+      }
+
+      const lines = [
+        "[Interface]",
+        `Address = 10.${i}.0.1/16`,
+        `ListenPort = ${51820 + i}`,
+        `PrivateKey = ${privateKey}`,
+        "MTU = 1420",
+      ];
+      for (const peer of peers) {
+        lines.push(
+          "",
+          "[Peer]",
+          `PublicKey = ${peer.publicKey}`,
+          `AllowedIPs = ${peer.allowedIPs.join(", ")}`,
+          "PersistentKeepalive = 25"
+        );
+      }
+      this.configs.set(interfaceName, lines.join("\n") + "\n");
+
+      const iface = {
+        up: true,
+        addresses: [`10.${i}.0.1/16`],
+        privateKey,
+        publicKey: derivePublicKey(privateKey),
+        listenPort: 51820 + i,
+        mtu: 1420,
+        peers: new Map(),
+        lastTick: Date.now(),
+      };
+
+      peers.forEach((peer) => {
+        const state = this._newPeer(peer.publicKey);
+        state.allowedIPs = peer.allowedIPs;
+        state.persistentKeepalive = 25;
+        iface.peers.set(peer.publicKey, state);
+      });
+
+      this.interfaces.set(interfaceName, iface);
+    }
+  }
+
+  _applyConfig(iface, config) {
+    iface.privateKey = config.interface.PrivateKey;
+    iface.publicKey = derivePublicKey(config.interface.PrivateKey);
+    iface.listenPort = parseInt(config.interface.ListenPort) || 51820;
+
+    const peers = new Map();
+    for (const peerConfig of config.peers) {
+      if (!peerConfig.PublicKey) continue;
+      const peer =
+        iface.peers.get(peerConfig.PublicKey) ||
+        this._newPeer(peerConfig.PublicKey);
+      peer.allowedIPs = (peerConfig.AllowedIPs || "")
+        .split(",")
+        .map((ip) => ip.trim())
+        .filter((ip) => ip);
+      peer.presharedKey = peerConfig.PresharedKey;
+      peer.persistentKeepalive = parseInt(peerConfig.PersistentKeepalive) || 0;
+      peers.set(peerConfig.PublicKey, peer);
+    }
+    iface.peers = peers;
+  }
+}
+
+module.exports = MockBackend;
@@ -0,0 +1,231 @@
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const path = require("path");
+const { run } = require("../../utils/exec");
+const {
+  assertKey,
+  assertCIDR,
+  assertInterfaceName,
+  assertMTU,
+} = require("../../utils/validators");
+
+// Talks to the real kernel module through wg, wg-quick and ip
+class WgBackend {
+  constructor(options = {}) {
+    this.name = "wg";
+    this.configPath = options.configPath || "/etc/wireguard";
+    // interface name -> last queued config write
+    this.writes = new Map();
+  }
+
+  // ==================== PEERS ====================
+
+  async setPeer(interfaceName, peer) {
+    assertInterfaceName(interfaceName);
+    assertKey(peer.publicKey, "public key");
+
+    const args = ["set", interfaceName, "peer", peer.publicKey];
+    const options = {};
+
+    if (peer.allowedIPs && peer.allowedIPs.length > 0) {
+      args.push("allowed-ips", peer.allowedIPs.map(assertCIDR).join(","));
+    }
+
+    if (peer.persistentKeepalive !== undefined) {
+      const keepalive = Number(peer.persistentKeepalive);
+      if (!Number.isInteger(keepalive) || keepalive < 0 || keepalive > 65535) {
+        throw new Error("Invalid persistent keepalive");
+      }
+      args.push("persistent-keepalive", keepalive ? String(keepalive) : "off");
+    }
+
+    // wg only reads preshared keys from a file; hand it ours over stdin
+    if (peer.presharedKey) {
+      assertKey(peer.presharedKey, "preshared key");
+      args.push("preshared-key", "/dev/stdin");
+      options.input = `${peer.presharedKey}\n`;
+    }
+
+    await run("wg", args, options);
+  }
+
+  async removePeer(interfaceName, publicKey) {
+    assertInterfaceName(interfaceName);
+    assertKey(publicKey, "public key");
+    await run("wg", ["set", interfaceName, "peer", publicKey, "remove"]);
+  }
+
+  // ==================== INTERFACES ====================
+
+  async show(interfaceName) {
+    assertInterfaceName(interfaceName);
+    return (await run("wg", ["show", interfaceName])).stdout;
+  }
+
+  async showDump(interfaceName) {
+    assertInterfaceName(interfaceName);
+    return (await run("wg", ["show", interfaceName, "dump"])).stdout;
+  }
+
+  async up(interfaceName) {
+    assertInterfaceName(interfaceName);
+    await run("wg-quick", ["up", interfaceName]);
+  }
+
+  async down(interfaceName) {
+    assertInterfaceName(interfaceName);
+    await run("wg-quick", ["down", interfaceName]);
+  }
+
+  // Applies peer and key changes from the config file to the running
+  // interface without dropping sessions. wg-quick strip removes the keys wg
+  // does not understand (Address, MTU, ...); the result goes over stdin
+  async syncConfig(interfaceName) {
+    assertInterfaceName(interfaceName);
+    const { stdout } = await run("wg-quick", ["strip", interfaceName]);
+    await run("wg", ["syncconf", interfaceName, "/dev/stdin"], {
+      input: stdout,
+    });
+  }
+
+  // MTU and addresses as the kernel has them
+  async getLink(interfaceName) {
+    assertInterfaceName(interfaceName);
+    const { stdout } = await run("ip", [
+      "-j",
+      "addr",
+      "show",
+      "dev",
+      interfaceName,
+    ]);
+    const [link] = JSON.parse(stdout);
+
+    return {
+      mtu: link.mtu,
+      addresses: (link.addr_info || [])
+        .filter((addr) => addr.scope !== "link")
+        .map((addr) => `${addr.local}/${addr.prefixlen}`),
+    };
+  }
+
+  async setMTU(interfaceName, mtu) {
+    assertInterfaceName(interfaceName);
+    await run("sudo", [
+      "ip",
+      "link",
+      "set",
+      "dev",
+      interfaceName,
+      "mtu",
+      String(assertMTU(mtu)),
+    ]);
+  }
+
+  async listInterfaces() {
+    const { stdout } = await run("ip", ["link", "show"]);
+    const interfaces = [];
+
+    stdout.split("\n").forEach((line) => {
+      const match = line.match(/^\d+:\s+(\w+):/);
+      if (match && match[1].startsWith("wg")) {
+        interfaces.push(match[1]);
+      }
+    });
+
+    return interfaces;
+  }
+
+  async isRunning(interfaceName) {
+    assertInterfaceName(interfaceName);
+    try {
+      await run("wg", ["show", interfaceName]);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async version() {
+    return (await run("wg", ["--version"])).stdout.trim();
+  }
+
+  // ==================== CONFIG FILES ====================
+
+  _configFile(interfaceName) {
+    assertInterfaceName(interfaceName);
+    return path.join(this.configPath, `${interfaceName}.conf`);
+  }
+
+  async readConfig(interfaceName) {
+    return fs.readFile(this._configFile(interfaceName), "utf8");
+  }
+
+  // Writes to a temp file in the same directory and renames it over the
+  // target, so wg-quick never sees a half-written file. The previous version
+  // is kept as <iface>.conf.bak. Writes to one interface run one at a time,
+  // in the order they were made, each through a temp file of its own.
+  async writeConfig(interfaceName, content) {
+    const configFile = this._configFile(interfaceName);
+    const previous = this.writes.get(interfaceName) || Promise.resolve();
+    const write = previous
+      .catch(() => {})
+      .then(() => this._writeConfigFile(configFile, content));
+
+    this.writes.set(interfaceName, write);
+    write
+      .catch(() => {})
+      .then(() => {
+        if (this.writes.get(interfaceName) === write) {
+          this.writes.delete(interfaceName);
+        }
+      });
+
+    return write;
+  }
+
+  async _writeConfigFile(configFile, content) {
+    const suffix = crypto.randomBytes(6).toString("hex");
+    const tmpFile = `${configFile}.${process.pid}.${suffix}.tmp`;
+
+    const handle = await fs.open(tmpFile, "w", 0o600);
+    try {
+      await handle.writeFile(content, "utf8");
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+
+    try {
+      await fs.copyFile(configFile, `${configFile}.bak`);
+      await fs.chmod(`${configFile}.bak`, 0o600);
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        await fs.unlink(tmpFile).catch(() => {});
+        throw error;
+      }
+    }
+
+    try {
+      await fs.rename(tmpFile, configFile);
+    } catch (error) {
+      await fs.unlink(tmpFile).catch(() => {});
+      throw error;
+    }
+    return configFile;
+  }
+
+  async deleteConfig(interfaceName) {
+    await fs.unlink(this._configFile(interfaceName));
+  }
+
+  async configExists(interfaceName) {
+    try {
+      await fs.access(this._configFile(interfaceName));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+}
+
+module.exports = WgBackend;
@@ -102,8 +102,17 @@ class Database {
     try {
       // Create all indexes defined in schemas
       await mongoose.model("Server").createIndexes();
+      await mongoose.model("Peer").dropExpiryTTLIndex();
       await mongoose.model("Peer").createIndexes();
+      await mongoose.model("IPAllocation").createIndexes();
       await mongoose.model("MTUProfile").createIndexes();
+      await mongoose.model("MTUTestRun").createIndexes();
+      await mongoose.model("User").createIndexes();
+      await mongoose.model("ApiToken").createIndexes();
+      await mongoose.model("AuditLog").createIndexes();
+      await mongoose.model("TrafficSample").createIndexes();
+      await mongoose.model("TrafficSampleHourly").createIndexes();
+      await mongoose.model("TrafficSampleDaily").createIndexes();
       console.log("✅ Database indexes created");
     } catch (error) {
       console.error("❌ Error creating indexes:", error);
@@ -0,0 +1,90 @@
+// Permissions granted to each user role. Admins implicitly hold every
+// permission; the rest are listed explicitly so nothing is granted by accident.
+const PERMISSIONS = [
+  "stats:read",
+  "servers:read",
+  "servers:write",
+  "servers:control",
+  "servers:delete",
+  "peers:read",
+  "peers:write",
+  "peers:toggle",
+  "peers:secrets",
+  "mtu:read",
+  "mtu:write",
+  "mtu:apply",
+  "mtu:test",
+  "backup:create",
+  "backup:restore",
+  "bulk:apply",
+  "users:manage",
+  "audit:read",
+  "quota:manage",
+];
+
+const ROLES = {
+  admin: PERMISSIONS,
+  operator: [
+    "stats:read",
+    "servers:read",
+    "servers:write",
+    "servers:control",
+    "peers:read",
+    "peers:write",
+    "peers:toggle",
+    "peers:secrets",
+    "mtu:read",
+    "mtu:write",
+    "mtu:apply",
+    "backup:create",
+  ],
+  support: [
+    "stats:read",
+    "servers:read",
+    "peers:read",
+    "peers:toggle",
+    "mtu:read",
+  ],
+  auditor: [
+    "stats:read",
+    "servers:read",
+    "peers:read",
+    "mtu:read",
+    "audit:read",
+  ],
+};
+
+// API token scopes and the permissions each one unlocks. A token can never
+// do more than its owner's role allows.
+const TOKEN_SCOPES = {
+  "peers:read": ["stats:read", "servers:read", "peers:read", "peers:secrets"],
+  "peers:write": ["peers:write", "peers:toggle"],
+  "servers:admin": [
+    "servers:read",
+    "servers:write",
+    "servers:control",
+    "servers:delete",
+    "mtu:read",
+    "mtu:write",
+    "mtu:apply",
+    "backup:create",
+    "backup:restore",
+    "bulk:apply",
+  ],
+  "mtu:test": ["mtu:read", "mtu:test"],
+};
+
+// Fields that embed a peer's private key
+const PEER_SECRET_FIELDS = ["configFile", "qrCode"];
+
+function hasPermission(role, permission) {
+  return (ROLES[role] || []).includes(permission);
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  TOKEN_SCOPES,
+  PEER_SECRET_FIELDS,
+  hasPermission,
+};
@@ -13,9 +13,11 @@ require("dotenv").config();
 require("./config/database");
 
 // Import routes
+const authRoutes = require("./routes/auth");
 const apiRoutes = require("./routes/api");
 const viewRoutes = require("./routes/views");
 const dbRoutes = require("./routes/db");
+const { resolveApiToken } = require("./middleware/auth");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -50,12 +52,16 @@ app.use(
   })
 );
 
-// Rate limiting
+// Rate limiting, per API token for requests with a valid token and per IP
+// otherwise so automation clients behind one NAT don't starve each other.
+// Only a token that checks out gets its own bucket; made-up ones would
+// otherwise buy a fresh bucket per request.
 const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
+  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
+  max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
+  keyGenerator: (req) => (req.apiToken ? `token:${req.apiToken._id}` : req.ip),
 });
-app.use("/api/", limiter);
+app.use("/api/", resolveApiToken, limiter);
 
 // CORS
 app.use(
@@ -99,17 +105,18 @@ app.use(
     saveUninitialized: false,
     store: store,
     cookie: {
-      maxAge: 1000 * 60 * 60 * 24, // 1 day
+      maxAge: parseInt(process.env.SESSION_MAX_AGE) || 1000 * 60 * 60 * 24, // 1 day
       httpOnly: true,
       secure: process.env.NODE_ENV === "production",
     },
   })
 );
 
-// Routes
-app.use("/", viewRoutes);
+// Routes (views last: its router requires a login for everything it sees)
+app.use("/api/auth", authRoutes);
 app.use("/api", apiRoutes);
 app.use("/db", dbRoutes);
+app.use("/", viewRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -146,21 +153,39 @@ app.use((req, res) => {
 // Graceful shutdown
 process.on("SIGTERM", async () => {
   console.log("SIGTERM received. Closing server...");
+  await require("./services/mtuTestJobs").shutdown();
   await require("./config/database").disconnect();
   process.exit(0);
 });
 
 process.on("SIGINT", async () => {
   console.log("SIGINT received. Closing server...");
+  await require("./services/mtuTestJobs").shutdown();
   await require("./config/database").disconnect();
   process.exit(0);
 });
 
 app.listen(PORT, () => {
+  require("./wireguard")
+    .initialize()
+    .then(() => {
+      require("./services/statsCollector").start();
+      require("./services/trafficRollup").start();
+      require("./services/quotaEngine").start();
+      require("./services/expiryScheduler").start();
+      require("./services/driftDetector").start();
+      if (process.env.BENCHMARK_RESPONDER_PORT) {
+        require("./services/benchmark").startResponder().catch(console.error);
+      }
+      return require("./services/mtuTestJobs").recover();
+    })
+    .catch(console.error);
+
   console.log(`
     🚀 WireGuard Dashboard v1.0
     📡 Server running on: http://localhost:${PORT}
     📊 Database: ${process.env.MONGODB_URI}
+    🔌 WireGuard: ${process.env.MOCK_WIREGUARD === "true" ? "mock" : "wg"}
     🌐 Environment: ${process.env.NODE_ENV}
     ⏰ Started at: ${new Date().toLocaleString()}
     `);
@@ -0,0 +1,129 @@
+const User = require("../models/User");
+const ApiToken = require("../models/ApiToken");
+
+function wantsJSON(req) {
+  return (
+    req.originalUrl.startsWith("/api/") ||
+    req.xhr ||
+    (req.get("accept") || "").includes("application/json")
+  );
+}
+
+// Raw token from an "Authorization: Bearer <token>" header, if any
+function getBearerToken(req) {
+  const header = req.get("authorization") || "";
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+// Checks a bearer token without rejecting the request, so the rate limiter
+// can give a real token its own bucket; anything else counts against the
+// caller's IP
+async function resolveApiToken(req, res, next) {
+  const token = getBearerToken(req);
+  if (!token) return next();
+
+  try {
+    req.apiToken = (await ApiToken.findActive(token)) || undefined;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Resolves an API token and its owner onto req.apiToken / req.user
+async function loadTokenUser(req, res, next) {
+  try {
+    const apiToken =
+      req.apiToken || (await ApiToken.findActive(getBearerToken(req)));
+    if (!apiToken) {
+      return res.status(401).json({ error: "Invalid or expired API token" });
+    }
+
+    const user = await User.findById(apiToken.user);
+    if (!user || !user.enabled) {
+      return res.status(401).json({ error: "Invalid or expired API token" });
+    }
+
+    req.user = user;
+    req.apiToken = apiToken;
+    apiToken.recordUse(req.ip).catch((error) => {
+      console.error("Failed to record API token use:", error);
+    });
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Resolves the session user onto req.user without rejecting anonymous requests
+async function loadUser(req, res, next) {
+  if (req.user) return next();
+  if (getBearerToken(req)) return loadTokenUser(req, res, next);
+  if (!req.session?.userId) return next();
+
+  try {
+    const user = await User.findById(req.session.userId);
+
+    if (!user || !user.enabled) {
+      return req.session.destroy(() => next());
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// What a user whose password must change (e.g. the generated admin) can
+// still reach: the password change itself and the page that offers it
+const PASSWORD_CHANGE_ROUTES = ["PUT /api/auth/password", "GET /settings"];
+
+function isPasswordChangeRoute(req) {
+  const path = req.originalUrl.split("?")[0].replace(/\/$/, "");
+  return PASSWORD_CHANGE_ROUTES.includes(`${req.method} ${path}`);
+}
+
+// API callers get a 401, browsers are sent to the login page. Until a
+// flagged password is changed, everything else is refused.
+function requireAuth(req, res, next) {
+  loadUser(req, res, (error) => {
+    if (error) return next(error);
+    if (req.user?.mustChangePassword && !isPasswordChangeRoute(req)) {
+      if (wantsJSON(req)) {
+        return res.status(403).json({
+          error: "Password change required",
+          mustChangePassword: true,
+        });
+      }
+      return res.redirect("/settings");
+    }
+    if (req.user) return next();
+
+    if (wantsJSON(req)) {
+      return res.status(401).json({ error: "Authentication required" });
+    }
+
+    res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+  });
+}
+
+// Token management and account changes need an interactive session
+function requireSession(req, res, next) {
+  if (req.apiToken) {
+    return res
+      .status(403)
+      .json({ error: "This endpoint is not available to API tokens" });
+  }
+  next();
+}
+
+module.exports = {
+  getBearerToken,
+  resolveApiToken,
+  loadUser,
+  requireAuth,
+  requireSession,
+};
@@ -0,0 +1,132 @@
+const Server = require("../models/Server");
+const Peer = require("../models/Peer");
+const { hasPermission, PEER_SECRET_FIELDS } = require("../config/roles");
+
+// Rejects the request unless the user's role grants every listed permission.
+// Token requests additionally need a token scope covering the permission.
+function authorize(...permissions) {
+  return (req, res, next) => {
+    const role = req.user?.role;
+    const missing = permissions.find(
+      (p) =>
+        !hasPermission(role, p) || (req.apiToken && !req.apiToken.allows(p))
+    );
+
+    if (missing) {
+      return res
+        .status(403)
+        .json({ error: `Permission denied: requires ${missing}` });
+    }
+
+    next();
+  };
+}
+
+// Ids of the servers the user may see, or null when unrestricted. Admins and
+// users without a scope see everything; otherwise servers listed explicitly
+// or carrying one of the scoped tags.
+async function getServerScope(user) {
+  const servers = user.scope?.servers || [];
+  const tags = user.scope?.tags || [];
+
+  if (user.role === "admin" || (servers.length === 0 && tags.length === 0)) {
+    return null;
+  }
+
+  const ids = await Server.find({
+    $or: [{ _id: { $in: servers } }, { tags: { $in: tags } }],
+  }).distinct("_id");
+
+  return ids.map((id) => id.toString());
+}
+
+// Resolves the scope once per request onto req.serverScope
+async function loadServerScope(req, res, next) {
+  try {
+    req.serverScope = await getServerScope(req.user);
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+function canAccessServer(req, serverId) {
+  if (!req.serverScope) return true;
+  if (!serverId) return false;
+  return req.serverScope.includes((serverId._id || serverId).toString());
+}
+
+// Mongo filter limiting a query to in-scope servers
+function scopeFilter(req, field = "_id") {
+  return req.serverScope ? { [field]: { $in: req.serverScope } } : {};
+}
+
+// Guards routes addressing a server by interface name (route param or body)
+async function requireInterfaceAccess(req, res, next) {
+  if (!req.serverScope) return next();
+
+  try {
+    const interfaceName = req.params.interfaceName || req.body.interfaceName;
+    const server = await Server.findOne({ interfaceName }).select("_id");
+
+    if (!server || !canAccessServer(req, server._id)) {
+      return res.status(404).json({ error: "Server not found" });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Guards /peers/:id routes; out-of-scope peers look like missing ones
+async function requirePeerAccess(req, res, next) {
+  if (!req.serverScope) return next();
+
+  try {
+    const peer = await Peer.findById(req.params.id).select("server");
+
+    if (!peer || !canAccessServer(req, peer.server)) {
+      return res.status(404).json({ error: "Peer not found" });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+function canSeeSecrets(req) {
+  return (
+    hasPermission(req.user?.role, "peers:secrets") &&
+    (!req.apiToken || req.apiToken.allows("peers:secrets"))
+  );
+}
+
+// Projection that drops secret-bearing peer fields for roles without access
+function peerSecretProjection(req) {
+  return canSeeSecrets(req)
+    ? ""
+    : PEER_SECRET_FIELDS.map((field) => `-${field}`).join(" ");
+}
+
+function redactPeer(req, peer) {
+  if (canSeeSecrets(req)) return peer;
+
+  const obj = { ...peer };
+  PEER_SECRET_FIELDS.forEach((field) => delete obj[field]);
+  return obj;
+}
+
+module.exports = {
+  authorize,
+  getServerScope,
+  loadServerScope,
+  canAccessServer,
+  scopeFilter,
+  requireInterfaceAccess,
+  requirePeerAccess,
+  canSeeSecrets,
+  peerSecretProjection,
+  redactPeer,
+};
@@ -0,0 +1,158 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+const { TOKEN_SCOPES } = require("../config/roles");
+
+const TOKEN_PREFIX = "wgd_";
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+const ApiTokenSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Token name is required"],
+      trim: true,
+      minlength: [2, "Token name must be at least 2 characters"],
+      maxlength: [100, "Token name cannot exceed 100 characters"],
+    },
+    type: {
+      type: String,
+      enum: ["personal", "service"],
+      default: "personal",
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Token owner is required"],
+      index: true,
+    },
+    // Only the SHA-256 of the token is stored; the token is shown once
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    prefix: {
+      type: String,
+      required: true,
+    },
+    scopes: {
+      type: [
+        {
+          type: String,
+          enum: Object.keys(TOKEN_SCOPES),
+        },
+      ],
+      validate: [
+        (scopes) => scopes.length > 0,
+        "At least one scope is required",
+      ],
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, "Token expiry is required"],
+    },
+    lastUsedAt: Date,
+    lastUsedIP: String,
+    usageCount: {
+      type: Number,
+      default: 0,
+    },
+    revokedAt: Date,
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Virtuals
+ApiTokenSchema.virtual("isExpired").get(function () {
+  return new Date() > this.expiresAt;
+});
+
+ApiTokenSchema.virtual("isActive").get(function () {
+  return !this.revokedAt && !this.isExpired;
+});
+
+// Indexes
+ApiTokenSchema.index({ user: 1, revokedAt: 1 });
+ApiTokenSchema.index({ expiresAt: 1 });
+
+// Instance Methods
+ApiTokenSchema.methods.allows = function (permission) {
+  return this.scopes.some((scope) =>
+    (TOKEN_SCOPES[scope] || []).includes(permission)
+  );
+};
+
+// Usage is written at most once a minute to keep hot tokens cheap
+ApiTokenSchema.methods.recordUse = function (ip) {
+  const now = new Date();
+  if (this.lastUsedAt && now - this.lastUsedAt < 60 * 1000) {
+    return Promise.resolve(this);
+  }
+
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { lastUsedAt: now, lastUsedIP: ip }, $inc: { usageCount: 1 } }
+  );
+};
+
+ApiTokenSchema.methods.revoke = function (userId) {
+  this.revokedAt = new Date();
+  this.revokedBy = userId;
+  return this.save();
+};
+
+ApiTokenSchema.methods.toPublicJSON = function () {
+  const obj = this.toObject();
+
+  delete obj.tokenHash;
+  delete obj.__v;
+
+  return obj;
+};
+
+// Static Methods
+ApiTokenSchema.statics.hashToken = hashToken;
+
+// Creates a token and returns the raw value alongside the saved document
+ApiTokenSchema.statics.issue = async function (data) {
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString("base64url");
+
+  const apiToken = new this({
+    ...data,
+    tokenHash: hashToken(token),
+    prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+  });
+  await apiToken.save();
+
+  return { token, apiToken };
+};
+
+// Returns the active token matching a raw bearer value, or null
+ApiTokenSchema.statics.findActive = async function (token) {
+  if (typeof token !== "string" || !token.startsWith(TOKEN_PREFIX)) {
+    return null;
+  }
+
+  const apiToken = await this.findOne({
+    tokenHash: hashToken(token),
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+
+  return apiToken;
+};
+
+const ApiToken = mongoose.model("ApiToken", ApiTokenSchema);
+module.exports = ApiToken;
@@ -0,0 +1,109 @@
+const mongoose = require("mongoose");
+
+const RETENTION_DAYS = parseInt(process.env.AUDIT_RETENTION_DAYS) || 365;
+
+// User input used as a literal prefix in $regex
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const AuditLogSchema = new mongoose.Schema({
+  timestamp: {
+    type: Date,
+    default: Date.now,
+  },
+  // Requests carry a user; schedulers and startup sync are "system"
+  actor: {
+    type: {
+      type: String,
+      enum: ["user", "token", "system"],
+      default: "system",
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    username: String,
+    role: String,
+    token: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ApiToken",
+    },
+  },
+  action: {
+    type: String,
+    required: [true, "Audit action is required"],
+  },
+  target: {
+    type: {
+      type: String,
+      enum: ["Server", "Peer", "MTUProfile", "User", "ApiToken", "System"],
+      required: true,
+    },
+    id: mongoose.Schema.Types.ObjectId,
+    name: String,
+  },
+  // Server the target belongs to, used to scope the log for scoped users
+  server: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Server",
+  },
+  changes: [
+    {
+      _id: false,
+      field: String,
+      before: mongoose.Schema.Types.Mixed,
+      after: mongoose.Schema.Types.Mixed,
+    },
+  ],
+  details: mongoose.Schema.Types.Mixed,
+  result: {
+    type: String,
+    enum: ["success", "failure"],
+    required: true,
+  },
+  error: String,
+  ip: String,
+  userAgent: String,
+  requestId: String,
+});
+
+// Indexes
+AuditLogSchema.index({ action: 1, timestamp: -1 });
+AuditLogSchema.index({ "actor.user": 1, timestamp: -1 });
+AuditLogSchema.index({ "target.type": 1, "target.id": 1, timestamp: -1 });
+AuditLogSchema.index({ server: 1, timestamp: -1 });
+AuditLogSchema.index({ requestId: 1 });
+
+// Retention: MongoDB drops entries older than AUDIT_RETENTION_DAYS
+AuditLogSchema.index(
+  { timestamp: 1 },
+  { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+// Static Methods
+AuditLogSchema.statics.buildQuery = function (filters = {}) {
+  const query = {};
+
+  if (filters.action) {
+    // "peer." matches every peer action
+    const action = String(filters.action);
+    query.action = action.endsWith(".")
+      ? { $regex: `^${escapeRegex(action)}` }
+      : action;
+  }
+  if (filters.actor) query["actor.username"] = filters.actor;
+  if (filters.targetType) query["target.type"] = filters.targetType;
+  if (filters.targetId) query["target.id"] = filters.targetId;
+  if (filters.server) query.server = filters.server;
+  if (filters.result) query.result = filters.result;
+
+  if (filters.from || filters.to) {
+    query.timestamp = {};
+    if (filters.from) query.timestamp.$gte = new Date(filters.from);
+    if (filters.to) query.timestamp.$lte = new Date(filters.to);
+  }
+
+  return query;
+};
+
+const AuditLog = mongoose.model("AuditLog", AuditLogSchema);
+module.exports = AuditLog;
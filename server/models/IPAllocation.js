@@ -0,0 +1,308 @@
+const mongoose = require("mongoose");
+const ipam = require("../utils/ipam");
+
+// Seconds a released address stays out of the pool, so stale client
+// configs, conntrack entries and logs don't land on its next owner
+const DEFAULT_COOLDOWN = 24 * 60 * 60;
+const MAX_ATTEMPTS = 10;
+
+// The prefix `version` addresses come from: address, or address6 while
+// the server has IPv6 enabled
+function poolPrefix(server, version) {
+  if (version === 4) return server.address;
+  if (server.enableIPv6 && server.address6) return server.address6;
+  throw new Error(`IPv6 is not enabled on ${server.interfaceName}`);
+}
+
+function releaseCooldown() {
+  const seconds = parseInt(process.env.IPAM_RELEASE_COOLDOWN);
+  return Number.isNaN(seconds) ? DEFAULT_COOLDOWN : Math.max(seconds, 0);
+}
+
+// One document per address taken from a server's pool. The unique
+// { server, address } index is what makes allocation atomic: two requests
+// racing for the same address can't both insert it, and the loser retries
+// with the next free one.
+const IPAllocationSchema = new mongoose.Schema(
+  {
+    server: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Server",
+      required: [true, "Server is required"],
+    },
+    // Canonical form (see utils/ipam), so IPv6 spellings can't collide
+    address: {
+      type: String,
+      required: [true, "Address is required"],
+    },
+    // peer: assigned to a peer; static: held by an administrator;
+    // cooldown: recently released, free again after availableAt
+    kind: {
+      type: String,
+      enum: ["peer", "static", "cooldown"],
+      required: true,
+    },
+    peer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Peer",
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Note cannot exceed 200 characters"],
+    },
+    availableAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+IPAllocationSchema.index({ server: 1, address: 1 }, { unique: true });
+IPAllocationSchema.index({ peer: 1 });
+
+// Expired cooldowns are also cleared by allocate(); this is housekeeping
+IPAllocationSchema.index({ availableAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static Methods
+
+// Records addresses of peers created before allocations were tracked
+IPAllocationSchema.statics.syncFromPeers = async function (server) {
+  const [peers, allocations] = await Promise.all([
+    mongoose
+      .model("Peer")
+      .find({ server: server._id })
+      .select("assignedIP assignedIP6"),
+    this.find({ server: server._id }).select("address").lean(),
+  ]);
+  const known = new Set(allocations.map((allocation) => allocation.address));
+
+  const missing = peers
+    .flatMap((peer) =>
+      [peer.assignedIP, peer.assignedIP6]
+        .filter((ip) => ip)
+        .map((ip) => ({
+          server: server._id,
+          address: ipam.normalizeAddress(ip),
+          kind: "peer",
+          peer: peer._id,
+        }))
+    )
+    .filter((allocation) => !known.has(allocation.address));
+
+  if (missing.length > 0) {
+    // Two peers already sharing an address keep one row between them
+    await this.insertMany(missing, { ordered: false }).catch((error) => {
+      if (error.code !== 11000) throw error;
+    });
+  }
+};
+
+IPAllocationSchema.statics.clearExpiredCooldowns = function (server) {
+  return this.deleteMany({
+    server: server._id,
+    kind: "cooldown",
+    availableAt: { $lte: new Date() },
+  });
+};
+
+// Next free address in the server's IPv4 (or IPv6) pool for `peerId`
+IPAllocationSchema.statics.allocate = async function (
+  server,
+  peerId,
+  { version = 4 } = {}
+) {
+  const prefix = poolPrefix(server, version);
+  const pool = ipam.parsePool(prefix);
+  await this.syncFromPeers(server);
+  await this.clearExpiredCooldowns(server);
+
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const taken = await this.find({ server: server._id })
+      .select("address")
+      .lean();
+    const address = ipam.nextFree(
+      pool,
+      new Set(taken.map((allocation) => allocation.address))
+    );
+    if (!address) {
+      throw new Error(`No available IP addresses in ${prefix}`);
+    }
+
+    try {
+      await this.create({
+        server: server._id,
+        address,
+        kind: "peer",
+        peer: peerId,
+      });
+      return address;
+    } catch (error) {
+      // Someone else took it between the read and the insert
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  throw new Error("Could not allocate an IP address, please retry");
+};
+
+// Takes a specific address, for a peer or as a static reservation. Taking
+// an address a peer already holds again is a no-op.
+IPAllocationSchema.statics.claim = async function (
+  server,
+  ip,
+  { peer, kind = "peer", note } = {}
+) {
+  const pool = ipam.parsePool(
+    poolPrefix(server, ipam.parseAddress(ip).version)
+  );
+  const problem = ipam.checkAssignable(pool, ip);
+  if (problem) throw new Error(problem);
+
+  const address = ipam.normalizeAddress(ip);
+  await this.syncFromPeers(server);
+  await this.clearExpiredCooldowns(server);
+
+  try {
+    await this.create({ server: server._id, address, kind, peer, note });
+    return address;
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const existing = await this.findOne({ server: server._id, address });
+  if (
+    existing &&
+    kind === "peer" &&
+    existing.kind === "peer" &&
+    String(existing.peer) === String(peer)
+  ) {
+    return address;
+  }
+
+  throw new Error(
+    existing?.kind === "cooldown"
+      ? `${address} was released recently and is free again after ${existing.availableAt.toISOString()}`
+      : `${address} is already ${
+          existing?.kind === "static" ? "reserved" : "assigned"
+        }`
+  );
+};
+
+// Gives a peer's address back. It sits out the release cooldown unless
+// `cooldown` is false (e.g. the peer was never saved).
+IPAllocationSchema.statics.release = async function (
+  server,
+  ip,
+  { cooldown = true } = {}
+) {
+  const address = ipam.normalizeAddress(ip);
+  const seconds = cooldown ? releaseCooldown() : 0;
+
+  if (seconds === 0) {
+    return this.deleteOne({ server: server._id, address, kind: "peer" });
+  }
+
+  return this.updateOne(
+    { server: server._id, address, kind: "peer" },
+    {
+      $set: {
+        kind: "cooldown",
+        availableAt: new Date(Date.now() + seconds * 1000),
+      },
+      $unset: { peer: "" },
+    }
+  );
+};
+
+IPAllocationSchema.statics.unreserve = async function (server, ip) {
+  const result = await this.deleteOne({
+    server: server._id,
+    address: ipam.normalizeAddress(ip),
+    kind: "static",
+  });
+  return result.deletedCount > 0;
+};
+
+function summarizePool(prefix, allocations) {
+  const pool = ipam.parsePool(prefix);
+  const reserved = ipam.reservedIn(pool);
+  const usable = pool.size - BigInt(reserved.length);
+  const counts = { peer: 0n, static: 0n, cooldown: 0n };
+
+  for (const allocation of allocations) {
+    const { version, value } = ipam.parseAddress(allocation.address);
+    if (version === pool.version && ipam.contains(pool, value)) {
+      counts[allocation.kind]++;
+    }
+  }
+
+  const used = counts.peer + counts.static + counts.cooldown;
+
+  return {
+    cidr: ipam.networkOf(prefix),
+    version: pool.version,
+    prefix: pool.prefix,
+    size: ipam.toJSONNumber(pool.size),
+    reserved: reserved.map((value) => ipam.formatAddress(value, pool.version)),
+    usable: ipam.toJSONNumber(usable),
+    assigned: Number(counts.peer),
+    static: Number(counts.static),
+    cooldown: Number(counts.cooldown),
+    available: ipam.toJSONNumber(usable > used ? usable - used : 0n),
+    // Percent of usable addresses, two decimals
+    utilisation: usable > 0n ? Number((used * 10000n) / usable) / 100 : 100,
+  };
+}
+
+// How full the server's pools are, one per address family. Counts are
+// numbers, or strings when they exceed what JSON numbers hold exactly
+// (large IPv6 pools).
+IPAllocationSchema.statics.getUtilisation = async function (server) {
+  await this.syncFromPeers(server);
+  await this.clearExpiredCooldowns(server);
+
+  const allocations = await this.find({ server: server._id })
+    .populate("peer", "name enabled")
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const prefixes = ipam.serverPrefixes(server);
+  const pools = prefixes.map(ipam.parsePool);
+  const inPool = (address) => {
+    const { version, value } = ipam.parseAddress(address);
+    return pools.some(
+      (pool) => pool.version === version && ipam.contains(pool, value)
+    );
+  };
+
+  return {
+    server: {
+      id: server._id,
+      name: server.name,
+      interfaceName: server.interfaceName,
+    },
+    pools: prefixes.map((prefix) => summarizePool(prefix, allocations)),
+    // Left behind by a readdressed server (or IPv6 being turned off)
+    outOfPool: allocations
+      .filter((allocation) => !inPool(allocation.address))
+      .map((allocation) => allocation.address),
+    allocations: allocations.map((allocation) => ({
+      address: allocation.address,
+      kind: allocation.kind,
+      peer: allocation.peer
+        ? {
+            id: allocation.peer._id,
+            name: allocation.peer.name,
+            enabled: allocation.peer.enabled,
+          }
+        : null,
+      note: allocation.note,
+      availableAt: allocation.availableAt,
+    })),
+  };
+};
+
+const IPAllocation = mongoose.model("IPAllocation", IPAllocationSchema);
+module.exports = IPAllocation;
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { isValidIP } = require("../utils/validators");
 
 const MTUProfileSchema = new mongoose.Schema(
   {
@@ -45,12 +46,7 @@ const MTUProfileSchema = new mongoose.Schema(
     dns: [
       {
         type: String,
-        validate: {
-          validator: function (v) {
-            return /^(\d{1,3}\.){3}\d{1,3}$/.test(v);
-          },
-          message: "Invalid IP address format",
-        },
+        validate: [isValidIP, "Invalid IP address format"],
       },
     ],
     persistentKeepalive: {
@@ -217,11 +213,17 @@ MTUProfileSchema.methods.applyToServer = async function (serverId) {
   };
 };
 
-MTUProfileSchema.methods.runTest = async function (testHost = "8.8.8.8") {
+// `benchmark` adds jitter from a series of full-size pings and throughput
+// to BENCHMARK_TARGET over `protocol` (see services/benchmark.js). The host
+// is resolved first, so ping is only ever given an address.
+MTUProfileSchema.methods.runTest = async function (
+  testHost = "8.8.8.8",
+  { benchmark, protocol } = {}
+) {
   const ping = require("ping");
-  const { exec } = require("child_process");
-  const util = require("util");
-  const execAsync = util.promisify(exec);
+  const pmtuProber = require("../services/pmtuProber");
+  const startedAt = Date.now();
+  const { address, family } = await pmtuProber.resolve(testHost);
 
   const results = {
     pingResults: [],
@@ -234,8 +236,9 @@ MTUProfileSchema.methods.runTest = async function (testHost = "8.8.8.8") {
 
   for (const size of packetSizes) {
     try {
-      const res = await ping.promise.probe(testHost, {
+      const res = await ping.promise.probe(address, {
         timeout: 2,
+        v6: family === 6,
         extra: ["-s", size.toString()],
       });
 
@@ -276,6 +279,17 @@ MTUProfileSchema.methods.runTest = async function (testHost = "8.8.8.8") {
     lastTested: new Date(),
   };
 
+  if (benchmark) {
+    const measured = await require("../services/benchmark").run(address, {
+      mtu: this.mtu,
+      protocol,
+    });
+    this.testResults.jitter = measured.jitter ?? undefined;
+    this.testResults.throughput = measured.throughput;
+    results.benchmark = measured;
+  }
+
+  this.testResults.testDuration = Math.round((Date.now() - startedAt) / 1000);
   await this.save();
 
   return {
@@ -344,6 +358,25 @@ MTUProfileSchema.methods.compareWith = async function (otherProfileId) {
       profile1Score++;
     else profile2Score++;
 
+    // Benchmarked profiles also compare on jitter and throughput
+    const mine = this.testResults;
+    const theirs = otherProfile.testResults;
+    if (typeof mine.jitter === "number" && typeof theirs.jitter === "number") {
+      comparison.differences.jitter = mine.jitter - theirs.jitter;
+      // Lower jitter is better
+      if (mine.jitter < theirs.jitter) profile1Score++;
+      else profile2Score++;
+    }
+    if (
+      typeof mine.throughput === "number" &&
+      typeof theirs.throughput === "number"
+    ) {
+      comparison.differences.throughput = mine.throughput - theirs.throughput;
+      // Higher throughput is better
+      if (mine.throughput > theirs.throughput) profile1Score++;
+      else profile2Score++;
+    }
+
     comparison.betterProfile =
       profile1Score > profile2Score
         ? this.name
@@ -0,0 +1,194 @@
+const mongoose = require("mongoose");
+
+const ACTIVE_STATUSES = ["queued", "running"];
+
+// One host at one MTU value
+const hostResultSchema = new mongoose.Schema(
+  {
+    host: String,
+    success: Boolean,
+    latency: Number,
+    median: Number,
+    p95: Number,
+    jitter: Number,
+    packetLoss: Number,
+    rtts: [Number],
+    error: String,
+  },
+  { _id: false }
+);
+
+// One MTU value over all hosts; latency is the mean of the host medians
+const resultSchema = new mongoose.Schema(
+  {
+    mtu: Number,
+    success: Boolean,
+    hostsAnswered: Number,
+    latency: Number,
+    packetLoss: Number,
+    jitter: Number,
+    throughput: Number,
+    score: Number,
+    hosts: [hostResultSchema],
+    error: String,
+  },
+  { _id: false }
+);
+
+// One host over the whole sweep
+const hostSummarySchema = new mongoose.Schema(
+  {
+    host: String,
+    address: String,
+    family: Number,
+    answered: Boolean,
+    maxMTU: Number,
+    failedMTUs: [Number],
+    replies: Number,
+    median: Number,
+    p90: Number,
+    p95: Number,
+    packetLoss: Number,
+    error: String,
+  },
+  { _id: false }
+);
+
+// One MTU sweep on an interface, kept after it finishes so runs can be
+// compared over time. services/mtuTestJobs.js runs them in the background.
+const MTUTestRunSchema = new mongoose.Schema(
+  {
+    server: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Server",
+      required: [true, "Server is required"],
+    },
+    interfaceName: {
+      type: String,
+      required: [true, "Interface name is required"],
+    },
+    status: {
+      type: String,
+      enum: ["queued", "running", "completed", "failed", "cancelled"],
+      default: "queued",
+    },
+    config: {
+      mtuValues: [Number],
+      min: Number,
+      max: Number,
+      step: Number,
+      count: Number,
+      hosts: [String],
+      testHost: String,
+      benchmark: Boolean,
+      benchmarkProtocol: String,
+    },
+    originalMTU: Number,
+    progress: {
+      completed: { type: Number, default: 0 },
+      total: { type: Number, default: 0 },
+      currentMTU: Number,
+    },
+    results: [resultSchema],
+    hosts: [hostSummarySchema],
+    bestMTU: Number,
+    maxCommonMTU: Number,
+    recommendation: mongoose.Schema.Types.Mixed,
+    error: String,
+    startedBy: {
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      username: String,
+    },
+    startedAt: Date,
+    finishedAt: Date,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Virtual for duration in seconds
+MTUTestRunSchema.virtual("duration").get(function () {
+  if (!this.startedAt) return null;
+  return Math.round(((this.finishedAt || new Date()) - this.startedAt) / 1000);
+});
+
+MTUTestRunSchema.virtual("isActive").get(function () {
+  return ACTIVE_STATUSES.includes(this.status);
+});
+
+// Indexes
+MTUTestRunSchema.index({ server: 1, createdAt: -1 });
+MTUTestRunSchema.index({ status: 1 });
+
+// Instance Methods
+
+// Side by side per MTU value both runs tested, with the score difference
+// (positive when this run scored higher)
+MTUTestRunSchema.methods.compareWith = async function (otherRunId) {
+  const MTUTestRun = mongoose.model("MTUTestRun");
+  const other = await MTUTestRun.findById(otherRunId);
+
+  if (!other) {
+    throw new Error("Comparison run not found");
+  }
+
+  const summary = (run) => ({
+    id: run._id,
+    interfaceName: run.interfaceName,
+    status: run.status,
+    hosts: run.hosts.length
+      ? run.hosts.map((host) => host.host)
+      : [run.config?.testHost].filter(Boolean),
+    bestMTU: run.bestMTU,
+    maxCommonMTU: run.maxCommonMTU,
+    startedAt: run.startedAt,
+  });
+
+  const byMTU = (run) =>
+    new Map(run.results.map((result) => [result.mtu, result]));
+  const mine = byMTU(this);
+  const theirs = byMTU(other);
+
+  const mtus = [...new Set([...mine.keys(), ...theirs.keys()])].sort(
+    (a, b) => a - b
+  );
+
+  return {
+    run1: summary(this),
+    run2: summary(other),
+    results: mtus.map((mtu) => {
+      const a = mine.get(mtu);
+      const b = theirs.get(mtu);
+      return {
+        mtu,
+        run1: a || null,
+        run2: b || null,
+        scoreDifference: a && b ? a.score - b.score : null,
+        latencyDifference:
+          a?.success && b?.success ? a.latency - b.latency : null,
+        throughputDifference:
+          typeof a?.throughput === "number" && typeof b?.throughput === "number"
+            ? a.throughput - b.throughput
+            : null,
+      };
+    }),
+    bestMTUChanged: this.bestMTU !== other.bestMTU,
+  };
+};
+
+// Static Methods
+MTUTestRunSchema.statics.findActive = function (server) {
+  return this.findOne({
+    server: server._id || server,
+    status: { $in: ACTIVE_STATUSES },
+  });
+};
+
+const MTUTestRun = mongoose.model("MTUTestRun", MTUTestRunSchema);
+module.exports = MTUTestRun;
@@ -1,6 +1,37 @@
 const mongoose = require("mongoose");
 const { v4: uuidv4 } = require("uuid");
 const QRCode = require("qrcode");
+const keys = require("../utils/keys");
+const IPAllocation = require("./IPAllocation");
+const {
+  isValidKey,
+  isValidIP,
+  isValidHost,
+  isValidIPv4,
+  isValidIPv6,
+  isValidCIDR,
+} = require("../utils/validators");
+const { formatEndpoint } = require("../utils/configRenderer");
+
+// WireGuard re-keys every two minutes and gives up after three, so a peer
+// without a handshake in that window is no longer connected
+const HANDSHAKE_TIMEOUT = 180 * 1000;
+
+// `day` of the month `months` after `date`, clamped to the month's last day
+// (a cycle on the 31st resets on Feb 28, then Mar 31 again)
+function addMonths(date, months, day = new Date(date).getUTCDate()) {
+  const result = new Date(date);
+
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+
+  const lastDay = new Date(
+    Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)
+  ).getUTCDate();
+  result.setUTCDate(Math.min(day, lastDay));
+
+  return result;
+}
 
 const PeerSchema = new mongoose.Schema(
   {
@@ -42,25 +73,35 @@ const PeerSchema = new mongoose.Schema(
       required: [true, "Public key is required"],
       unique: true,
       index: true,
+      validate: [isValidKey, "Invalid WireGuard public key"],
     },
+    // Absent for peers imported from an existing config or the live
+    // interface; only the client ever had their private key
     privateKey: {
       type: String,
-      required: [true, "Private key is required"],
       select: false,
+      validate: [isValidKey, "Invalid WireGuard private key"],
     },
     presharedKey: {
       type: String,
       select: false,
+      validate: [isValidKey, "Invalid WireGuard preshared key"],
     },
     allowedIPs: [
       {
         type: String,
         required: [true, "At least one allowed IP is required"],
-        match: [/^(\d{1,3}\.){3}\d{1,3}\/\d{1,2}$/, "Invalid CIDR notation"],
+        validate: [isValidCIDR, "Invalid CIDR notation"],
       },
     ],
     endpoint: {
-      host: String,
+      host: {
+        type: String,
+        validate: [
+          (host) => !host || isValidHost(host),
+          "Endpoint host must be an IP address or host name",
+        ],
+      },
       port: {
         type: Number,
         min: [1, "Port must be at least 1"],
@@ -76,17 +117,17 @@ const PeerSchema = new mongoose.Schema(
     assignedIP: {
       type: String,
       required: [true, "Assigned IP is required"],
-      match: [/^(\d{1,3}\.){3}\d{1,3}$/, "Invalid IP address"],
+      validate: [isValidIPv4, "Invalid IP address"],
+    },
+    // Taken from the server's address6 pool while it has IPv6 enabled
+    assignedIP6: {
+      type: String,
+      validate: [isValidIPv6, "Invalid IPv6 address"],
     },
     dns: [
       {
         type: String,
-        validate: {
-          validator: function (v) {
-            return /^(\d{1,3}\.){3}\d{1,3}$/.test(v);
-          },
-          message: "Invalid IP address format",
-        },
+        validate: [isValidIP, "Invalid IP address format"],
       },
     ],
     mtu: {
@@ -95,7 +136,14 @@ const PeerSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["connected", "disconnected", "pending", "error", "disabled"],
+      enum: [
+        "connected",
+        "disconnected",
+        "pending",
+        "error",
+        "disabled",
+        "expired",
+      ],
       default: "pending",
     },
     lastHandshake: Date,
@@ -117,6 +165,12 @@ const PeerSchema = new mongoose.Schema(
       download: { type: Number, default: 0 },
       upload: { type: Number, default: 0 },
     },
+    // Raw wg counters from the last collection, used to compute deltas
+    counters: {
+      received: { type: Number, default: 0 },
+      sent: { type: Number, default: 0 },
+      sampledAt: Date,
+    },
     clientInfo: {
       deviceName: String,
       platform: String,
@@ -161,14 +215,34 @@ const PeerSchema = new mongoose.Schema(
       enum: ["full", "restricted", "guest"],
       default: "guest",
     },
+    // kbit/s, 0 = unlimited; applied with tc by the WireGuard service
     bandwidthLimit: {
-      download: { type: Number, default: 0 },
-      upload: { type: Number, default: 0 },
+      download: {
+        type: Number,
+        default: 0,
+        min: [0, "Bandwidth limit cannot be negative"],
+      },
+      upload: {
+        type: Number,
+        default: 0,
+        min: [0, "Bandwidth limit cannot be negative"],
+      },
     },
+    // Monthly quota in bytes (0 = unlimited). resetDate is the start of the
+    // current billing cycle; the cycle rolls over a month later.
     dataLimit: {
       monthly: { type: Number, default: 0 },
       used: { type: Number, default: 0 },
       resetDate: { type: Date, default: Date.now },
+      topUp: {
+        type: Number,
+        default: 0,
+        min: [0, "Top-up cannot be negative"],
+      },
+      // Day of month the cycle resets on, fixed when the first cycle rolls
+      billingDay: { type: Number, min: 1, max: 31 },
+      warnedThresholds: [Number],
+      exceededAt: Date,
     },
     usePresharedKey: {
       type: Boolean,
@@ -182,6 +256,14 @@ const PeerSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Destinations a restricted (or full) peer may reach beyond the tunnel;
+    // enforced by the firewall, see utils/peerPolicy.js
+    allowedSubnets: [
+      {
+        type: String,
+        validate: [isValidCIDR, "Invalid CIDR notation"],
+      },
+    ],
     configGenerated: {
       type: Boolean,
       default: false,
@@ -206,7 +288,31 @@ const PeerSchema = new mongoose.Schema(
       type: Date,
       default: Date.now,
     },
+    // At expiresAt the peer keeps working for expiryGraceHours, then the
+    // expiry scheduler removes it from WireGuard and marks it expired
     expiresAt: Date,
+    expiryGraceHours: {
+      type: Number,
+      default: () => parseInt(process.env.PEER_EXPIRY_GRACE_HOURS) || 0,
+      min: [0, "Grace period cannot be negative"],
+    },
+    // Days-before-expiry thresholds already warned about
+    expiryWarnings: [Number],
+    expiredAt: Date,
+    disabledReason: {
+      type: String,
+      enum: ["manual", "quota", "expired"],
+    },
+    disabledAt: Date,
+    // A peer already disabled when it expired gets this disable back on
+    // renewal, so expiry never undoes a manual or quota disable
+    disabledBeforeExpiry: {
+      reason: {
+        type: String,
+        enum: ["manual", "quota"],
+      },
+      at: Date,
+    },
     lastKeyRotation: Date,
     createdAt: {
       type: Date,
@@ -237,6 +343,14 @@ PeerSchema.virtual("isExpired").get(function () {
   return new Date() > this.expiresAt;
 });
 
+// When the grace period after expiresAt runs out
+PeerSchema.virtual("expiryDeadline").get(function () {
+  if (!this.expiresAt) return null;
+  return new Date(
+    this.expiresAt.getTime() + (this.expiryGraceHours || 0) * 60 * 60 * 1000
+  );
+});
+
 PeerSchema.virtual("needsKeyRotation").get(function () {
   if (!this.keyRotationDate) return false;
   const rotationDate = new Date(this.keyRotationDate);
@@ -248,9 +362,23 @@ PeerSchema.virtual("totalData").get(function () {
   return this.dataTransferred.received + this.dataTransferred.sent;
 });
 
+PeerSchema.virtual("dataLimitTotal").get(function () {
+  if (this.dataLimit.monthly === 0) return 0;
+  return this.dataLimit.monthly + (this.dataLimit.topUp || 0);
+});
+
 PeerSchema.virtual("dataLimitPercentage").get(function () {
   if (this.dataLimit.monthly === 0) return 0;
-  return (this.dataLimit.used / this.dataLimit.monthly) * 100;
+  return (this.dataLimit.used / this.dataLimitTotal) * 100;
+});
+
+PeerSchema.virtual("dataLimitNextReset").get(function () {
+  if (!this.dataLimit.resetDate) return null;
+  return addMonths(
+    this.dataLimit.resetDate,
+    1,
+    this.dataLimit.billingDay || this.dataLimit.resetDate.getUTCDate()
+  );
 });
 
 PeerSchema.virtual("isConnected").get(function () {
@@ -267,7 +395,7 @@ PeerSchema.index({ "isp.type": 1 });
 PeerSchema.index({ createdAt: -1 });
 PeerSchema.index({ "dataTransferred.received": -1 });
 PeerSchema.index({ tags: 1 });
-PeerSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+PeerSchema.index({ expiresAt: 1 });
 
 // Middleware
 PeerSchema.pre("save", async function (next) {
@@ -350,15 +478,33 @@ PeerSchema.methods.generateConfig = async function () {
     throw new Error("Server not found");
   }
 
+  const privateKey =
+    this.privateKey ||
+    (await this.constructor.findById(this._id).select("+privateKey").lean())
+      ?.privateKey;
+  if (!privateKey) {
+    throw new Error(
+      "Peer has no private key on record; rotate its keys to issue a config"
+    );
+  }
+
   const config = [];
   config.push("[Interface]");
-  config.push(`PrivateKey = ${this.privateKey}`);
-  config.push(`Address = ${this.assignedIP}/32`);
+  config.push(`PrivateKey = ${privateKey}`);
+  const dualStack = server.enableIPv6 && !!this.assignedIP6;
+  config.push(
+    `Address = ${[
+      `${this.assignedIP}/32`,
+      ...(dualStack ? [`${this.assignedIP6}/128`] : []),
+    ].join(", ")}`
+  );
 
-  if (this.dns && this.dns.length > 0) {
-    config.push(`DNS = ${this.dns.join(", ")}`);
-  } else if (server.dns && server.dns.length > 0) {
-    config.push(`DNS = ${server.dns.join(", ")}`);
+  // IPv6 resolvers are only reachable through a dual-stack tunnel
+  const dns = (this.dns?.length > 0 ? this.dns : server.dns || []).filter(
+    (ip) => dualStack || !isValidIPv6(ip)
+  );
+  if (dns.length > 0) {
+    config.push(`DNS = ${dns.join(", ")}`);
   }
 
   if (this.mtu) {
@@ -371,9 +517,19 @@ PeerSchema.methods.generateConfig = async function () {
   config.push("[Peer]");
   config.push(`PublicKey = ${server.publicKey}`);
 
+  // Peer.endpoint is where the client was last seen; the client connects to
+  // the server's public host
   if (server.listenPort) {
-    const endpointHost = this.endpoint?.host || server.address.split("/")[0];
-    config.push(`Endpoint = ${endpointHost}:${server.listenPort}`);
+    const endpointHost =
+      server.endpointHost ||
+      process.env.WG_ENDPOINT_HOST ||
+      server.address.split("/")[0];
+    config.push(
+      `Endpoint = ${formatEndpoint({
+        host: endpointHost,
+        port: server.listenPort,
+      })}`
+    );
   }
 
   config.push(`AllowedIPs = ${this.allowedIPs.join(", ")}`);
@@ -413,21 +569,60 @@ PeerSchema.methods.updateTransferStats = function (received, sent) {
   return this.save();
 };
 
+// Turns raw wg counters into deltas since the last sample. The counters
+// restart at zero when the interface or peer is re-created, in which case
+// everything counted so far is new traffic.
+PeerSchema.methods.applyCounters = function (received, sent, sampledAt) {
+  const previous = this.counters || {};
+  const delta = {
+    received:
+      received >= (previous.received || 0)
+        ? received - (previous.received || 0)
+        : received,
+    sent: sent >= (previous.sent || 0) ? sent - (previous.sent || 0) : sent,
+  };
+
+  if (previous.sampledAt) {
+    const elapsed = (sampledAt - previous.sampledAt) / 1000;
+    if (elapsed > 0) {
+      this.transferRate.download = Math.round(delta.received / elapsed);
+      this.transferRate.upload = Math.round(delta.sent / elapsed);
+    }
+  }
+
+  this.counters = { received, sent, sampledAt };
+  return delta;
+};
+
 PeerSchema.methods.resetDataLimit = function () {
   this.dataLimit.used = 0;
   this.dataLimit.resetDate = new Date();
+  this.dataLimit.topUp = 0;
+  this.dataLimit.warnedThresholds = [];
+  this.dataLimit.exceededAt = null;
   return this.save();
 };
 
-PeerSchema.methods.rotateKeys = async function () {
-  const { exec } = require("child_process");
-  const util = require("util");
-  const execAsync = util.promisify(exec);
+// Starts the billing cycle that contains `now`, keeping the cycle's day of
+// month, and clears usage, top-ups and warnings
+PeerSchema.methods.rollBillingCycle = function (now = new Date()) {
+  let start = this.dataLimit.resetDate || now;
+  const day = this.dataLimit.billingDay || start.getUTCDate();
+
+  while (addMonths(start, 1, day) <= now) {
+    start = addMonths(start, 1, day);
+  }
 
-  const privateKey = (await execAsync("wg genkey")).stdout.trim();
-  const publicKey = (
-    await execAsync(`echo "${privateKey}" | wg pubkey`)
-  ).stdout.trim();
+  this.dataLimit.billingDay = day;
+  this.dataLimit.resetDate = start;
+  this.dataLimit.used = 0;
+  this.dataLimit.topUp = 0;
+  this.dataLimit.warnedThresholds = [];
+  this.dataLimit.exceededAt = null;
+};
+
+PeerSchema.methods.rotateKeys = async function () {
+  const { privateKey, publicKey } = keys.generateKeyPair();
 
   this.privateKey = privateKey;
   this.publicKey = publicKey;
@@ -450,8 +645,10 @@ PeerSchema.methods.toClientJSON = function () {
 
   obj.connectionDuration = this.connectionDuration;
   obj.isExpired = this.isExpired;
+  obj.expiryDeadline = this.expiryDeadline;
   obj.totalData = this.totalData;
   obj.dataLimitPercentage = this.dataLimitPercentage;
+  obj.dataLimitNextReset = this.dataLimitNextReset;
   obj.isConnected = this.isConnected;
 
   return obj;
@@ -463,6 +660,7 @@ PeerSchema.methods.toConfigJSON = function () {
     name: this.name,
     publicKey: this.publicKey,
     assignedIP: this.assignedIP,
+    assignedIP6: this.assignedIP6,
     allowedIPs: this.allowedIPs,
     dns: this.dns,
     mtu: this.mtu,
@@ -476,6 +674,28 @@ PeerSchema.methods.toConfigJSON = function () {
 };
 
 // Static Methods
+
+// Older databases carry a TTL index on expiresAt that deletes expired peers
+// outright; it has to go before the plain index can be created
+PeerSchema.statics.dropExpiryTTLIndex = async function () {
+  const indexes = await this.collection.indexes().catch(() => []);
+  const ttl = indexes.find(
+    (index) => index.key.expiresAt && index.expireAfterSeconds !== undefined
+  );
+
+  if (ttl) {
+    await this.collection.dropIndex(ttl.name);
+    console.log("🗑️  Dropped TTL index on peers.expiresAt");
+  }
+};
+
+PeerSchema.statics.isHandshakeFresh = function (
+  lastHandshake,
+  now = new Date()
+) {
+  return !!lastHandshake && now - lastHandshake < HANDSHAKE_TIMEOUT;
+};
+
 PeerSchema.statics.findByServer = function (serverId) {
   return this.find({ server: serverId })
     .populate("server", "name interfaceName publicKey listenPort address")
@@ -588,28 +808,40 @@ PeerSchema.statics.generateNewPeer = async function (serverId, peerData = {}) {
     throw new Error("Server not found");
   }
 
-  const { exec } = require("child_process");
-  const util = require("util");
-  const execAsync = util.promisify(exec);
-
   // Generate keys
-  const privateKey = (await execAsync("wg genkey")).stdout.trim();
-  const publicKey = (
-    await execAsync(`echo "${privateKey}" | wg pubkey`)
-  ).stdout.trim();
+  const { privateKey, publicKey } = keys.generateKeyPair();
 
   // Generate preshared key if requested
   let presharedKey = null;
   if (peerData.usePresharedKey) {
-    presharedKey = (await execAsync("wg genpsk")).stdout.trim();
+    presharedKey = keys.generatePresharedKey();
   }
 
-  // Determine assigned IP
-  const assignedIP =
-    peerData.assignedIP || (await this._getNextAvailableIP(server));
+  // Take the address from the pool first; the allocation's unique index
+  // is what keeps two concurrent peers off the same IP
+  const peerId = new mongoose.Types.ObjectId();
+  const assignedIP = peerData.assignedIP
+    ? await IPAllocation.claim(server, peerData.assignedIP, { peer: peerId })
+    : await IPAllocation.allocate(server, peerId);
+
+  // Dual-stack servers give every peer one address from each family
+  let assignedIP6;
+  if (server.enableIPv6) {
+    try {
+      assignedIP6 = peerData.assignedIP6
+        ? await IPAllocation.claim(server, peerData.assignedIP6, {
+            peer: peerId,
+          })
+        : await IPAllocation.allocate(server, peerId, { version: 6 });
+    } catch (error) {
+      await IPAllocation.release(server, assignedIP, { cooldown: false });
+      throw error;
+    }
+  }
 
   const peer = new this({
     ...peerData,
+    _id: peerId,
     server: server._id,
     serverId: server.serverId,
     interfaceName: server.interfaceName,
@@ -617,7 +849,10 @@ PeerSchema.statics.generateNewPeer = async function (serverId, peerData = {}) {
     publicKey,
     presharedKey,
     assignedIP,
-    allowedIPs: peerData.allowedIPs || ["0.0.0.0/0"],
+    assignedIP6,
+    allowedIPs:
+      peerData.allowedIPs ||
+      (server.enableIPv6 ? ["0.0.0.0/0", "::/0"] : ["0.0.0.0/0"]),
     mtu: peerData.mtu || server.mtu,
     dns: peerData.dns || server.dns,
     isp: {
@@ -626,29 +861,15 @@ PeerSchema.statics.generateNewPeer = async function (serverId, peerData = {}) {
     },
   });
 
-  await peer.save();
-  return peer;
-};
-
-PeerSchema.statics._getNextAvailableIP = async function (server) {
-  // Get all peers for this server
-  const peers = await this.find({ server: server._id });
-
-  // Parse server network
-  const serverIP = server.address.split("/")[0];
-  const serverParts = serverIP.split(".").map(Number);
-
-  // Find next available IP in the subnet (starting from .2)
-  for (let i = 2; i <= 254; i++) {
-    const candidateIP = `${serverParts[0]}.${serverParts[1]}.${serverParts[2]}.${i}`;
-
-    const isUsed = peers.some((peer) => peer.assignedIP === candidateIP);
-    if (!isUsed) {
-      return candidateIP;
+  try {
+    await peer.save();
+  } catch (error) {
+    for (const ip of [assignedIP, assignedIP6].filter(Boolean)) {
+      await IPAllocation.release(server, ip, { cooldown: false });
     }
+    throw error;
   }
-
-  throw new Error("No available IP addresses in the subnet");
+  return peer;
 };
 
 const Peer = mongoose.model("Peer", PeerSchema);
@@ -1,5 +1,16 @@
 const mongoose = require("mongoose");
 const { v4: uuidv4 } = require("uuid");
+const { derivePublicKey } = require("../utils/keys");
+const {
+  isValidKey,
+  isValidIP,
+  isValidCIDR,
+  isValidIPv4CIDR,
+  isValidIPv6CIDR,
+} = require("../utils/validators");
+const ipam = require("../utils/ipam");
+const { renderServerConfig } = require("../utils/configRenderer");
+const wgConfig = require("../utils/wgConfig");
 
 const ServerSchema = new mongoose.Schema(
   {
@@ -41,19 +52,33 @@ const ServerSchema = new mongoose.Schema(
       min: [1024, "Port must be at least 1024"],
       max: [65535, "Port cannot exceed 65535"],
     },
+    // Public host name or IP clients connect to
+    endpointHost: {
+      type: String,
+      trim: true,
+    },
     address: {
       type: String,
       required: [true, "Server address is required"],
-      match: [/^(\d{1,3}\.){3}\d{1,3}\/\d{1,2}$/, "Invalid CIDR notation"],
+      validate: [isValidIPv4CIDR, "Invalid CIDR notation"],
+    },
+    // IPv6 side of a dual-stack tunnel, e.g. "fd42:42:42::1/64"; only used
+    // while enableIPv6 is on
+    address6: {
+      type: String,
+      trim: true,
+      validate: [isValidIPv6CIDR, "Invalid IPv6 CIDR notation"],
     },
     privateKey: {
       type: String,
       required: [true, "Private key is required"],
       select: false,
+      validate: [isValidKey, "Invalid WireGuard private key"],
     },
     publicKey: {
       type: String,
       required: [true, "Public key is required"],
+      validate: [isValidKey, "Invalid WireGuard public key"],
     },
     ispProfile: {
       type: String,
@@ -69,12 +94,7 @@ const ServerSchema = new mongoose.Schema(
     dns: [
       {
         type: String,
-        validate: {
-          validator: function (v) {
-            return /^(\d{1,3}\.){3}\d{1,3}$/.test(v);
-          },
-          message: "Invalid IP address format",
-        },
+        validate: [isValidIP, "Invalid IP address format"],
       },
     ],
     persistentKeepalive: {
@@ -112,6 +132,13 @@ const ServerSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // nat66: address6 is private (ULA) and masqueraded on the way out;
+    // routed: address6 is a global prefix routed to this host, forwarded as-is
+    ipv6Mode: {
+      type: String,
+      enum: ["nat66", "routed"],
+      default: "nat66",
+    },
     enableRouting: {
       type: Boolean,
       default: true,
@@ -127,19 +154,27 @@ const ServerSchema = new mongoose.Schema(
     allowedIPs: [
       {
         type: String,
-        match: [/^(\d{1,3}\.){3}\d{1,3}\/\d{1,2}$/, "Invalid CIDR notation"],
+        validate: [isValidCIDR, "Invalid CIDR notation"],
       },
     ],
     blockedIPs: [
       {
         type: String,
-        match: [/^(\d{1,3}\.){3}\d{1,3}\/\d{1,2}$/, "Invalid CIDR notation"],
+        validate: [isValidCIDR, "Invalid CIDR notation"],
       },
     ],
     monitoring: {
       enabled: { type: Boolean, default: true },
       checkInterval: { type: Number, default: 60 },
       alertThreshold: { type: Number, default: 90 },
+      lastCheck: Date,
+    },
+    // Last comparison of database, config file and live interface
+    drift: {
+      checkedAt: Date,
+      inSync: Boolean,
+      differences: { type: Number, default: 0 },
+      detectedAt: Date,
     },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
@@ -205,11 +240,27 @@ ServerSchema.index({ "totalDataTransferred.sent": -1 });
 ServerSchema.index({ tags: 1 });
 
 // Middleware
+ServerSchema.pre("validate", function (next) {
+  if (this.enableIPv6 && !this.address6) {
+    this.invalidate("address6", "An IPv6 address is required to enable IPv6");
+  }
+
+  // Stored in canonical form so it compares equal to what `ip` reports
+  if (this.address6 && isValidIPv6CIDR(this.address6)) {
+    const [ip, prefix] = this.address6.split("/");
+    this.address6 = `${ipam.normalizeAddress(ip)}/${prefix}`;
+  }
+
+  next();
+});
+
 ServerSchema.pre("save", function (next) {
   this.updatedAt = Date.now();
 
   if (
     this.isModified("address") ||
+    this.isModified("address6") ||
+    this.isModified("enableIPv6") ||
     this.isModified("listenPort") ||
     this.isModified("privateKey")
   ) {
@@ -221,35 +272,19 @@ ServerSchema.pre("save", function (next) {
 
 ServerSchema.pre("save", async function (next) {
   if (this.dns && this.dns.length === 0) {
-    this.dns = ["8.8.8.8", "8.8.4.4"];
+    this.dns = this.enableIPv6
+      ? ["8.8.8.8", "8.8.4.4", "2001:4860:4860::8888", "2001:4860:4860::8844"]
+      : ["8.8.8.8", "8.8.4.4"];
   }
   next();
 });
 
 // Instance Methods
-ServerSchema.methods.getConfigContent = function () {
-  const config = [];
-
-  config.push("[Interface]");
-  config.push(`Address = ${this.address}`);
-  config.push(`ListenPort = ${this.listenPort}`);
-  config.push(`PrivateKey = ${this.privateKey}`);
-
-  if (this.mtu) {
-    config.push(`MTU = ${this.mtu}`);
-  }
-
-  if (this.dns && this.dns.length > 0) {
-    config.push(`DNS = ${this.dns.join(", ")}`);
-  }
-
-  if (!this.enableIPv6) {
-    config.push("DisableIPv6 = true");
-  }
 
-  config.push("");
-
-  return config.join("\n");
+// Full wg-quick file; needs privateKey selected and the enabled peers
+// (with presharedKey) passed in
+ServerSchema.methods.getConfigContent = function (peers = []) {
+  return renderServerConfig(this, peers);
 };
 
 ServerSchema.methods.toPublicJSON = function () {
@@ -367,53 +402,32 @@ ServerSchema.statics.createFromConfig = async function (
 ) {
   const fs = require("fs").promises;
   const path = require("path");
-  const { exec } = require("child_process");
-  const util = require("util");
-  const execAsync = util.promisify(exec);
 
   const fullPath = path.join(configPath, `${interfaceName}.conf`);
   const configContent = await fs.readFile(fullPath, "utf8");
 
-  const lines = configContent.split("\n");
-  const interfaceData = {};
-  let inInterface = false;
-
-  for (const line of lines) {
-    const trimmed = line.trim();
-
-    if (trimmed === "[Interface]") {
-      inInterface = true;
-      continue;
-    } else if (trimmed.startsWith("[")) {
-      inInterface = false;
-      continue;
-    }
-
-    if (inInterface && trimmed) {
-      const [key, value] = trimmed.split("=").map((s) => s.trim());
-      if (key && value) {
-        interfaceData[key] = value;
-      }
-    }
-  }
+  const { interface: interfaceData } = wgConfig.flatten(
+    wgConfig.parse(configContent)
+  );
 
   if (!interfaceData.PrivateKey) {
     throw new Error("No private key found in config");
   }
 
-  const publicKey = (
-    await execAsync(`echo "${interfaceData.PrivateKey}" | wg pubkey`)
-  ).stdout.trim();
+  const publicKey = derivePublicKey(interfaceData.PrivateKey);
 
   const server = new this({
     name: interfaceName,
     interfaceName: interfaceName,
-    address: interfaceData.Address || "10.0.0.1/24",
+    address: "10.0.0.1/24",
+    ...ipam.prefixFields(interfaceData.Address),
     listenPort: parseInt(interfaceData.ListenPort) || 51820,
     privateKey: interfaceData.PrivateKey,
     publicKey: publicKey,
     mtu: parseInt(interfaceData.MTU) || 1420,
-    dns: interfaceData.DNS ? interfaceData.DNS.split(", ") : [],
+    dns: interfaceData.DNS
+      ? interfaceData.DNS.split(",").map((dns) => dns.trim())
+      : [],
     configPath: configPath,
     status: "inactive",
   });
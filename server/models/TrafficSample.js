@@ -0,0 +1,152 @@
+const mongoose = require("mongoose");
+
+// Traffic is kept at three resolutions, each in its own MongoDB time-series
+// collection with its own retention. The collector writes minute samples;
+// services/trafficRollup.js folds them into hourly and daily buckets.
+const RESOLUTIONS = {
+  minute: {
+    collection: "traffic_samples",
+    granularity: "minutes",
+    retention: 24 * 60 * 60,
+    bucketMs: 60 * 1000,
+  },
+  hour: {
+    collection: "traffic_samples_hourly",
+    granularity: "hours",
+    retention: 30 * 24 * 60 * 60,
+    bucketMs: 60 * 60 * 1000,
+  },
+  day: {
+    collection: "traffic_samples_daily",
+    granularity: "hours",
+    retention: 365 * 24 * 60 * 60,
+    bucketMs: 24 * 60 * 60 * 1000,
+  },
+};
+
+function createSchema(resolution) {
+  const schema = new mongoose.Schema(
+    {
+      timestamp: {
+        type: Date,
+        required: true,
+      },
+      meta: {
+        peer: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Peer",
+          required: true,
+        },
+        server: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Server",
+          required: true,
+        },
+      },
+      // Bytes moved during the sample, from the server's point of view
+      rx: { type: Number, default: 0 },
+      tx: { type: Number, default: 0 },
+    },
+    {
+      collection: RESOLUTIONS[resolution].collection,
+      timeseries: {
+        timeField: "timestamp",
+        metaField: "meta",
+        granularity: RESOLUTIONS[resolution].granularity,
+      },
+      expireAfterSeconds: RESOLUTIONS[resolution].retention,
+      versionKey: false,
+    }
+  );
+
+  schema.index({ "meta.peer": 1, timestamp: 1 });
+  schema.index({ "meta.server": 1, timestamp: 1 });
+
+  // Static Methods
+
+  // rx/tx summed into buckets of `unit` ("minute", "hour" or "day")
+  schema.statics.series = function (match, from, to, unit) {
+    return this.aggregate([
+      { $match: { ...match, timestamp: { $gte: from, $lt: to } } },
+      {
+        $group: {
+          _id: { $dateTrunc: { date: "$timestamp", unit } },
+          rx: { $sum: "$rx" },
+          tx: { $sum: "$tx" },
+        },
+      },
+      { $sort: { _id: 1 } },
+      { $project: { _id: 0, timestamp: "$_id", rx: 1, tx: 1 } },
+    ]);
+  };
+
+  // Per-peer sums of [from, to) truncated to `unit`, ready to insert into a
+  // coarser resolution
+  schema.statics.rollup = function (from, to, unit) {
+    return this.aggregate([
+      { $match: { timestamp: { $gte: from, $lt: to } } },
+      {
+        $group: {
+          _id: {
+            peer: "$meta.peer",
+            server: "$meta.server",
+            timestamp: { $dateTrunc: { date: "$timestamp", unit } },
+          },
+          rx: { $sum: "$rx" },
+          tx: { $sum: "$tx" },
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          timestamp: "$_id.timestamp",
+          meta: { peer: "$_id.peer", server: "$_id.server" },
+          rx: 1,
+          tx: 1,
+        },
+      },
+    ]);
+  };
+
+  return schema;
+}
+
+const TrafficSample = mongoose.model("TrafficSample", createSchema("minute"));
+const TrafficSampleHourly = mongoose.model(
+  "TrafficSampleHourly",
+  createSchema("hour")
+);
+const TrafficSampleDaily = mongoose.model(
+  "TrafficSampleDaily",
+  createSchema("day")
+);
+
+const MODELS = {
+  minute: TrafficSample,
+  hour: TrafficSampleHourly,
+  day: TrafficSampleDaily,
+};
+
+// Picks the finest resolution still retained at `from` and clamps the
+// requested granularity to it, so old ranges fall back to coarser data
+TrafficSample.resolve = function (from, granularity, now = new Date()) {
+  const order = ["minute", "hour", "day"];
+  // A few minutes of slack so "the last 24 hours" still reads minute data
+  const age = (now - from) / 1000 - 5 * 60;
+  const source =
+    order.find((resolution) => age <= RESOLUTIONS[resolution].retention) ||
+    "day";
+
+  const unit =
+    order.indexOf(granularity) >= order.indexOf(source) ? granularity : source;
+
+  return { model: MODELS[source], source, unit };
+};
+
+TrafficSample.forResolution = function (resolution) {
+  return MODELS[resolution];
+};
+
+TrafficSample.RESOLUTIONS = RESOLUTIONS;
+
+module.exports = TrafficSample;
@@ -0,0 +1,150 @@
+const mongoose = require("mongoose");
+const bcrypt = require("bcryptjs");
+const { ROLES } = require("../config/roles");
+
+const SALT_ROUNDS = parseInt(process.env.BCRYPT_SALT_ROUNDS) || 12;
+
+// Compared against for unknown usernames so they take as long as known ones
+const DUMMY_HASH = bcrypt.hashSync("not-a-real-password", SALT_ROUNDS);
+
+const UserSchema = new mongoose.Schema(
+  {
+    username: {
+      type: String,
+      required: [true, "Username is required"],
+      unique: true,
+      trim: true,
+      lowercase: true,
+      minlength: [3, "Username must be at least 3 characters"],
+      maxlength: [50, "Username cannot exceed 50 characters"],
+      match: [
+        /^[a-z0-9._-]+$/,
+        "Username may only contain letters, numbers, dots, dashes and underscores",
+      ],
+    },
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Name cannot exceed 100 characters"],
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, "Invalid email address"],
+    },
+    password: {
+      type: String,
+      required: [true, "Password is required"],
+      minlength: [8, "Password must be at least 8 characters"],
+      select: false,
+    },
+    role: {
+      type: String,
+      enum: Object.keys(ROLES),
+      default: "support",
+    },
+    // Limits the user to these servers, or servers carrying these tags.
+    // Both empty means every server.
+    scope: {
+      servers: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Server",
+        },
+      ],
+      tags: [
+        {
+          type: String,
+          trim: true,
+        },
+      ],
+    },
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+    mustChangePassword: {
+      type: Boolean,
+      default: false,
+    },
+    lastLogin: Date,
+    lastLoginIP: String,
+    loginCount: {
+      type: Number,
+      default: 0,
+    },
+    passwordChangedAt: Date,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+UserSchema.index({ role: 1 });
+UserSchema.index({ enabled: 1 });
+
+// Middleware
+UserSchema.pre("save", async function (next) {
+  if (!this.isModified("password")) return next();
+
+  this.password = await bcrypt.hash(this.password, SALT_ROUNDS);
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date();
+  }
+  next();
+});
+
+// Instance Methods
+UserSchema.methods.comparePassword = function (candidate) {
+  return bcrypt.compare(candidate, this.password);
+};
+
+UserSchema.methods.recordLogin = function (ip) {
+  this.lastLogin = new Date();
+  this.lastLoginIP = ip;
+  this.loginCount += 1;
+  return this.save();
+};
+
+UserSchema.methods.hasPermission = function (permission) {
+  return (ROLES[this.role] || []).includes(permission);
+};
+
+UserSchema.methods.toPublicJSON = function () {
+  const obj = this.toObject();
+
+  delete obj.password;
+  delete obj.__v;
+
+  obj.permissions = ROLES[this.role] || [];
+
+  return obj;
+};
+
+// Static Methods
+UserSchema.statics.authenticate = async function (username, password) {
+  if (!username || !password) return null;
+
+  const user = await this.findOne({
+    username: String(username).toLowerCase().trim(),
+  }).select("+password");
+
+  const valid = await bcrypt.compare(
+    String(password),
+    user?.password || DUMMY_HASH
+  );
+
+  if (!user || !valid || !user.enabled) return null;
+  return user;
+};
+
+const User = mongoose.model("User", UserSchema);
+module.exports = User;
@@ -4,10 +4,112 @@ const wireguard = require("../wireguard");
 const Server = require("../models/Server");
 const Peer = require("../models/Peer");
 const MTUProfile = require("../models/MTUProfile");
+const TrafficSample = require("../models/TrafficSample");
+const IPAllocation = require("../models/IPAllocation");
+const MTUTestRun = require("../models/MTUTestRun");
+const {
+  assertCIDR,
+  assertBandwidth,
+  isValidHost,
+} = require("../utils/validators");
+const keys = require("../utils/keys");
+const audit = require("../services/audit");
+const quotaEngine = require("../services/quotaEngine");
+const driftDetector = require("../services/driftDetector");
+const mtuTestJobs = require("../services/mtuTestJobs");
+const rollbackGuard = require("../services/rollbackGuard");
+const benchmark = require("../services/benchmark");
+const pmtuProber = require("../services/pmtuProber");
+const { requireAuth } = require("../middleware/auth");
+const {
+  authorize,
+  loadServerScope,
+  canAccessServer,
+  scopeFilter,
+  requireInterfaceAccess,
+  requirePeerAccess,
+  peerSecretProjection,
+  redactPeer,
+} = require("../middleware/rbac");
+
+// Server fields that feed the generated NAT/forwarding rules
+const FIREWALL_FIELDS = [
+  "address",
+  "address6",
+  "enableIPv6",
+  "ipv6Mode",
+  "enableNAT",
+  "enableRouting",
+  "allowedIPs",
+  "blockedIPs",
+];
+
+// Peer settings PUT /peers/:id may change. Keys, enabled state, quota and
+// expiry only change through their own endpoints (rotate-keys,
+// enable/disable, quota, renew), so their permissions and rules apply.
+const PEER_EDITABLE_FIELDS = [
+  "name",
+  "description",
+  "allowedIPs",
+  "endpoint",
+  "persistentKeepalive",
+  "dns",
+  "mtu",
+  "assignedIP",
+  "assignedIP6",
+  "bandwidthLimit",
+  "accessLevel",
+  "allowLocalNetwork",
+  "allowInternet",
+  "allowedSubnets",
+  "tags",
+  "notes",
+];
+
+const TRAFFIC_GRANULARITIES = ["minute", "hour", "day"];
+
+// rx/tx history for `match` over ?from&to (default: last 24h). Granularity
+// defaults to the coarsest unit that still gives a useful number of points.
+async function sendTraffic(req, res, match) {
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from
+    ? new Date(req.query.from)
+    : new Date(to - 24 * 60 * 60 * 1000);
+
+  if (isNaN(from) || isNaN(to) || from >= to) {
+    return res.status(400).json({ error: "Invalid from/to range" });
+  }
+
+  const span = to - from;
+  const granularity =
+    req.query.granularity ||
+    (span <= 24 * 60 * 60 * 1000
+      ? "minute"
+      : span <= 30 * 24 * 60 * 60 * 1000
+      ? "hour"
+      : "day");
+
+  if (!TRAFFIC_GRANULARITIES.includes(granularity)) {
+    return res.status(400).json({
+      error: `granularity must be one of ${TRAFFIC_GRANULARITIES.join(", ")}`,
+    });
+  }
+
+  const { model, unit } = TrafficSample.resolve(from, granularity);
+  const points = await model.series(match, from, to, unit);
+
+  res.json({ from, to, granularity: unit, points });
+}
+
+router.use(requireAuth, loadServerScope, audit.middleware());
+
+router.use("/users", require("./users"));
+router.use("/tokens", require("./tokens"));
+router.use("/audit", require("./audit"));
 
 // ==================== HEALTH & STATUS ====================
 
-router.get("/health", async (req, res) => {
+router.get("/health", authorize("stats:read"), async (req, res) => {
   try {
     const health = await wireguard.healthCheck();
     res.json(health);
@@ -16,7 +118,7 @@ router.get("/health", async (req, res) => {
   }
 });
 
-router.get("/stats", async (req, res) => {
+router.get("/stats", authorize("stats:read"), async (req, res) => {
   try {
     const stats = await wireguard.getStatistics();
     res.json(stats);
@@ -27,25 +129,25 @@ router.get("/stats", async (req, res) => {
 
 // ==================== SERVER MANAGEMENT ====================
 
-router.get("/servers", async (req, res) => {
+router.get("/servers", authorize("servers:read"), async (req, res) => {
   try {
-    const servers = await Server.find({})
+    const servers = await Server.find(scopeFilter(req))
       .select("-privateKey")
       .sort({ createdAt: -1 })
-      .populate("peers");
+      .populate({ path: "peers", select: peerSecretProjection(req) });
     res.json(servers);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-router.get("/servers/:id", async (req, res) => {
+router.get("/servers/:id", authorize("servers:read"), async (req, res) => {
   try {
     const server = await Server.findById(req.params.id)
       .select("-privateKey")
-      .populate("peers");
+      .populate({ path: "peers", select: peerSecretProjection(req) });
 
-    if (!server) {
+    if (!server || !canAccessServer(req, server._id)) {
       return res.status(404).json({ error: "Server not found" });
     }
 
@@ -55,33 +157,82 @@ router.get("/servers/:id", async (req, res) => {
   }
 });
 
-router.post("/servers", async (req, res) => {
+router.get(
+  "/servers/:id/traffic",
+  authorize("servers:read"),
+  async (req, res) => {
+    try {
+      const server = await Server.findById(req.params.id).select("_id");
+      if (!server || !canAccessServer(req, server._id)) {
+        return res.status(404).json({ error: "Server not found" });
+      }
+
+      await sendTraffic(req, res, { "meta.server": server._id });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+router.post("/servers", authorize("servers:write"), async (req, res) => {
   try {
-    const result = await wireguard.createInterface(req.body);
+    if (req.serverScope) {
+      return res
+        .status(403)
+        .json({ error: "Users scoped to servers cannot create servers" });
+    }
+
+    const result = await wireguard.createInterface({
+      ...req.body,
+      createdBy: req.user._id,
+    });
     res.status(201).json(result);
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
 });
 
-router.put("/servers/:id", async (req, res) => {
+router.put("/servers/:id", authorize("servers:write"), async (req, res) => {
   try {
     const server = await Server.findById(req.params.id);
-    if (!server) {
+    if (!server || !canAccessServer(req, server._id)) {
       return res.status(404).json({ error: "Server not found" });
     }
 
-    Object.assign(server, req.body);
-    await server.save();
-
-    // Update config file
-    const configPath = `${server.configPath}/${server.interfaceName}.conf`;
-    const configContent = server.getConfigContent();
-    await require("fs").promises.writeFile(configPath, configContent, "utf8");
+    const reconciliation = await audit.track(
+      "server.update",
+      {
+        type: "Server",
+        find: () => ({ _id: server._id }),
+        details: (result) => result && { strategy: result.strategy },
+      },
+      async () => {
+        Object.assign(server, req.body);
+        await server.save();
+
+        if (
+          req.body.enableIPv6 !== undefined ||
+          req.body.address6 !== undefined
+        ) {
+          await wireguard.updatePeerIPv6(server);
+        }
+
+        // Update config file and push the change to the running interface
+        const result = await wireguard.reconcile(server.interfaceName);
+
+        if (FIREWALL_FIELDS.some((field) => req.body[field] !== undefined)) {
+          await wireguard.applyFirewall(server.interfaceName);
+        }
+
+        return result;
+      }
+    );
 
     res.json({
       success: true,
       message: "Server updated successfully",
+      strategy: reconciliation.strategy,
+      reconcile: reconciliation,
       server: server.toPublicJSON(),
     });
   } catch (error) {
@@ -89,10 +240,10 @@ router.put("/servers/:id", async (req, res) => {
   }
 });
 
-router.delete("/servers/:id", async (req, res) => {
+router.delete("/servers/:id", authorize("servers:delete"), async (req, res) => {
   try {
     const server = await Server.findById(req.params.id);
-    if (!server) {
+    if (!server || !canAccessServer(req, server._id)) {
       return res.status(404).json({ error: "Server not found" });
     }
 
@@ -103,54 +254,275 @@ router.delete("/servers/:id", async (req, res) => {
   }
 });
 
-router.post("/servers/:interfaceName/start", async (req, res) => {
-  try {
-    const result = await wireguard.startInterface(req.params.interfaceName);
-    res.json(result);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+router.post(
+  "/servers/:interfaceName/start",
+  authorize("servers:control"),
+  requireInterfaceAccess,
+  async (req, res) => {
+    try {
+      const result = await wireguard.startInterface(req.params.interfaceName);
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
   }
-});
+);
+
+router.post(
+  "/servers/:interfaceName/stop",
+  authorize("servers:control"),
+  requireInterfaceAccess,
+  async (req, res) => {
+    try {
+      const result = await wireguard.stopInterface(req.params.interfaceName);
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+router.post(
+  "/servers/:interfaceName/restart",
+  authorize("servers:control"),
+  requireInterfaceAccess,
+  async (req, res) => {
+    try {
+      const result = await wireguard.restartInterface(req.params.interfaceName);
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+router.post(
+  "/servers/:interfaceName/sync",
+  authorize("servers:control"),
+  requireInterfaceAccess,
+  async (req, res) => {
+    try {
+      const server = await wireguard.syncInterfaceToDatabase(
+        req.params.interfaceName
+      );
+      if (!server) {
+        return res.status(404).json({ error: "Interface not found" });
+      }
+      res.json({
+        success: true,
+        message: "Interface synced to database",
+        server: server.toPublicJSON(),
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+router.get(
+  "/servers/:id/drift",
+  authorize("servers:read"),
+  async (req, res) => {
+    try {
+      const server = await Server.findById(req.params.id);
+      if (!server || !canAccessServer(req, server._id)) {
+        return res.status(404).json({ error: "Server not found" });
+      }
+
+      res.json(await driftDetector.check(server));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+router.post(
+  "/servers/:id/reconcile",
+  authorize("servers:write"),
+  async (req, res) => {
+    try {
+      const source = req.query.source || "db";
+      if (!["db", "file", "live"].includes(source)) {
+        return res
+          .status(400)
+          .json({ error: "source must be one of db, file, live" });
+      }
+
+      const server = await Server.findById(req.params.id);
+      if (!server || !canAccessServer(req, server._id)) {
+        return res.status(404).json({ error: "Server not found" });
+      }
+
+      const result = await wireguard.reconcileFrom(
+        server.interfaceName,
+        source
+      );
+      const drift = await driftDetector.check(
+        await Server.findById(server._id)
+      );
 
-router.post("/servers/:interfaceName/stop", async (req, res) => {
-  try {
-    const result = await wireguard.stopInterface(req.params.interfaceName);
-    res.json(result);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+      res.json({ success: true, ...result, drift });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
   }
-});
+);
 
-router.post("/servers/:interfaceName/restart", async (req, res) => {
+router.get("/servers/:id/ipam", authorize("servers:read"), async (req, res) => {
   try {
-    const result = await wireguard.restartInterface(req.params.interfaceName);
-    res.json(result);
+    const server = await Server.findById(req.params.id);
+    if (!server || !canAccessServer(req, server._id)) {
+      return res.status(404).json({ error: "Server not found" });
+    }
+
+    res.json(await IPAllocation.getUtilisation(server));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-router.post("/servers/:interfaceName/sync", async (req, res) => {
-  try {
-    const server = await wireguard.syncInterfaceToDatabase(
-      req.params.interfaceName
-    );
-    if (!server) {
-      return res.status(404).json({ error: "Interface not found" });
+// Static reservations keep an address out of automatic allocation
+router.post(
+  "/servers/:id/ipam/reservations",
+  authorize("servers:write"),
+  async (req, res) => {
+    try {
+      const { address, note } = req.body;
+      if (!address) {
+        return res.status(400).json({ error: "address is required" });
+      }
+
+      const server = await Server.findById(req.params.id);
+      if (!server || !canAccessServer(req, server._id)) {
+        return res.status(404).json({ error: "Server not found" });
+      }
+
+      const reserved = await audit.track(
+        "server.ip-reserve",
+        {
+          type: "Server",
+          find: () => ({ _id: server._id }),
+          details: () => ({ address, note }),
+        },
+        () => IPAllocation.claim(server, address, { kind: "static", note })
+      );
+
+      res.status(201).json({ success: true, address: reserved, note });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
     }
-    res.json({
-      success: true,
-      message: "Interface synced to database",
-      server: server.toPublicJSON(),
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
   }
-});
+);
+
+router.delete(
+  "/servers/:id/ipam/reservations/:address",
+  authorize("servers:write"),
+  async (req, res) => {
+    try {
+      const server = await Server.findById(req.params.id);
+      if (!server || !canAccessServer(req, server._id)) {
+        return res.status(404).json({ error: "Server not found" });
+      }
+
+      const removed = await audit.track(
+        "server.ip-unreserve",
+        {
+          type: "Server",
+          find: () => ({ _id: server._id }),
+          details: () => ({ address: req.params.address }),
+        },
+        () => IPAllocation.unreserve(server, req.params.address)
+      );
+      if (!removed) {
+        return res.status(404).json({ error: "Reservation not found" });
+      }
+
+      res.json({ success: true, message: "Reservation removed" });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+router.get(
+  "/servers/:interfaceName/shaping",
+  authorize("servers:read"),
+  requireInterfaceAccess,
+  async (req, res) => {
+    try {
+      const status = await wireguard.getShapingStatus(req.params.interfaceName);
+      res.json(status);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+router.post(
+  "/servers/:interfaceName/shaping/apply",
+  authorize("servers:control"),
+  requireInterfaceAccess,
+  async (req, res) => {
+    try {
+      const { interfaceName } = req.params;
+      const result = await audit.track(
+        "server.apply-shaping",
+        {
+          type: "Server",
+          find: () => ({ interfaceName }),
+          details: (applied) => applied,
+        },
+        () => wireguard.applyShaping(interfaceName)
+      );
+      res.json({ success: true, ...result });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+router.get(
+  "/servers/:interfaceName/firewall",
+  authorize("servers:read"),
+  requireInterfaceAccess,
+  async (req, res) => {
+    try {
+      const status = await wireguard.getFirewallStatus(
+        req.params.interfaceName
+      );
+      res.json(status);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+router.post(
+  "/servers/:interfaceName/firewall/apply",
+  authorize("servers:control"),
+  requireInterfaceAccess,
+  async (req, res) => {
+    try {
+      const { interfaceName } = req.params;
+      const result = await audit.track(
+        "server.apply-firewall",
+        {
+          type: "Server",
+          find: () => ({ interfaceName }),
+          details: (applied) => applied,
+        },
+        () => wireguard.applyFirewall(interfaceName)
+      );
+      res.json({ success: true, ...result });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
 
 // ==================== PEER MANAGEMENT ====================
 
-router.get("/peers", async (req, res) => {
+router.get("/peers", authorize("peers:read"), async (req, res) => {
   try {
     const { server, status, isp } = req.query;
     const query = {};
@@ -159,8 +531,15 @@ router.get("/peers", async (req, res) => {
     if (status) query.status = status;
     if (isp) query["isp.type"] = isp;
 
+    // Scoped users only ever see peers of in-scope servers
+    if (req.serverScope) {
+      query.server = {
+        $in: req.serverScope.filter((id) => !server || id === server),
+      };
+    }
+
     const peers = await Peer.find(query)
-      .select("-privateKey -presharedKey")
+      .select(`-privateKey -presharedKey ${peerSecretProjection(req)}`)
       .populate("server", "name interfaceName")
       .sort({ createdAt: -1 });
 
@@ -170,153 +549,700 @@ router.get("/peers", async (req, res) => {
   }
 });
 
-router.get("/peers/:id", async (req, res) => {
+router.get("/peers/:id", authorize("peers:read"), async (req, res) => {
   try {
     const peer = await Peer.findById(req.params.id)
       .select("-privateKey -presharedKey")
-      .populate("server");
+      .populate("server", "-privateKey");
 
-    if (!peer) {
+    if (!peer || !canAccessServer(req, peer.server)) {
       return res.status(404).json({ error: "Peer not found" });
     }
 
-    res.json(peer.toClientJSON());
+    res.json(redactPeer(req, peer.toClientJSON()));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-router.post("/peers", async (req, res) => {
+router.get(
+  "/peers/:id/traffic",
+  authorize("peers:read"),
+  requirePeerAccess,
+  async (req, res) => {
+    try {
+      const peer = await Peer.findById(req.params.id).select("_id");
+      if (!peer) {
+        return res.status(404).json({ error: "Peer not found" });
+      }
+
+      await sendTraffic(req, res, { "meta.peer": peer._id });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+router.post("/peers", authorize("peers:write"), async (req, res) => {
   try {
-    const result = await wireguard.addPeer(req.body);
+    if (!canAccessServer(req, req.body.server)) {
+      return res.status(404).json({ error: "Server not found" });
+    }
+
+    const result = await wireguard.addPeer({
+      ...req.body,
+      createdBy: req.user._id,
+    });
     res.status(201).json(result);
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
 });
 
-router.put("/peers/:id", async (req, res) => {
-  try {
-    const peer = await Peer.findById(req.params.id);
-    if (!peer) {
-      return res.status(404).json({ error: "Peer not found" });
-    }
-
-    Object.assign(peer, req.body);
-    await peer.save();
+router.put(
+  "/peers/:id",
+  authorize("peers:write"),
+  requirePeerAccess,
+  async (req, res) => {
+    try {
+      const lockedField = Object.keys(req.body).find(
+        (field) => !PEER_EDITABLE_FIELDS.includes(field)
+      );
+      if (lockedField) {
+        return res.status(400).json({
+          error: `${lockedField} cannot be changed here; use the rotate-keys, enable, disable, quota or renew endpoints`,
+        });
+      }
+
+      if (req.body.allowedIPs !== undefined) {
+        if (!Array.isArray(req.body.allowedIPs)) {
+          return res.status(400).json({ error: "allowedIPs must be an array" });
+        }
+        req.body.allowedIPs.forEach(assertCIDR);
+      }
+
+      if (req.body.bandwidthLimit !== undefined) {
+        assertBandwidth(req.body.bandwidthLimit.download ?? 0);
+        assertBandwidth(req.body.bandwidthLimit.upload ?? 0);
+      }
+
+      const peer = await Peer.findById(req.params.id);
+      if (!peer) {
+        return res.status(404).json({ error: "Peer not found" });
+      }
+
+      // Address fields being changed, with the address each replaces
+      const moves = ["assignedIP", "assignedIP6"]
+        .filter(
+          (field) =>
+            req.body[field] !== undefined && req.body[field] !== peer[field]
+        )
+        .map((field) => ({ field, previous: peer[field] }));
+      const moved = moves.length > 0;
+
+      await audit.track(
+        "peer.update",
+        { type: "Peer", find: () => ({ _id: peer._id }) },
+        async () => {
+          // A new address is taken from the pool before the peer moves to
+          // it; the old one goes into cooldown once the move is saved
+          const server = await Server.findById(peer.server);
+          const claimed = [];
+          try {
+            for (const { field } of moves) {
+              req.body[field] = await IPAllocation.claim(
+                server,
+                req.body[field],
+                { peer: peer._id }
+              );
+              claimed.push(req.body[field]);
+            }
+
+            Object.assign(peer, req.body);
+            await peer.save();
+          } catch (error) {
+            for (const ip of claimed) {
+              await IPAllocation.release(server, ip, { cooldown: false });
+            }
+            throw error;
+          }
+
+          for (const { field, previous } of moves) {
+            if (!previous) continue;
+            await IPAllocation.release(server, previous);
+            if (field === "assignedIP") {
+              await wireguard.unshapePeer(peer.interfaceName, {
+                assignedIP: previous,
+              });
+            }
+          }
+
+          // Rewrite the server file and push the change to the running
+          // interface, so the database, file and kernel stay in step
+          await wireguard.reconcile(peer.interfaceName);
+          await wireguard.refreshFirewall(peer.interfaceName);
+
+          if ((req.body.bandwidthLimit || moved) && peer.enabled) {
+            await wireguard.shapePeer(peer.interfaceName, peer);
+          }
+
+          // Regenerate client config if its address or allowed IPs changed
+          if (req.body.allowedIPs || moved) {
+            await peer.generateConfig();
+          }
+        }
+      );
 
-    // Regenerate config if keys changed
-    if (req.body.privateKey || req.body.allowedIPs) {
-      await peer.generateConfig();
+      res.json({
+        success: true,
+        message: "Peer updated successfully",
+        peer: peer.toClientJSON(),
+      });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+router.get(
+  "/peers/:id/effective-policy",
+  authorize("peers:read"),
+  requirePeerAccess,
+  async (req, res) => {
+    try {
+      const policy = await wireguard.getEffectivePolicy(req.params.id);
+      res.json(policy);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
     }
+  }
+);
+
+router.delete(
+  "/peers/:id",
+  authorize("peers:write"),
+  requirePeerAccess,
+  async (req, res) => {
+    try {
+      const result = await wireguard.removePeer(req.params.id);
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+router.post(
+  "/peers/:id/enable",
+  authorize("peers:toggle"),
+  requirePeerAccess,
+  async (req, res) => {
+    try {
+      const result = await wireguard.enablePeer(req.params.id);
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+router.post(
+  "/peers/:id/disable",
+  authorize("peers:toggle"),
+  requirePeerAccess,
+  async (req, res) => {
+    try {
+      const result = await wireguard.disablePeer(req.params.id);
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+router.get(
+  "/peers/:id/quota",
+  authorize("peers:read"),
+  requirePeerAccess,
+  async (req, res) => {
+    try {
+      const peer = await Peer.findById(req.params.id);
+      if (!peer) {
+        return res.status(404).json({ error: "Peer not found" });
+      }
+
+      res.json({
+        monthly: peer.dataLimit.monthly,
+        topUp: peer.dataLimit.topUp,
+        used: peer.dataLimit.used,
+        total: peer.dataLimitTotal,
+        percentage: peer.dataLimitPercentage,
+        cycleStart: peer.dataLimit.resetDate,
+        nextReset: peer.dataLimitNextReset,
+        exceededAt: peer.dataLimit.exceededAt,
+        enabled: peer.enabled,
+        disabledReason: peer.disabledReason,
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// Body: { bytes } or { gigabytes } per billing cycle, 0 for unlimited
+router.put(
+  "/peers/:id/quota",
+  authorize("quota:manage"),
+  requirePeerAccess,
+  async (req, res) => {
+    try {
+      const monthly =
+        req.body.bytes !== undefined
+          ? Number(req.body.bytes)
+          : Number(req.body.gigabytes) * 1024 * 1024 * 1024;
+
+      const result = await audit.track(
+        "peer.quota-set",
+        {
+          type: "Peer",
+          find: () => ({ _id: req.params.id }),
+          details: () => ({ monthly }),
+        },
+        () => quotaEngine.setLimit(req.params.id, monthly)
+      );
+      res.json(result);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+// One-off extra quota for the current billing cycle, in bytes or gigabytes
+router.post(
+  "/peers/:id/quota/top-up",
+  authorize("quota:manage"),
+  requirePeerAccess,
+  async (req, res) => {
+    try {
+      const bytes =
+        req.body.bytes !== undefined
+          ? Number(req.body.bytes)
+          : Number(req.body.gigabytes) * 1024 * 1024 * 1024;
+
+      const result = await audit.track(
+        "peer.quota-top-up",
+        {
+          type: "Peer",
+          find: () => ({ _id: req.params.id }),
+          details: () => ({ bytes }),
+        },
+        () => quotaEngine.topUp(req.params.id, bytes)
+      );
+      res.json(result);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+// Body: { expiresAt } (ISO date) or { days } from now
+router.post(
+  "/peers/:id/renew",
+  authorize("peers:write"),
+  requirePeerAccess,
+  async (req, res) => {
+    try {
+      const { expiresAt, days } = req.body;
+      const newExpiry =
+        expiresAt !== undefined
+          ? new Date(expiresAt)
+          : new Date(Date.now() + Number(days) * 24 * 60 * 60 * 1000);
+
+      const result = await wireguard.renewPeer(req.params.id, newExpiry);
+      res.json(result);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+router.post(
+  "/peers/:id/rotate-keys",
+  authorize("peers:write"),
+  requirePeerAccess,
+  async (req, res) => {
+    try {
+      const peer = await Peer.findById(req.params.id).select("+presharedKey");
+      if (!peer) {
+        return res.status(404).json({ error: "Peer not found" });
+      }
+
+      const updatedPeer = await audit.track(
+        "peer.rotate-keys",
+        { type: "Peer", find: () => ({ _id: peer._id }) },
+        async () => {
+          const previousPublicKey = peer.publicKey;
+          const rotated = await peer.rotateKeys();
+
+          // Update WireGuard interface
+          const server = await Server.findById(peer.server);
+          await wireguard.backend.removePeer(
+            server.interfaceName,
+            previousPublicKey
+          );
+          await wireguard.backend.setPeer(server.interfaceName, {
+            publicKey: rotated.publicKey,
+            presharedKey: rotated.presharedKey,
+            allowedIPs: rotated.allowedIPs,
+          });
+          await wireguard.writeServerConfig(server.interfaceName);
+
+          return rotated;
+        }
+      );
 
-    res.json({
-      success: true,
-      message: "Peer updated successfully",
-      peer: peer.toClientJSON(),
-    });
-  } catch (error) {
-    res.status(400).json({ error: error.message });
+      res.json({
+        success: true,
+        message: "Keys rotated successfully",
+        peer: updatedPeer.toClientJSON(),
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
   }
-});
+);
+
+router.get(
+  "/peers/:id/config",
+  authorize("peers:secrets"),
+  requirePeerAccess,
+  async (req, res) => {
+    try {
+      const peer = await Peer.findById(req.params.id);
+      if (!peer) {
+        return res.status(404).json({ error: "Peer not found" });
+      }
+
+      if (!peer.configGenerated) {
+        await peer.generateConfig();
+      }
+
+      res.json({
+        config: peer.configFile,
+        qrCode: peer.qrCode,
+        peer: peer.toConfigJSON(),
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
 
-router.delete("/peers/:id", async (req, res) => {
+// ==================== MTU TESTING & PROFILES ====================
+
+// A test run by id: the live one while it runs, so progress is current.
+// Out-of-scope runs look like missing ones.
+async function findTestRun(req, id) {
+  const run = mtuTestJobs.current(id) || (await MTUTestRun.findById(id));
+  return run && canAccessServer(req, run.server) ? run : null;
+}
+
+// Why a request's benchmark options (benchmark, benchmarkProtocol) can't be
+// used, or null. The target always comes from BENCHMARK_TARGET.
+function benchmarkError({ benchmark: enabled, benchmarkProtocol }) {
+  if (!enabled) return null;
+  if (benchmarkProtocol && !["tcp", "udp"].includes(benchmarkProtocol)) {
+    return "benchmarkProtocol must be tcp or udp";
+  }
   try {
-    const result = await wireguard.removePeer(req.params.id);
-    res.json(result);
+    benchmark.target();
+    return null;
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    return error.message;
   }
-});
+}
+
+// Starts a sweep in the background and answers straight away; follow it
+// with GET /mtu/tests/:id/events. Either mtuValues or a min/max/step range,
+// over hosts with count pings per size; anything left out comes from the
+// MTU_TEST_* settings, and sweeps over the MTU_TEST_MAX_* limits are
+// refused. Set benchmark for throughput per MTU value.
+router.post(
+  "/mtu/tests",
+  authorize("mtu:test"),
+  requireInterfaceAccess,
+  async (req, res) => {
+    try {
+      const {
+        interfaceName,
+        mtuValues,
+        testHost,
+        hosts,
+        min,
+        max,
+        step,
+        count,
+      } = req.body;
+      if (
+        mtuValues !== undefined &&
+        (!Array.isArray(mtuValues) ||
+          mtuValues.length === 0 ||
+          !mtuValues.every(
+            (mtu) => Number.isInteger(mtu) && mtu >= 576 && mtu <= 9000
+          ))
+      ) {
+        return res
+          .status(400)
+          .json({ error: "mtuValues must be MTUs between 576 and 9000" });
+      }
+      if (
+        [min, max].some(
+          (value) =>
+            value !== undefined &&
+            !(Number.isInteger(value) && value >= 576 && value <= 9000)
+        )
+      ) {
+        return res
+          .status(400)
+          .json({ error: "min and max must be MTUs between 576 and 9000" });
+      }
+      if (min !== undefined && max !== undefined && min > max) {
+        return res.status(400).json({ error: "min must not exceed max" });
+      }
+      if (step !== undefined && !(Number.isInteger(step) && step >= 1)) {
+        return res
+          .status(400)
+          .json({ error: "step must be a positive integer" });
+      }
+      if (
+        count !== undefined &&
+        !(Number.isInteger(count) && count >= 1 && count <= 20)
+      ) {
+        return res
+          .status(400)
+          .json({ error: "count must be between 1 and 20" });
+      }
+      if (
+        hosts !== undefined &&
+        (!Array.isArray(hosts) ||
+          !hosts.every((host) => typeof host === "string" && host.trim()))
+      ) {
+        return res
+          .status(400)
+          .json({ error: "hosts must be a list of host names or addresses" });
+      }
+      const invalidBenchmark = benchmarkError(req.body);
+      if (invalidBenchmark) {
+        return res.status(400).json({ error: invalidBenchmark });
+      }
+
+      const config = {
+        mtuValues,
+        min,
+        max,
+        step,
+        count,
+        hosts: hosts && hosts.map((host) => host.trim()),
+        testHost,
+        benchmark: !!req.body.benchmark,
+        benchmarkProtocol: req.body.benchmarkProtocol,
+      };
+      try {
+        wireguard.sweepPlan(config);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      if (rollbackGuard.isWatching(interfaceName)) {
+        return res.status(409).json({
+          error: `A profile change on ${interfaceName} is still being verified`,
+        });
+      }
+
+      const active = await mtuTestJobs.activeRun(interfaceName);
+      if (active) {
+        return res.status(409).json({
+          error: `An MTU test is already running on ${interfaceName}`,
+          id: active._id,
+        });
+      }
+
+      const run = await mtuTestJobs.start(interfaceName, config);
+      res.status(202).json(run);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
 
-router.post("/peers/:id/enable", async (req, res) => {
+// Filters: interfaceName, status
+router.get("/mtu/tests", authorize("mtu:read"), async (req, res) => {
   try {
-    const result = await wireguard.enablePeer(req.params.id);
-    res.json(result);
+    const { interfaceName, status } = req.query;
+    const query = scopeFilter(req, "server");
+    if (interfaceName) query.interfaceName = interfaceName;
+    if (status) query.status = status;
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const runs = await MTUTestRun.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.json(runs.map((run) => mtuTestJobs.current(run._id) || run));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-router.post("/peers/:id/disable", async (req, res) => {
+router.get("/mtu/tests/:id", authorize("mtu:read"), async (req, res) => {
   try {
-    const result = await wireguard.disablePeer(req.params.id);
-    res.json(result);
+    const run = await findTestRun(req, req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: "MTU test not found" });
+    }
+    res.json(run);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-router.post("/peers/:id/rotate-keys", async (req, res) => {
+// Server-sent events: "snapshot" with the run as it stands, then
+// "progress" and "result" per MTU value and "done" with the final run
+router.get("/mtu/tests/:id/events", authorize("mtu:read"), async (req, res) => {
   try {
-    const peer = await Peer.findById(req.params.id);
-    if (!peer) {
-      return res.status(404).json({ error: "Peer not found" });
+    const run = await findTestRun(req, req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: "MTU test not found" });
     }
 
-    const updatedPeer = await peer.rotateKeys();
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    res.flushHeaders();
 
-    // Update WireGuard interface
-    const server = await Server.findById(peer.server);
-    await require("child_process").execAsync(
-      `wg set ${server.interfaceName} peer ${peer.publicKey} remove`
-    );
-    await require("child_process").execAsync(
-      `wg set ${server.interfaceName} peer ${
-        updatedPeer.publicKey
-      } allowed-ips ${updatedPeer.allowedIPs.join(",")}`
-    );
-    await require("child_process").execAsync(
-      `wg-quick save ${server.interfaceName}`
-    );
+    const send = (event, data) =>
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
 
-    res.json({
-      success: true,
-      message: "Keys rotated successfully",
-      peer: updatedPeer.toClientJSON(),
+    send("snapshot", run);
+    const unsubscribe = mtuTestJobs.subscribe(run._id, (event, data) => {
+      send(event, data);
+      if (event === "done") res.end();
+    });
+    if (!unsubscribe) {
+      send("done", run);
+      return res.end();
+    }
+
+    // Keeps proxies from closing an idle stream between MTU values
+    const heartbeat = setInterval(() => res.write(": keepalive\n\n"), 15000);
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      unsubscribe();
     });
   } catch (error) {
+    if (res.headersSent) return res.end();
     res.status(500).json({ error: error.message });
   }
 });
 
-router.get("/peers/:id/config", async (req, res) => {
-  try {
-    const peer = await Peer.findById(req.params.id);
-    if (!peer) {
-      return res.status(404).json({ error: "Peer not found" });
+router.get(
+  "/mtu/tests/:id/compare/:otherId",
+  authorize("mtu:read"),
+  async (req, res) => {
+    try {
+      const [run, other] = await Promise.all([
+        findTestRun(req, req.params.id),
+        findTestRun(req, req.params.otherId),
+      ]);
+      if (!run || !other) {
+        return res.status(404).json({ error: "MTU test not found" });
+      }
+
+      res.json(await run.compareWith(other._id));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
     }
+  }
+);
 
-    if (!peer.configGenerated) {
-      await peer.generateConfig();
+// Stops the sweep after the value being tested and answers once the
+// original MTU is back
+router.delete("/mtu/tests/:id", authorize("mtu:test"), async (req, res) => {
+  try {
+    const run = await findTestRun(req, req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: "MTU test not found" });
+    }
+    if (!mtuTestJobs.current(run._id)) {
+      return res.status(409).json({ error: "MTU test is not running" });
     }
 
-    res.json({
-      config: peer.configFile,
-      qrCode: peer.qrCode,
-      peer: peer.toConfigJSON(),
-    });
+    const cancelled = await audit.track(
+      "mtu.test-cancel",
+      {
+        type: "Server",
+        find: () => ({ _id: run.server }),
+        details: () => ({ run: run._id }),
+      },
+      () => mtuTestJobs.cancel(run._id)
+    );
+    res.json(cancelled || run);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// ==================== MTU TESTING & PROFILES ====================
-
-router.post("/mtu/test", async (req, res) => {
-  try {
-    const { interfaceName, mtuValues, testHost } = req.body;
-    const result = await wireguard.testMTU(interfaceName, {
-      mtuValues,
-      testHost,
-    });
-    res.json(result);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+// Path MTU discovery; leaves the interface MTU alone
+router.post(
+  "/mtu/discover",
+  authorize("mtu:test"),
+  requireInterfaceAccess,
+  async (req, res) => {
+    try {
+      const { interfaceName, hosts, min, max } = req.body;
+      if (
+        hosts !== undefined &&
+        (!Array.isArray(hosts) ||
+          !hosts.every((host) => typeof host === "string" && host.trim()))
+      ) {
+        return res
+          .status(400)
+          .json({ error: "hosts must be a list of host names or addresses" });
+      }
+      if (
+        [min, max].some(
+          (value) =>
+            value !== undefined &&
+            !(Number.isInteger(value) && value >= 576 && value <= 9000)
+        )
+      ) {
+        return res
+          .status(400)
+          .json({ error: "min and max must be MTUs between 576 and 9000" });
+      }
+      if (hosts) {
+        try {
+          pmtuProber.assertHostCount(hosts);
+        } catch (error) {
+          return res.status(400).json({ error: error.message });
+        }
+      }
+
+      const result = await wireguard.discoverPathMTU(interfaceName, {
+        hosts: hosts && hosts.map((host) => host.trim()),
+        min,
+        max,
+      });
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
   }
-});
+);
 
-router.get("/mtu/profiles", async (req, res) => {
+router.get("/mtu/profiles", authorize("mtu:read"), async (req, res) => {
   try {
     const { isp, isDefault } = req.query;
     const query = {};
@@ -331,7 +1257,7 @@ router.get("/mtu/profiles", async (req, res) => {
   }
 });
 
-router.get("/mtu/profiles/:id", async (req, res) => {
+router.get("/mtu/profiles/:id", authorize("mtu:read"), async (req, res) => {
   try {
     const profile = await MTUProfile.findById(req.params.id);
     if (!profile) {
@@ -343,25 +1269,35 @@ router.get("/mtu/profiles/:id", async (req, res) => {
   }
 });
 
-router.post("/mtu/profiles", async (req, res) => {
+router.post("/mtu/profiles", authorize("mtu:write"), async (req, res) => {
   try {
-    const profile = new MTUProfile(req.body);
-    await profile.save();
+    const profile = new MTUProfile({ ...req.body, createdBy: req.user._id });
+    await audit.track(
+      "mtu-profile.create",
+      { type: "MTUProfile", find: (saved) => saved && { _id: profile._id } },
+      () => profile.save()
+    );
     res.status(201).json(profile);
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
 });
 
-router.put("/mtu/profiles/:id", async (req, res) => {
+router.put("/mtu/profiles/:id", authorize("mtu:write"), async (req, res) => {
   try {
     const profile = await MTUProfile.findById(req.params.id);
     if (!profile) {
       return res.status(404).json({ error: "Profile not found" });
     }
 
-    Object.assign(profile, req.body);
-    await profile.save();
+    await audit.track(
+      "mtu-profile.update",
+      { type: "MTUProfile", find: () => ({ _id: profile._id }) },
+      () => {
+        Object.assign(profile, req.body);
+        return profile.save();
+      }
+    );
 
     res.json({
       success: true,
@@ -373,44 +1309,85 @@ router.put("/mtu/profiles/:id", async (req, res) => {
   }
 });
 
-router.delete("/mtu/profiles/:id", async (req, res) => {
+router.delete("/mtu/profiles/:id", authorize("mtu:write"), async (req, res) => {
   try {
-    await MTUProfile.findByIdAndDelete(req.params.id);
+    await audit.track(
+      "mtu-profile.delete",
+      { type: "MTUProfile", find: () => ({ _id: req.params.id }) },
+      () => MTUProfile.findByIdAndDelete(req.params.id)
+    );
     res.json({ success: true, message: "Profile deleted successfully" });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-router.post("/mtu/profiles/:id/apply", async (req, res) => {
-  try {
-    const { interfaceName } = req.body;
-    const result = await wireguard.applyMTUProfile(
-      interfaceName,
-      req.params.id
-    );
-    res.json(result);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+router.post(
+  "/mtu/profiles/:id/apply",
+  authorize("mtu:apply"),
+  requireInterfaceAccess,
+  async (req, res) => {
+    try {
+      const { interfaceName } = req.body;
+      if (await mtuTestJobs.activeRun(interfaceName)) {
+        return res
+          .status(409)
+          .json({ error: `An MTU test is running on ${interfaceName}` });
+      }
+
+      const result = await wireguard.applyMTUProfile(
+        interfaceName,
+        req.params.id
+      );
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
   }
-});
-
-router.post("/mtu/profiles/:id/test", async (req, res) => {
-  try {
-    const { testHost } = req.body;
-    const profile = await MTUProfile.findById(req.params.id);
-    if (!profile) {
-      return res.status(404).json({ error: "Profile not found" });
+);
+
+router.post(
+  "/mtu/profiles/:id/test",
+  authorize("mtu:test"),
+  async (req, res) => {
+    try {
+      const { testHost, benchmarkProtocol } = req.body;
+      if (testHost !== undefined && !isValidHost(testHost)) {
+        return res
+          .status(400)
+          .json({ error: "testHost must be a host name or address" });
+      }
+      const invalidBenchmark = benchmarkError(req.body);
+      if (invalidBenchmark) {
+        return res.status(400).json({ error: invalidBenchmark });
+      }
+
+      const profile = await MTUProfile.findById(req.params.id);
+      if (!profile) {
+        return res.status(404).json({ error: "Profile not found" });
+      }
+
+      const result = await audit.track(
+        "mtu-profile.test",
+        {
+          type: "MTUProfile",
+          find: () => ({ _id: profile._id }),
+          details: () => ({ testHost, benchmark: !!req.body.benchmark }),
+        },
+        () =>
+          profile.runTest(testHost, {
+            benchmark: !!req.body.benchmark,
+            protocol: benchmarkProtocol,
+          })
+      );
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
     }
-
-    const result = await profile.runTest(testHost);
-    res.json(result);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
   }
-});
+);
 
-router.get("/mtu/isp-profiles", async (req, res) => {
+router.get("/mtu/isp-profiles", authorize("mtu:read"), async (req, res) => {
   try {
     const ispProfiles = require("../config/isp-profiles.json");
     res.json(ispProfiles);
@@ -419,31 +1396,102 @@ router.get("/mtu/isp-profiles", async (req, res) => {
   }
 });
 
-router.post("/servers/:interfaceName/apply-isp", async (req, res) => {
-  try {
-    const { ispProfile } = req.body;
-    const result = await wireguard.applyISPProfile(
-      req.params.interfaceName,
-      ispProfile
-    );
-    res.json(result);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+router.post(
+  "/servers/:interfaceName/apply-isp",
+  authorize("mtu:apply"),
+  requireInterfaceAccess,
+  async (req, res) => {
+    try {
+      const { ispProfile } = req.body;
+      if (await mtuTestJobs.activeRun(req.params.interfaceName)) {
+        return res.status(409).json({
+          error: `An MTU test is running on ${req.params.interfaceName}`,
+        });
+      }
+
+      const result = await wireguard.applyISPProfile(
+        req.params.interfaceName,
+        ispProfile
+      );
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
   }
-});
+);
+
+// The profile change being verified on an interface, or how the last one
+// ended
+router.get(
+  "/servers/:interfaceName/rollback-guard",
+  authorize("mtu:read"),
+  requireInterfaceAccess,
+  (req, res) => {
+    const status = rollbackGuard.status(req.params.interfaceName);
+    if (!status) {
+      return res.status(404).json({ error: "No profile change to verify" });
+    }
+    res.json(status);
+  }
+);
+
+// Keeps the change without waiting for the guard's verdict
+router.post(
+  "/servers/:interfaceName/rollback-guard/confirm",
+  authorize("mtu:apply"),
+  requireInterfaceAccess,
+  async (req, res) => {
+    try {
+      const outcome = await rollbackGuard.confirm(req.params.interfaceName);
+      if (!outcome) {
+        return res
+          .status(409)
+          .json({ error: "No profile change is being verified" });
+      }
+      res.json(outcome);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// Puts the previous MTU, DNS and keepalive back now
+router.post(
+  "/servers/:interfaceName/rollback-guard/rollback",
+  authorize("mtu:apply"),
+  requireInterfaceAccess,
+  async (req, res) => {
+    try {
+      const outcome = await rollbackGuard.rollback(req.params.interfaceName);
+      if (!outcome) {
+        return res
+          .status(409)
+          .json({ error: "No profile change is being verified" });
+      }
+      res.json(outcome);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
 
 // ==================== BACKUP & RESTORE ====================
 
-router.post("/backup/:interfaceName", async (req, res) => {
-  try {
-    const result = await wireguard.backupConfig(req.params.interfaceName);
-    res.json(result);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+router.post(
+  "/backup/:interfaceName",
+  authorize("backup:create"),
+  requireInterfaceAccess,
+  async (req, res) => {
+    try {
+      const result = await wireguard.backupConfig(req.params.interfaceName);
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
   }
-});
+);
 
-router.post("/restore", async (req, res) => {
+router.post("/restore", authorize("backup:restore"), async (req, res) => {
   try {
     const { backupFile } = req.body;
     const result = await wireguard.restoreConfig(backupFile);
@@ -455,7 +1503,7 @@ router.post("/restore", async (req, res) => {
 
 // ==================== BULK OPERATIONS ====================
 
-router.post("/bulk/apply-isp", async (req, res) => {
+router.post("/bulk/apply-isp", authorize("bulk:apply"), async (req, res) => {
   try {
     const { ispProfile } = req.body;
     const result = await wireguard.bulkApplyISPProfile(ispProfile);
@@ -465,7 +1513,7 @@ router.post("/bulk/apply-isp", async (req, res) => {
   }
 });
 
-router.post("/sync-all", async (req, res) => {
+router.post("/sync-all", authorize("bulk:apply"), async (req, res) => {
   try {
     await wireguard.syncAllToDatabase();
     res.json({ success: true, message: "All interfaces synced to database" });
@@ -476,10 +1524,20 @@ router.post("/sync-all", async (req, res) => {
 
 // ==================== UTILITIES ====================
 
-router.get("/interfaces", async (req, res) => {
+router.get("/interfaces", authorize("servers:read"), async (req, res) => {
   try {
-    const interfaces = await wireguard.discoverInterfaces();
-    const servers = await Server.find({ interfaceName: { $in: interfaces } });
+    let interfaces = await wireguard.discoverInterfaces();
+    const servers = await Server.find({
+      interfaceName: { $in: interfaces },
+      ...scopeFilter(req),
+    });
+
+    // Scoped users only see interfaces of their own servers
+    if (req.serverScope) {
+      interfaces = interfaces.filter((iface) =>
+        servers.some((s) => s.interfaceName === iface)
+      );
+    }
 
     const result = interfaces.map((iface) => {
       const server = servers.find((s) => s.interfaceName === iface);
@@ -497,17 +1555,10 @@ router.get("/interfaces", async (req, res) => {
   }
 });
 
-router.post("/generate-keys", async (req, res) => {
+router.post("/generate-keys", authorize("peers:write"), async (req, res) => {
   try {
-    const { exec } = require("child_process");
-    const util = require("util");
-    const execAsync = util.promisify(exec);
-
-    const privateKey = (await execAsync("wg genkey")).stdout.trim();
-    const publicKey = (
-      await execAsync(`echo "${privateKey}" | wg pubkey`)
-    ).stdout.trim();
-    const presharedKey = (await execAsync("wg genpsk")).stdout.trim();
+    const { privateKey, publicKey } = keys.generateKeyPair();
+    const presharedKey = keys.generatePresharedKey();
 
     res.json({
       privateKey,
@@ -521,68 +1572,74 @@ router.post("/generate-keys", async (req, res) => {
 
 // ==================== SEARCH & FILTER ====================
 
-router.get("/search", async (req, res) => {
-  try {
-    const { q, type } = req.query;
-
-    if (!q) {
-      return res.status(400).json({ error: "Search query required" });
-    }
-
-    let results = [];
-
-    if (!type || type === "servers") {
-      const servers = await Server.find({
-        $or: [
-          { name: { $regex: q, $options: "i" } },
-          { interfaceName: { $regex: q, $options: "i" } },
-          { description: { $regex: q, $options: "i" } },
-          { tags: { $regex: q, $options: "i" } },
-        ],
-      })
-        .select("-privateKey")
-        .limit(10);
-
-      results = results.concat(
-        servers.map((s) => ({
-          type: "server",
-          data: s.toPublicJSON(),
-          score: 1,
-        }))
-      );
-    }
-
-    if (!type || type === "peers") {
-      const peers = await Peer.find({
-        $or: [
-          { name: { $regex: q, $options: "i" } },
-          { publicKey: { $regex: q, $options: "i" } },
-          { assignedIP: { $regex: q, $options: "i" } },
-          { "clientInfo.deviceName": { $regex: q, $options: "i" } },
-          { tags: { $regex: q, $options: "i" } },
-        ],
-      })
-        .select("-privateKey -presharedKey")
-        .populate("server")
-        .limit(10);
-
-      results = results.concat(
-        peers.map((p) => ({
-          type: "peer",
-          data: p.toClientJSON(),
-          score: 1,
-        }))
-      );
+router.get(
+  "/search",
+  authorize("servers:read", "peers:read"),
+  async (req, res) => {
+    try {
+      const { q, type } = req.query;
+
+      if (!q) {
+        return res.status(400).json({ error: "Search query required" });
+      }
+
+      let results = [];
+
+      if (!type || type === "servers") {
+        const servers = await Server.find({
+          ...scopeFilter(req),
+          $or: [
+            { name: { $regex: q, $options: "i" } },
+            { interfaceName: { $regex: q, $options: "i" } },
+            { description: { $regex: q, $options: "i" } },
+            { tags: { $regex: q, $options: "i" } },
+          ],
+        })
+          .select("-privateKey")
+          .limit(10);
+
+        results = results.concat(
+          servers.map((s) => ({
+            type: "server",
+            data: s.toPublicJSON(),
+            score: 1,
+          }))
+        );
+      }
+
+      if (!type || type === "peers") {
+        const peers = await Peer.find({
+          ...scopeFilter(req, "server"),
+          $or: [
+            { name: { $regex: q, $options: "i" } },
+            { publicKey: { $regex: q, $options: "i" } },
+            { assignedIP: { $regex: q, $options: "i" } },
+            { "clientInfo.deviceName": { $regex: q, $options: "i" } },
+            { tags: { $regex: q, $options: "i" } },
+          ],
+        })
+          .select("-privateKey -presharedKey")
+          .populate("server", "-privateKey")
+          .limit(10);
+
+        results = results.concat(
+          peers.map((p) => ({
+            type: "peer",
+            data: redactPeer(req, p.toClientJSON()),
+            score: 1,
+          }))
+        );
+      }
+
+      res.json({
+        query: q,
+        count: results.length,
+        results,
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
     }
-
-    res.json({
-      query: q,
-      count: results.length,
-      results,
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
   }
-});
+);
 
 module.exports = router;
@@ -0,0 +1,123 @@
+const express = require("express");
+const router = express.Router();
+const AuditLog = require("../models/AuditLog");
+const { authorize } = require("../middleware/rbac");
+const { toCSVRow } = require("../utils/csv");
+
+const MAX_PAGE_SIZE = 500;
+
+const CSV_COLUMNS = [
+  "timestamp",
+  "actor",
+  "role",
+  "action",
+  "targetType",
+  "targetId",
+  "targetName",
+  "result",
+  "error",
+  "ip",
+  "changes",
+  "details",
+];
+
+function buildQuery(req) {
+  const query = AuditLog.buildQuery(req.query);
+
+  // Scoped users only see entries for their own servers
+  if (req.serverScope) {
+    query.server = {
+      $in: req.serverScope.filter(
+        (id) => !req.query.server || id === req.query.server
+      ),
+    };
+  }
+
+  return query;
+}
+
+router.use(authorize("audit:read"));
+
+// Filters: action (exact, or a "peer." style prefix), actor, targetType,
+// targetId, server, result, from, to. Add format=csv to export everything
+// matching instead of a page.
+router.get("/", async (req, res) => {
+  try {
+    const query = buildQuery(req);
+
+    if (req.query.format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="audit-${Date.now()}.csv"`
+      );
+      res.write(toCSVRow(CSV_COLUMNS));
+
+      const cursor = AuditLog.find(query).sort({ timestamp: -1 }).cursor();
+      for await (const entry of cursor) {
+        res.write(
+          toCSVRow([
+            entry.timestamp,
+            entry.actor.username || entry.actor.type,
+            entry.actor.role,
+            entry.action,
+            entry.target.type,
+            entry.target.id,
+            entry.target.name,
+            entry.result,
+            entry.error,
+            entry.ip,
+            entry.changes.length > 0 ? entry.changes : null,
+            entry.details,
+          ])
+        );
+      }
+
+      return res.end();
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit) || 50, 1),
+      MAX_PAGE_SIZE
+    );
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query)
+        .sort({ timestamp: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditLog.countDocuments(query),
+    ]);
+
+    res.json({
+      entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    if (res.headersSent) return res.end();
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get("/:id", async (req, res) => {
+  try {
+    const entry = await AuditLog.findOne({
+      ...buildQuery({ query: {}, serverScope: req.serverScope }),
+      _id: req.params.id,
+    });
+    if (!entry) {
+      return res.status(404).json({ error: "Audit entry not found" });
+    }
+    res.json(entry);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,72 @@
+const express = require("express");
+const router = express.Router();
+const User = require("../models/User");
+const { loadUser, requireAuth, requireSession } = require("../middleware/auth");
+
+router.post("/login", async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    const user = await User.authenticate(username, password);
+
+    if (!user) {
+      return res.status(401).json({ error: "Invalid username or password" });
+    }
+
+    // New session id on login to avoid session fixation
+    req.session.regenerate(async (error) => {
+      if (error) {
+        return res.status(500).json({ error: error.message });
+      }
+
+      req.session.userId = user._id.toString();
+      await user.recordLogin(req.ip);
+
+      res.json({
+        success: true,
+        message: "Logged in successfully",
+        user: user.toPublicJSON(),
+      });
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post("/logout", (req, res) => {
+  req.session.destroy((error) => {
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    res.clearCookie("connect.sid");
+    res.json({ success: true, message: "Logged out successfully" });
+  });
+});
+
+router.get("/session", loadUser, (req, res) => {
+  res.json({
+    authenticated: !!req.user,
+    user: req.user ? req.user.toPublicJSON() : null,
+  });
+});
+
+router.put("/password", requireAuth, requireSession, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const user = await User.findById(req.user._id).select("+password");
+
+    if (!currentPassword || !(await user.comparePassword(currentPassword))) {
+      return res.status(400).json({ error: "Current password is incorrect" });
+    }
+
+    user.password = newPassword;
+    user.mustChangePassword = false;
+    await user.save();
+
+    res.json({ success: true, message: "Password changed successfully" });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,129 @@
+const express = require("express");
+const router = express.Router();
+const ApiToken = require("../models/ApiToken");
+const { requireSession } = require("../middleware/auth");
+const { hasPermission, TOKEN_SCOPES } = require("../config/roles");
+const audit = require("../services/audit");
+
+const DEFAULT_EXPIRY_DAYS = 90;
+const MAX_EXPIRY_DAYS = 365;
+
+// Tokens are managed from the dashboard, never by another token
+router.use(requireSession);
+
+router.get("/scopes", (req, res) => {
+  res.json(TOKEN_SCOPES);
+});
+
+// Own tokens; user managers may pass ?all=true to see every token
+router.get("/", async (req, res) => {
+  try {
+    const query =
+      req.query.all === "true" && hasPermission(req.user.role, "users:manage")
+        ? {}
+        : { user: req.user._id };
+
+    const tokens = await ApiToken.find(query)
+      .populate("user", "username name")
+      .sort({ createdAt: -1 });
+
+    res.json(tokens.map((token) => token.toPublicJSON()));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post("/", async (req, res) => {
+  try {
+    const { name, type = "personal", scopes = [] } = req.body;
+    const expiresInDays =
+      req.body.expiresInDays === undefined
+        ? DEFAULT_EXPIRY_DAYS
+        : Number(req.body.expiresInDays);
+
+    if (type === "service" && !hasPermission(req.user.role, "users:manage")) {
+      return res
+        .status(403)
+        .json({ error: "Permission denied: requires users:manage" });
+    }
+
+    if (
+      !Number.isInteger(expiresInDays) ||
+      expiresInDays < 1 ||
+      expiresInDays > MAX_EXPIRY_DAYS
+    ) {
+      return res.status(400).json({
+        error: `expiresInDays must be between 1 and ${MAX_EXPIRY_DAYS}`,
+      });
+    }
+
+    // A scope is only useful if the owner's role grants part of it
+    const unusable = (Array.isArray(scopes) ? scopes : []).find(
+      (scope) =>
+        TOKEN_SCOPES[scope] &&
+        !TOKEN_SCOPES[scope].some((p) => hasPermission(req.user.role, p))
+    );
+    if (unusable) {
+      return res
+        .status(400)
+        .json({ error: `Your role cannot use the ${unusable} scope` });
+    }
+
+    const { token, apiToken } = await audit.track(
+      "token.create",
+      {
+        type: "ApiToken",
+        find: (issued) => issued && { _id: issued.apiToken._id },
+      },
+      () =>
+        ApiToken.issue({
+          name,
+          type,
+          scopes,
+          user: req.user._id,
+          expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+        })
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Token created. Copy it now, it will not be shown again.",
+      token,
+      apiToken: apiToken.toPublicJSON(),
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+router.delete("/:id", async (req, res) => {
+  try {
+    const apiToken = await ApiToken.findById(req.params.id);
+    const canManage =
+      apiToken &&
+      (apiToken.user.equals(req.user._id) ||
+        hasPermission(req.user.role, "users:manage"));
+
+    if (!canManage) {
+      return res.status(404).json({ error: "Token not found" });
+    }
+
+    if (!apiToken.revokedAt) {
+      await audit.track(
+        "token.revoke",
+        { type: "ApiToken", find: () => ({ _id: apiToken._id }) },
+        () => apiToken.revoke(req.user._id)
+      );
+    }
+
+    res.json({
+      success: true,
+      message: "Token revoked successfully",
+      apiToken: apiToken.toPublicJSON(),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
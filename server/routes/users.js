@@ -0,0 +1,125 @@
+const express = require("express");
+const router = express.Router();
+const User = require("../models/User");
+const { authorize } = require("../middleware/rbac");
+const audit = require("../services/audit");
+
+// Fields an admin may set on an account
+const EDITABLE_FIELDS = [
+  "name",
+  "email",
+  "role",
+  "scope",
+  "enabled",
+  "password",
+  "mustChangePassword",
+];
+
+function pickEditable(body) {
+  const data = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+}
+
+router.use(authorize("users:manage"));
+
+router.get("/", async (req, res) => {
+  try {
+    const users = await User.find({}).sort({ createdAt: -1 });
+    res.json(users.map((user) => user.toPublicJSON()));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post("/", async (req, res) => {
+  try {
+    const user = new User({
+      ...pickEditable(req.body),
+      username: req.body.username,
+      createdBy: req.user._id,
+    });
+    await audit.track(
+      "user.create",
+      { type: "User", find: (saved) => saved && { _id: user._id } },
+      () => user.save()
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "User created successfully",
+      user: user.toPublicJSON(),
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+router.put("/:id", async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const updates = pickEditable(req.body);
+    const isSelf = user._id.equals(req.user._id);
+
+    // Admins cannot lock themselves out
+    if (
+      isSelf &&
+      ((updates.role && updates.role !== user.role) ||
+        updates.enabled === false)
+    ) {
+      return res
+        .status(400)
+        .json({ error: "You cannot change your own role or disable yourself" });
+    }
+
+    await audit.track(
+      "user.update",
+      {
+        type: "User",
+        find: () => ({ _id: user._id }),
+        details: () => ({ passwordChanged: updates.password !== undefined }),
+      },
+      () => {
+        Object.assign(user, updates);
+        return user.save();
+      }
+    );
+
+    res.json({
+      success: true,
+      message: "User updated successfully",
+      user: user.toPublicJSON(),
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+router.delete("/:id", async (req, res) => {
+  try {
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({ error: "You cannot delete yourself" });
+    }
+
+    const user = await audit.track(
+      "user.delete",
+      { type: "User", find: () => ({ _id: req.params.id }) },
+      () => User.findByIdAndDelete(req.params.id)
+    );
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    res.json({ success: true, message: "User deleted successfully" });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,5 +1,35 @@
 const express = require("express");
 const router = express.Router();
+const { requireAuth } = require("../middleware/auth");
+
+// Only allow redirects back into this app after login
+function safeRedirect(target) {
+  return typeof target === "string" && /^\/(?!\/)/.test(target) ? target : "/";
+}
+
+// Login
+router.get("/login", (req, res) => {
+  if (req.session?.userId) {
+    return res.redirect(safeRedirect(req.query.next));
+  }
+
+  res.render("login", {
+    title: "Login",
+    page: "login",
+    layout: false,
+    next: safeRedirect(req.query.next),
+  });
+});
+
+router.get("/logout", (req, res) => {
+  req.session.destroy(() => {
+    res.clearCookie("connect.sid");
+    res.redirect("/login");
+  });
+});
+
+// Every page below requires a signed-in user
+router.use(requireAuth);
 
 // Dashboard
 router.get("/", (req, res) => {
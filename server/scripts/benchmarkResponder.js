@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+
+// Standalone throughput responder for MTU benchmarks, for a host on the
+// far side of the tunnel (it needs nothing but Node):
+//
+//   node server/scripts/benchmarkResponder.js [port] [host]
+//
+// then point BENCHMARK_TARGET at it. It listens on loopback unless given a
+// host; pass the machine's tunnel address to reach it across the tunnel.
+
+require("dotenv").config();
+const benchmark = require("../services/benchmark");
+
+const port =
+  parseInt(process.argv[2]) ||
+  parseInt(process.env.BENCHMARK_RESPONDER_PORT) ||
+  5201;
+const host = process.argv[3] || process.env.BENCHMARK_RESPONDER_HOST;
+
+benchmark
+  .startResponder(port, host)
+  .then(({ host, port }) => {
+    console.log(
+      `📶 Benchmark responder listening on ${host}:${port} (TCP and UDP)`
+    );
+  })
+  .catch((error) => {
+    console.error("❌ Failed to start benchmark responder:", error.message);
+    process.exit(1);
+  });
+
+process.on("SIGINT", () =>
+  benchmark.stopResponder().then(() => process.exit(0))
+);
+process.on("SIGTERM", () =>
+  benchmark.stopResponder().then(() => process.exit(0))
+);
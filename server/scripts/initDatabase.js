@@ -1,10 +1,18 @@
 #!/usr/bin/env node
 
 require("dotenv").config();
+const crypto = require("crypto");
 const mongoose = require("mongoose");
 const Server = require("../models/Server");
 const Peer = require("../models/Peer");
+const IPAllocation = require("../models/IPAllocation");
 const MTUProfile = require("../models/MTUProfile");
+const MTUTestRun = require("../models/MTUTestRun");
+const User = require("../models/User");
+const ApiToken = require("../models/ApiToken");
+const AuditLog = require("../models/AuditLog");
+const TrafficSample = require("../models/TrafficSample");
+const { generateKeyPair } = require("../utils/keys");
 
 async function initializeDatabase() {
   console.log("🚀 Initializing WireGuard Dashboard Database...");
@@ -28,8 +36,17 @@ async function initializeDatabase() {
   console.log("📊 Creating database indexes...");
   try {
     await Server.createIndexes();
+    await Peer.dropExpiryTTLIndex();
     await Peer.createIndexes();
+    await IPAllocation.createIndexes();
     await MTUProfile.createIndexes();
+    await MTUTestRun.createIndexes();
+    await User.createIndexes();
+    await ApiToken.createIndexes();
+    await AuditLog.createIndexes();
+    for (const resolution of Object.keys(TrafficSample.RESOLUTIONS)) {
+      await TrafficSample.forResolution(resolution).createIndexes();
+    }
     console.log("✅ Database indexes created");
   } catch (error) {
     console.error("❌ Error creating indexes:", error);
@@ -44,6 +61,14 @@ async function initializeDatabase() {
     console.error("❌ Error initializing MTU profiles:", error);
   }
 
+  // Create the first admin account
+  console.log("👤 Checking for an admin account...");
+  try {
+    await createInitialAdmin();
+  } catch (error) {
+    console.error("❌ Error creating admin account:", error);
+  }
+
   // Create sample data for development
   if (process.env.NODE_ENV === "development") {
     console.log("🧪 Creating sample data for development...");
@@ -59,26 +84,48 @@ async function initializeDatabase() {
   console.log("📁 Next steps:");
   console.log("   1. Run the server: npm start");
   console.log("   2. Access dashboard: http://localhost:3000");
-  console.log("   3. Create your first WireGuard interface");
+  console.log("   3. Sign in with the admin account");
+  console.log("   4. Create your first WireGuard interface");
 
   await mongoose.disconnect();
   process.exit(0);
 }
 
+async function createInitialAdmin() {
+  const userCount = await User.countDocuments();
+  if (userCount > 0) {
+    console.log(`✅ ${userCount} user(s) already exist, skipping`);
+    return;
+  }
+
+  const username = process.env.ADMIN_USERNAME || "admin";
+  const generated = !process.env.ADMIN_PASSWORD;
+  const password =
+    process.env.ADMIN_PASSWORD || crypto.randomBytes(12).toString("base64url");
+
+  await User.create({
+    username,
+    name: "Administrator",
+    password,
+    role: "admin",
+    mustChangePassword: generated,
+  });
+
+  console.log(`✅ Admin account "${username}" created`);
+  if (generated) {
+    console.log(`   Password: ${password}`);
+    console.log("   ⚠️  Store it now, it will not be shown again");
+  }
+}
+
 async function createSampleData() {
   // Create sample servers for Myanmar ISPs
   const isps = ["MPT", "OOREDOO", "MYTEL", "ATOM"];
 
   for (let i = 0; i < 3; i++) {
     const isp = isps[i % isps.length];
-    const { exec } = require("child_process");
-    const util = require("util");
-    const execAsync = util.promisify(exec);
 
-    const privateKey = (await execAsync("wg genkey")).stdout.trim();
-    const publicKey = (
-      await execAsync(`echo "${privateKey}" | wg pubkey`)
-    ).stdout.trim();
+    const { privateKey, publicKey } = generateKeyPair();
 
     const server = new Server({
       name: `${isp} Server ${i + 1}`,
@@ -101,10 +148,8 @@ async function createSampleData() {
 
     // Create sample peers
     for (let j = 1; j <= 5; j++) {
-      const peerPrivateKey = (await execAsync("wg genkey")).stdout.trim();
-      const peerPublicKey = (
-        await execAsync(`echo "${peerPrivateKey}" | wg pubkey`)
-      ).stdout.trim();
+      const { privateKey: peerPrivateKey, publicKey: peerPublicKey } =
+        generateKeyPair();
 
       const peer = new Peer({
         name: `Peer ${j} - ${isp}`,
@@ -0,0 +1,216 @@
+const { AsyncLocalStorage } = require("async_hooks");
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const AuditLog = require("../models/AuditLog");
+
+// Never written to the log, even as part of a diff
+const SECRET_FIELDS = [
+  "privateKey",
+  "presharedKey",
+  "password",
+  "tokenHash",
+  "configFile",
+  "qrCode",
+];
+
+// Bookkeeping fields that change on every save
+const IGNORED_FIELDS = ["_id", "__v", "id", "updatedAt", "lastSync"];
+
+// Records who changed what. The acting user and source IP are carried through
+// async calls with AsyncLocalStorage, so the WireGuard service can audit its
+// lifecycle methods without routes passing the request down.
+class AuditService {
+  constructor() {
+    this.storage = new AsyncLocalStorage();
+  }
+
+  // ==================== CONTEXT ====================
+
+  // Express middleware binding the current request to everything it awaits
+  middleware() {
+    return (req, res, next) => {
+      const actor = req.user
+        ? {
+            type: req.apiToken ? "token" : "user",
+            user: req.user._id,
+            username: req.user.username,
+            role: req.user.role,
+            token: req.apiToken?._id,
+          }
+        : { type: "system" };
+
+      this.storage.run(
+        {
+          actor,
+          ip: req.ip,
+          userAgent: req.get("user-agent"),
+          requestId: crypto.randomUUID(),
+        },
+        next
+      );
+    };
+  }
+
+  context() {
+    return this.storage.getStore() || { actor: { type: "system" } };
+  }
+
+  // ==================== RECORDING ====================
+
+  async record({ action, target, server, changes, details, result, error }) {
+    const { actor, ip, userAgent, requestId } = this.context();
+
+    try {
+      await AuditLog.create({
+        actor,
+        action,
+        target,
+        server,
+        changes,
+        details,
+        result,
+        error,
+        ip,
+        userAgent,
+        requestId,
+      });
+    } catch (recordError) {
+      // Auditing must never break the operation being audited
+      console.error(`Failed to write audit entry ${action}:`, recordError);
+    }
+  }
+
+  // Runs fn and records its outcome with a before/after diff of the target.
+  // `find(result)` returns the query locating the target document; it is
+  // called once before fn (result undefined) and once after.
+  async track(action, { type, find, details }, fn) {
+    const before = await this.snapshot(type, find());
+    let result;
+
+    try {
+      result = await fn();
+    } catch (error) {
+      await this.record({
+        action,
+        target: this.describe(type, before),
+        server: this.serverOf(type, before),
+        details: details?.(),
+        result: "failure",
+        error: error.message,
+      });
+      throw error;
+    }
+
+    const after = await this.snapshot(type, find(result));
+    // Some service methods report failure instead of throwing
+    const failed = result && result.success === false;
+
+    await this.record({
+      action,
+      target: this.describe(type, after || before),
+      server: this.serverOf(type, after || before),
+      changes: this.diff(before, after),
+      details: details?.(result),
+      result: failed ? "failure" : "success",
+      error: failed ? result.error : undefined,
+    });
+
+    return result;
+  }
+
+  // Wraps service methods with track(). `descriptors` maps a method name to
+  // { action, type, find(args, result), details(args, result) }.
+  instrument(target, descriptors) {
+    const audit = this;
+
+    for (const [method, descriptor] of Object.entries(descriptors)) {
+      const original = target[method];
+
+      target[method] = function (...args) {
+        return audit.track(
+          descriptor.action,
+          {
+            type: descriptor.type,
+            find: (result) =>
+              descriptor.find ? descriptor.find(args, result) : null,
+            details: (result) =>
+              descriptor.details ? descriptor.details(args, result) : undefined,
+          },
+          () => original.apply(this, args)
+        );
+      };
+    }
+  }
+
+  // ==================== HELPERS ====================
+
+  async snapshot(type, query) {
+    if (!query || !mongoose.modelNames().includes(type)) return null;
+
+    const doc = await mongoose
+      .model(type)
+      .findOne(query)
+      .select(SECRET_FIELDS.map((field) => `-${field}`).join(" "))
+      .lean();
+
+    return doc ? JSON.parse(JSON.stringify(doc)) : null;
+  }
+
+  describe(type, doc) {
+    if (!doc) return { type };
+
+    return {
+      type,
+      id: doc._id,
+      name: doc.name || doc.interfaceName || doc.username,
+    };
+  }
+
+  serverOf(type, doc) {
+    if (!doc) return undefined;
+    if (type === "Server") return doc._id;
+    if (type === "Peer") return doc.server;
+    return undefined;
+  }
+
+  // Field-level differences between two plain objects, flattened to dotted
+  // paths. Arrays are compared as a whole.
+  diff(before, after) {
+    const flatBefore = this.flatten(before || {});
+    const flatAfter = this.flatten(after || {});
+    const fields = new Set([
+      ...Object.keys(flatBefore),
+      ...Object.keys(flatAfter),
+    ]);
+    const changes = [];
+
+    for (const field of fields) {
+      const a = flatBefore[field];
+      const b = flatAfter[field];
+      if (JSON.stringify(a) !== JSON.stringify(b)) {
+        changes.push({ field, before: a ?? null, after: b ?? null });
+      }
+    }
+
+    return changes;
+  }
+
+  flatten(obj, prefix = "", out = {}) {
+    for (const [key, value] of Object.entries(obj)) {
+      if (SECRET_FIELDS.includes(key) || IGNORED_FIELDS.includes(key)) {
+        continue;
+      }
+
+      const field = prefix ? `${prefix}.${key}` : key;
+      if (value && typeof value === "object" && !Array.isArray(value)) {
+        this.flatten(value, field, out);
+      } else {
+        out[field] = value;
+      }
+    }
+
+    return out;
+  }
+}
+
+module.exports = new AuditService();
@@ -0,0 +1,326 @@
+const net = require("net");
+const dgram = require("dgram");
+const { parseEndpoint } = require("../utils/wgDump");
+const { round } = require("../utils/stats");
+const pmtuProber = require("./pmtuProber");
+
+// UDP datagrams start with MAGIC, a session id and a sequence number; the
+// highest sequence number marks the end of a session, which the responder
+// answers with what it received
+const MAGIC = Buffer.from("WGBM");
+const HEADER_SIZE = 12;
+const DONE = 0xffffffff;
+const TCP_CHUNK = 64 * 1024;
+
+// Responder limits, so an exposed port can't be used as a free sink
+const MAX_CONNECTIONS = 4;
+const MAX_SESSION_MS = 60 * 1000;
+// Loopback unless told otherwise; set the tunnel address to reach it
+// across the tunnel
+const DEFAULT_RESPONDER_HOST = "127.0.0.1";
+
+const mbps = (bytes, ms) => (ms > 0 ? (bytes * 8) / ms / 1000 : 0);
+
+// Throughput and jitter for MTU tests. Throughput is measured against a
+// responder: this app runs one when BENCHMARK_RESPONDER_PORT is set, and
+// `npm run benchmark-responder` starts one on any host with Node, e.g. a
+// machine behind a peer. BENCHMARK_TARGET (host:port) says where tests
+// send their traffic; put it across the tunnel so the MTU under test is on
+// the path. Only an administrator picks the target: requests can't, so
+// tests can't be pointed at arbitrary hosts.
+//
+//   TCP: the client writes for the test duration and closes its side; the
+//        responder answers with {"bytes": n} and closes.
+//   UDP: the client sends sequenced datagrams of the tested size at a
+//        fixed rate, then DONE; the responder answers {"received", "bytes"}.
+class Benchmark {
+  constructor() {
+    this.durationMs = (parseFloat(process.env.BENCHMARK_DURATION) || 3) * 1000;
+    this.pingCount = parseInt(process.env.BENCHMARK_PING_COUNT) || 10;
+    this.pingInterval = parseInt(process.env.MTU_TEST_INTERVAL) || 500;
+    this.udpRate = parseFloat(process.env.BENCHMARK_UDP_RATE) || 20;
+    this.tcpServer = null;
+    this.udpSocket = null;
+  }
+
+  target() {
+    const value = process.env.BENCHMARK_TARGET;
+    const endpoint = parseEndpoint(value);
+    if (!endpoint) {
+      throw new Error(
+        value
+          ? `Invalid benchmark target ${value}, expected host:port`
+          : "No benchmark target configured (BENCHMARK_TARGET)"
+      );
+    }
+    return endpoint;
+  }
+
+  // ==================== RESPONDER ====================
+
+  async startResponder(
+    port = parseInt(process.env.BENCHMARK_RESPONDER_PORT),
+    host = process.env.BENCHMARK_RESPONDER_HOST || DEFAULT_RESPONDER_HOST
+  ) {
+    if (this.tcpServer) return;
+    if (!port) {
+      throw new Error("No benchmark responder port configured");
+    }
+
+    this.tcpServer = net.createServer((socket) => {
+      let bytes = 0;
+      // A hard cap on the session, not just on idle time
+      const lifetime = setTimeout(() => socket.destroy(), MAX_SESSION_MS);
+      socket.on("close", () => clearTimeout(lifetime));
+      socket.on("data", (chunk) => (bytes += chunk.length));
+      socket.on("end", () => socket.end(JSON.stringify({ bytes }) + "\n"));
+      socket.on("error", () => socket.destroy());
+    });
+    this.tcpServer.maxConnections = MAX_CONNECTIONS;
+
+    const sessions = new Map();
+    this.udpSocket = dgram.createSocket(host.includes(":") ? "udp6" : "udp4");
+    this.udpSocket.on("message", (message, remote) => {
+      if (
+        message.length < HEADER_SIZE ||
+        !message.subarray(0, 4).equals(MAGIC)
+      ) {
+        return;
+      }
+
+      const key = `${remote.address}:${remote.port}:${message.readUInt32BE(4)}`;
+      const now = Date.now();
+      for (const [id, session] of sessions) {
+        if (now - session.startedAt > MAX_SESSION_MS) sessions.delete(id);
+      }
+
+      let session = sessions.get(key);
+      if (message.readUInt32BE(8) === DONE) {
+        // Only sessions that sent data get an answer, so a spoofed DONE
+        // can't bounce replies at a third party. The session is kept
+        // until it expires, so a repeated DONE gets the same answer.
+        if (!session?.received) return;
+        const reply = JSON.stringify({
+          received: session.received,
+          bytes: session.bytes,
+        });
+        this.udpSocket.send(reply, remote.port, remote.address);
+        return;
+      }
+
+      if (!session) {
+        if (sessions.size >= MAX_CONNECTIONS) return;
+        session = { received: 0, bytes: 0, startedAt: now };
+        sessions.set(key, session);
+      }
+      session.received++;
+      session.bytes += message.length;
+    });
+
+    await Promise.all([
+      new Promise((resolve, reject) => {
+        this.tcpServer.once("error", reject);
+        this.tcpServer.listen(port, host, resolve);
+      }),
+      new Promise((resolve, reject) => {
+        this.udpSocket.once("error", reject);
+        this.udpSocket.bind(port, host, resolve);
+      }),
+    ]);
+
+    return { host, port };
+  }
+
+  async stopResponder() {
+    if (!this.tcpServer) return;
+
+    await new Promise((resolve) => this.tcpServer.close(resolve));
+    await new Promise((resolve) => this.udpSocket.close(resolve));
+    this.tcpServer = null;
+    this.udpSocket = null;
+  }
+
+  // ==================== CLIENT ====================
+
+  // Goodput of one TCP stream, in Mbit/s as counted by the responder
+  measureTCP({ host, port }, { duration = this.durationMs } = {}) {
+    return new Promise((resolve, reject) => {
+      const socket = net.connect({ host, port });
+      const chunk = Buffer.alloc(TCP_CHUNK);
+      let startedAt = null;
+      let sent = 0;
+      let reply = "";
+
+      const fail = (error) => {
+        socket.destroy();
+        reject(
+          new Error(`Benchmark to ${host}:${port} failed: ${error.message}`)
+        );
+      };
+
+      socket.setTimeout(duration + 10000, () =>
+        fail(new Error("responder stopped answering"))
+      );
+      socket.on("error", fail);
+
+      const pump = () => {
+        while (Date.now() - startedAt < duration) {
+          sent += chunk.length;
+          if (!socket.write(chunk)) return socket.once("drain", pump);
+        }
+        socket.end();
+      };
+
+      socket.on("connect", () => {
+        startedAt = Date.now();
+        pump();
+      });
+      socket.on("data", (data) => (reply += data));
+      socket.on("end", () => {
+        const elapsed = Date.now() - startedAt;
+        try {
+          const { bytes } = JSON.parse(reply);
+          resolve({
+            protocol: "tcp",
+            throughput: round(mbps(bytes, elapsed)),
+            bytes,
+            sent,
+            duration: elapsed,
+          });
+        } catch (error) {
+          fail(new Error("unexpected reply from responder"));
+        }
+      });
+    });
+  }
+
+  // Delivered rate and loss for `size`-byte datagrams sent at
+  // BENCHMARK_UDP_RATE Mbit/s
+  measureUDP(
+    { host, port },
+    { size = 1400, duration = this.durationMs, rate = this.udpRate } = {}
+  ) {
+    const family = net.isIP(host) === 6 ? "udp6" : "udp4";
+    const socket = dgram.createSocket(family);
+    const session = Math.floor(Math.random() * DONE);
+    const datagram = Buffer.alloc(Math.max(size, HEADER_SIZE));
+    MAGIC.copy(datagram, 0);
+    datagram.writeUInt32BE(session, 4);
+
+    // Datagrams per 10 ms tick for the requested rate
+    const perTick = Math.max(
+      1,
+      Math.round((rate * 1e6) / 8 / datagram.length / 100)
+    );
+
+    return new Promise((resolve, reject) => {
+      let sequence = 0;
+      let timer = null;
+      let doneTimer = null;
+      let settled = false;
+      const startedAt = Date.now();
+
+      const finish = (error, result) => {
+        if (settled) return;
+        settled = true;
+        clearInterval(timer);
+        clearInterval(doneTimer);
+        socket.close();
+        if (error) {
+          reject(
+            new Error(`Benchmark to ${host}:${port} failed: ${error.message}`)
+          );
+        } else {
+          resolve(result);
+        }
+      };
+
+      socket.on("error", (error) => finish(error));
+      socket.on("message", (message) => {
+        try {
+          const { received, bytes } = JSON.parse(message);
+          const elapsed = Date.now() - startedAt;
+          finish(null, {
+            protocol: "udp",
+            throughput: round(mbps(bytes, Math.min(elapsed, duration))),
+            size: datagram.length,
+            sent: sequence,
+            received,
+            loss: sequence
+              ? round(((sequence - received) / sequence) * 100)
+              : 0,
+            duration,
+          });
+        } catch (error) {
+          finish(new Error("unexpected reply from responder"));
+        }
+      });
+
+      const sendDone = () => {
+        const done = Buffer.from(datagram.subarray(0, HEADER_SIZE));
+        done.writeUInt32BE(DONE, 8);
+        socket.send(done, port, host);
+      };
+
+      timer = setInterval(() => {
+        if (Date.now() - startedAt >= duration) {
+          clearInterval(timer);
+          // DONE can be lost too; give up after a few tries
+          let tries = 0;
+          sendDone();
+          doneTimer = setInterval(() => {
+            if (++tries >= 5) {
+              return finish(new Error("responder did not answer"));
+            }
+            sendDone();
+          }, 1000);
+          return;
+        }
+
+        for (let i = 0; i < perTick; i++) {
+          datagram.writeUInt32BE(sequence++, 8);
+          socket.send(datagram, port, host);
+        }
+      }, 10);
+    });
+  }
+
+  // A series of don't-fragment pings of an `mtu`-byte packet: average
+  // latency, jitter and loss
+  async measureJitter(host, { mtu, count = this.pingCount, device } = {}) {
+    const series = await pmtuProber.series(
+      await pmtuProber.resolve(host),
+      mtu,
+      { count, interval: this.pingInterval, device }
+    );
+
+    return {
+      count,
+      latency: series.latency,
+      jitter: series.jitter,
+      packetLoss: series.packetLoss,
+    };
+  }
+
+  // Throughput to BENCHMARK_TARGET for an MTU; the UDP test sends
+  // datagrams that fill a packet of exactly `mtu` bytes
+  async transfer({ mtu, protocol = "tcp" } = {}) {
+    const endpoint = this.target();
+    return protocol === "udp"
+      ? this.measureUDP(endpoint, {
+          size: mtu - (net.isIP(endpoint.host) === 6 ? 48 : 28),
+        })
+      : this.measureTCP(endpoint);
+  }
+
+  // Jitter towards `host` and throughput to BENCHMARK_TARGET for an MTU
+  async run(host, { mtu, protocol = "tcp", device } = {}) {
+    this.target();
+    const series = await this.measureJitter(host, { mtu, device });
+    const transfer = await this.transfer({ mtu, protocol });
+
+    return { ...series, transfer, throughput: transfer.throughput };
+  }
+}
+
+module.exports = new Benchmark();
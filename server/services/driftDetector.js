@@ -0,0 +1,166 @@
+const Server = require("../models/Server");
+const Peer = require("../models/Peer");
+const wireguard = require("../wireguard");
+const audit = require("./audit");
+const { parseDump } = require("../utils/wgDump");
+const wgConfig = require("../utils/wgConfig");
+const {
+  fromDatabase,
+  fromConfig,
+  fromLive,
+  diffStates,
+} = require("../utils/stateDiff");
+
+// Each pair is compared as expected -> actual
+const COMPARISONS = [
+  ["db", "file"],
+  ["db", "live"],
+  ["file", "live"],
+];
+
+// Compares the database, the wg-quick file and the running interface for
+// every server on a schedule. Drift is stored on the Server and audited
+// when it first appears; fixing it is an explicit reconcile.
+class DriftDetector {
+  constructor(
+    intervalSeconds = parseInt(process.env.DRIFT_CHECK_INTERVAL) || 300
+  ) {
+    this.intervalMs = intervalSeconds * 1000;
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.run(), this.intervalMs);
+    this.timer.unref();
+    this.run();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async run() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const servers = await Server.find({});
+      for (const server of servers) {
+        try {
+          await this.check(server);
+        } catch (error) {
+          console.error(
+            `Drift check failed for ${server.interfaceName}:`,
+            error.message
+          );
+        }
+      }
+    } catch (error) {
+      console.error("Drift check run failed:", error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async check(server) {
+    const { interfaceName } = server;
+    const { backend } = wireguard;
+
+    const peers = await Peer.find({ server: server._id, enabled: true }).select(
+      "+presharedKey"
+    );
+    const states = { db: fromDatabase(server, peers), file: null, live: null };
+
+    // A file wg-quick would reject is reported as missing, with the reasons
+    let fileErrors = [];
+    try {
+      const doc = wgConfig.parse(await backend.readConfig(interfaceName), {
+        strict: false,
+      });
+      fileErrors = doc.errors;
+      if (fileErrors.length === 0) {
+        states.file = fromConfig(wgConfig.flatten(doc));
+      }
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+
+    if (await backend.isRunning(interfaceName)) {
+      states.live = fromLive(
+        parseDump(await backend.showDump(interfaceName)),
+        await backend.getLink(interfaceName)
+      );
+    }
+
+    // A stopped interface has no live state to drift from; a missing file
+    // always counts as drift
+    const comparisons = COMPARISONS.filter(
+      ([expected, actual]) => states[expected] && states[actual]
+    ).map(([expected, actual]) => {
+      const differences = diffStates(states[expected], states[actual]);
+      return {
+        expected,
+        actual,
+        inSync: differences.length === 0,
+        differences,
+      };
+    });
+
+    const report = {
+      server: { id: server._id, name: server.name, interfaceName },
+      checkedAt: new Date(),
+      sources: { db: true, file: !!states.file, live: !!states.live },
+      fileErrors,
+      inSync: !!states.file && comparisons.every((c) => c.inSync),
+      comparisons,
+    };
+
+    await this.remember(server, report);
+    return report;
+  }
+
+  async remember(server, report) {
+    const differences = report.comparisons.reduce(
+      (sum, c) => sum + c.differences.length,
+      report.sources.file ? 0 : 1
+    );
+    const newlyDrifted = !report.inSync && server.drift?.inSync !== false;
+
+    const update = {
+      "drift.checkedAt": report.checkedAt,
+      "drift.inSync": report.inSync,
+      "drift.differences": differences,
+    };
+    if (newlyDrifted) update["drift.detectedAt"] = report.checkedAt;
+    if (report.inSync) update["drift.detectedAt"] = null;
+
+    await Server.updateOne({ _id: server._id }, { $set: update });
+
+    if (!newlyDrifted) return;
+
+    console.warn(`⚠️  Configuration drift on ${server.interfaceName}`);
+    await audit.record({
+      action: "server.drift-detected",
+      target: { type: "Server", id: server._id, name: server.name },
+      server: server._id,
+      details: {
+        missingFile: !report.sources.file,
+        fileErrors: report.fileErrors.length,
+        comparisons: report.comparisons
+          .filter((c) => !c.inSync)
+          .map((c) => ({
+            expected: c.expected,
+            actual: c.actual,
+            differences: c.differences.length,
+          })),
+      },
+      result: "success",
+    });
+  }
+}
+
+module.exports = new DriftDetector();
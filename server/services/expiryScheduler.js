@@ -0,0 +1,110 @@
+const Peer = require("../models/Peer");
+const wireguard = require("../wireguard");
+const audit = require("./audit");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function parseWarnDays(value) {
+  return (value || "7,1")
+    .split(",")
+    .map((v) => parseFloat(v))
+    .filter((v) => v > 0)
+    .sort((a, b) => b - a);
+}
+
+// Replaces the old TTL index on Peer.expiresAt: warns ahead of expiry, and
+// once a peer's grace period is over takes it off WireGuard and marks it
+// expired while keeping its record and history.
+class ExpiryScheduler {
+  constructor(intervalSeconds = 60) {
+    this.intervalMs = intervalSeconds * 1000;
+    this.warnDays = parseWarnDays(process.env.PEER_EXPIRY_WARN_DAYS);
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.run(), this.intervalMs);
+    this.timer.unref();
+    this.run();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async run(now = new Date()) {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      await this.warn(now);
+      await this.expire(now);
+    } catch (error) {
+      console.error("Peer expiry run failed:", error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async warn(now) {
+    if (this.warnDays.length === 0) return;
+
+    const peers = await Peer.find({
+      enabled: true,
+      expiresAt: {
+        $gt: now,
+        $lte: new Date(now.getTime() + this.warnDays[0] * DAY),
+      },
+    });
+
+    for (const peer of peers) {
+      const daysLeft = (peer.expiresAt - now) / DAY;
+      const warned = peer.expiryWarnings || [];
+      const due = this.warnDays.filter(
+        (days) => daysLeft <= days && !warned.includes(days)
+      );
+      if (due.length === 0) continue;
+
+      peer.expiryWarnings = [...warned, ...due];
+      await peer.save();
+
+      console.warn(
+        `⏳ Peer ${peer.name} expires ${peer.expiresAt.toISOString()}`
+      );
+      await audit.record({
+        action: "peer.expiry-warning",
+        target: { type: "Peer", id: peer._id, name: peer.name },
+        server: peer.server,
+        details: {
+          expiresAt: peer.expiresAt,
+          daysLeft: Math.round(daysLeft * 10) / 10,
+        },
+        result: "success",
+      });
+    }
+  }
+
+  async expire(now) {
+    const candidates = await Peer.find({
+      status: { $ne: "expired" },
+      expiresAt: { $lte: now },
+    });
+
+    for (const peer of candidates) {
+      // Still inside its grace period
+      if (peer.expiryDeadline > now) continue;
+
+      try {
+        await wireguard.expirePeer(peer._id);
+      } catch (error) {
+        console.error(`Failed to expire peer ${peer._id}:`, error.message);
+      }
+    }
+  }
+}
+
+module.exports = new ExpiryScheduler();
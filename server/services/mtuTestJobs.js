@@ -0,0 +1,179 @@
+const { EventEmitter } = require("events");
+const Server = require("../models/Server");
+const MTUTestRun = require("../models/MTUTestRun");
+const wireguard = require("../wireguard");
+const audit = require("./audit");
+
+// Runs MTU sweeps in the background, at most one per interface, and keeps
+// each one as an MTUTestRun. Subscribers (the SSE route) receive "progress"
+// before each MTU value, "result" after it and "done" with the final run.
+// Cancelling stops the sweep after the value being tested; testMTU puts the
+// interface's original MTU back either way.
+class MTUTestJobs {
+  constructor() {
+    // run id -> { run, config, controller, events, finished }
+    this.jobs = new Map();
+    // interface name -> run id, claimed synchronously so two requests
+    // can't both start a sweep
+    this.interfaces = new Map();
+  }
+
+  // The queued or running test on an interface, from this process or one
+  // that died without finishing it
+  async activeRun(interfaceName) {
+    const id = this.interfaces.get(interfaceName);
+    if (id) return this.jobs.get(id).run;
+
+    const server = await Server.findOne({ interfaceName }).select("_id");
+    return server ? MTUTestRun.findActive(server) : null;
+  }
+
+  // The live document of a test this process is running
+  current(id) {
+    return this.jobs.get(String(id))?.run || null;
+  }
+
+  async start(interfaceName, config = {}) {
+    const server = await Server.findOne({ interfaceName });
+    if (!server) {
+      throw new Error("Server not found");
+    }
+    if (this.interfaces.has(interfaceName)) {
+      throw new Error(`An MTU test is already running on ${interfaceName}`);
+    }
+
+    const { actor } = audit.context();
+    const run = new MTUTestRun({
+      server: server._id,
+      interfaceName,
+      config,
+      originalMTU: server.mtu,
+      startedBy: actor.user
+        ? { user: actor.user, username: actor.username }
+        : undefined,
+    });
+
+    const job = {
+      run,
+      config,
+      controller: new AbortController(),
+      events: new EventEmitter(),
+      finished: null,
+    };
+    this.interfaces.set(interfaceName, String(run._id));
+    this.jobs.set(String(run._id), job);
+
+    try {
+      await run.save();
+    } catch (error) {
+      this.interfaces.delete(interfaceName);
+      this.jobs.delete(String(run._id));
+      throw error;
+    }
+
+    job.finished = this._execute(job);
+    return run;
+  }
+
+  async _execute(job) {
+    const { run, config, controller } = job;
+
+    try {
+      run.status = "running";
+      run.startedAt = new Date();
+      await run.save();
+
+      const result = await wireguard.testMTU(run.interfaceName, config, {
+        signal: controller.signal,
+        onProgress: ({ mtu, index, total, result }) => {
+          if (result) {
+            run.results.push(result);
+            run.progress = { completed: index + 1, total, currentMTU: mtu };
+            this._emit(job, "result", { mtu, index, total, result });
+          } else {
+            run.progress = { completed: index, total, currentMTU: mtu };
+            this._emit(job, "progress", { mtu, index, total });
+          }
+        },
+      });
+
+      run.status = result.cancelled ? "cancelled" : "completed";
+      run.results = result.results;
+      run.hosts = result.hosts;
+      run.bestMTU = result.bestMTU;
+      run.maxCommonMTU = result.maxCommonMTU;
+      run.recommendation = result.recommendation;
+    } catch (error) {
+      run.status = controller.signal.aborted ? "cancelled" : "failed";
+      run.error = error.message;
+    } finally {
+      run.finishedAt = new Date();
+      run.progress.currentMTU = undefined;
+      await run
+        .save()
+        .catch((error) =>
+          console.error(`Failed to save MTU test run ${run._id}:`, error)
+        );
+
+      this.interfaces.delete(run.interfaceName);
+      this.jobs.delete(String(run._id));
+      this._emit(job, "done", run.toJSON());
+      job.events.removeAllListeners();
+    }
+  }
+
+  _emit(job, event, data) {
+    job.events.emit("event", event, data);
+  }
+
+  // Calls listener(event, data) for a running test until it is done;
+  // returns an unsubscribe function, or null when the test isn't running
+  subscribe(id, listener) {
+    const job = this.jobs.get(String(id));
+    if (!job) return null;
+
+    job.events.on("event", listener);
+    return () => job.events.off("event", listener);
+  }
+
+  // Resolves with the finished run, or null when no such test is running
+  async cancel(id) {
+    const job = this.jobs.get(String(id));
+    if (!job) return null;
+
+    job.controller.abort();
+    await job.finished;
+    return job.run;
+  }
+
+  // Before the process exits, so no interface is left at a test MTU
+  async shutdown() {
+    await Promise.all([...this.jobs.keys()].map((id) => this.cancel(id)));
+  }
+
+  // Runs a previous process left unfinished: their interfaces may still be
+  // at a test MTU, so the original one is put back
+  async recover() {
+    const runs = await MTUTestRun.find({
+      status: { $in: ["queued", "running"] },
+      _id: { $nin: [...this.jobs.keys()] },
+    });
+
+    for (const run of runs) {
+      try {
+        if (run.status === "running" && run.originalMTU) {
+          await wireguard.setTemporaryMTU(run.interfaceName, run.originalMTU);
+        }
+        run.error = "Interrupted by a restart";
+      } catch (error) {
+        run.error = `Interrupted by a restart; restoring MTU ${run.originalMTU} failed: ${error.message}`;
+      }
+
+      run.status = "failed";
+      run.finishedAt = new Date();
+      await run.save();
+    }
+  }
+}
+
+module.exports = new MTUTestJobs();
@@ -0,0 +1,262 @@
+const dns = require("dns").promises;
+const net = require("net");
+const { run } = require("../utils/exec");
+const pmtu = require("../utils/pmtu");
+const stats = require("../utils/stats");
+
+const DEFAULT_HOSTS = "8.8.8.8,1.1.1.1";
+
+// Finds the path MTU to a host by binary search over don't-fragment pings
+// (`ping -M do`), so an oversized packet fails instead of being quietly
+// fragmented. Routers that answer "fragmentation needed" or "packet too
+// big" report their next-hop MTU, which the search tries next rather than
+// halving towards it. Every probe is kept in a trace.
+//
+// The same MTU_TEST_* settings drive the MTU sweep in wireguard.testMTU,
+// which uses series() for its pings.
+class PMTUProber {
+  constructor(options = {}) {
+    this.run = options.run || run;
+    this.timeoutMs = parseInt(process.env.MTU_TEST_TIMEOUT) || 2000;
+    // Pings per size: tries before a silent drop counts as "too big" here,
+    // the length of each series in a sweep
+    this.attempts = parseInt(process.env.MTU_TEST_COUNT) || 3;
+    this.interval = parseInt(process.env.MTU_TEST_INTERVAL) || 500;
+    this.min = parseInt(process.env.MTU_TEST_MIN) || 1280;
+    this.max = parseInt(process.env.MTU_TEST_MAX) || 1500;
+    this.step = parseInt(process.env.MTU_TEST_STEP) || 20;
+    // Upper bounds on one sweep: MTU values, hosts, and probes in total
+    this.maxValues = parseInt(process.env.MTU_TEST_MAX_VALUES) || 100;
+    this.maxHosts = parseInt(process.env.MTU_TEST_MAX_HOSTS) || 10;
+    this.maxProbes = parseInt(process.env.MTU_TEST_MAX_PROBES) || 2000;
+  }
+
+  hosts() {
+    return (process.env.MTU_TEST_HOSTS || DEFAULT_HOSTS)
+      .split(",")
+      .map((host) => host.trim())
+      .filter(Boolean);
+  }
+
+  // Refuses more hosts than one test may ping (MTU_TEST_MAX_HOSTS)
+  assertHostCount(hosts) {
+    if (hosts.length > this.maxHosts) {
+      throw new Error(
+        `A test can ping at most ${this.maxHosts} hosts (${hosts.length} requested)`
+      );
+    }
+    return hosts;
+  }
+
+  // Pings always go to an address, never to a name ping would look up
+  async resolve(host) {
+    const version = net.isIP(host);
+    if (version) return { address: host, family: version };
+
+    try {
+      const { address, family } = await dns.lookup(host);
+      return { address, family };
+    } catch (error) {
+      throw new Error(`Cannot resolve ${host}: ${error.code || error.message}`);
+    }
+  }
+
+  // One don't-fragment ping of an `mtu`-byte packet, optionally bound to
+  // `device`
+  async probe(address, family, mtu, { device } = {}) {
+    const seconds = Math.max(1, Math.ceil(this.timeoutMs / 1000));
+    const args = [
+      `-${family}`,
+      "-n",
+      "-c",
+      "1",
+      "-M",
+      "do",
+      "-W",
+      String(seconds),
+      "-s",
+      String(pmtu.payloadSize(mtu, family)),
+      ...(device ? ["-I", device] : []),
+      address,
+    ];
+
+    try {
+      const { stdout, stderr } = await this.run("ping", args, {
+        timeout: seconds * 1000 + 2000,
+      });
+      return pmtu.parsePingOutput(stdout + stderr);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        throw new Error("ping is not installed");
+      }
+      // No reply and ICMP errors both make ping exit non-zero
+      if (error.stdout === undefined) throw error;
+      return pmtu.parsePingOutput(`${error.stdout}${error.stderr}`);
+    }
+  }
+
+  // `count` don't-fragment pings of an `mtu`-byte packet to an address
+  // from resolve(), `interval` ms apart: loss and latency statistics
+  async series(
+    { address, family },
+    mtu,
+    { count = this.attempts, interval = this.interval, device } = {}
+  ) {
+    const rtts = [];
+    const outcomes = {};
+
+    for (let i = 0; i < count; i++) {
+      const outcome = await this.probe(address, family, mtu, { device });
+      outcomes[outcome.result] = (outcomes[outcome.result] || 0) + 1;
+      if (outcome.result === "ok") rtts.push(outcome.rtt);
+      if (i < count - 1) {
+        await new Promise((resolve) => setTimeout(resolve, interval));
+      }
+    }
+
+    return {
+      sent: count,
+      received: rtts.length,
+      packetLoss: stats.round(((count - rtts.length) / count) * 100),
+      latency: stats.round(stats.mean(rtts)),
+      median: stats.round(stats.median(rtts)),
+      p95: stats.round(stats.percentile(rtts, 95)),
+      jitter: stats.round(stats.jitter(rtts)),
+      outcomes,
+      rtts,
+    };
+  }
+
+  async discover(host, options = {}) {
+    const { address, family } = await this.resolve(host);
+    const min = Math.max(options.min || this.min, pmtu.MINIMUM_MTU[family]);
+    const max = options.max || this.max;
+    if (min > max) {
+      throw new Error(`Invalid MTU range ${min}-${max} for IPv${family}`);
+    }
+
+    const trace = [];
+    const fragNeeded = [];
+    let low = null;
+    let high = max;
+    let hint = null;
+
+    const step = async (mtu) => {
+      let outcome;
+      let attempts = 0;
+      do {
+        outcome = await this.probe(address, family, mtu, options);
+        attempts++;
+      } while (outcome.result === "timeout" && attempts < this.attempts);
+
+      if (outcome.result === "ok") {
+        low = mtu;
+      } else {
+        high = Math.min(high, mtu - 1);
+        // Next-hop MTUs at or above the failed size are bogus; below what
+        // already got through they are stale
+        const reported = outcome.reportedMTU;
+        if (reported && reported < mtu && (low === null || reported > low)) {
+          high = Math.min(high, reported);
+          hint = reported;
+        }
+      }
+      if (outcome.result === "frag-needed") {
+        fragNeeded.push({ from: outcome.from, mtu: outcome.reportedMTU });
+      }
+
+      trace.push({
+        step: trace.length + 1,
+        mtu,
+        payload: pmtu.payloadSize(mtu, family),
+        result: outcome.result,
+        rtt: outcome.rtt,
+        reportedMTU: outcome.reportedMTU,
+        attempts,
+        low,
+        high,
+      });
+      return outcome;
+    };
+
+    // Most paths carry the largest size, which settles it in one probe
+    if ((await step(max)).result !== "ok") {
+      const floor = await step(min);
+      if (floor.result !== "ok") {
+        return this._summarize(host, address, family, null, {
+          min,
+          max,
+          trace,
+          fragNeeded,
+          error: `No reply to ${min}-byte packets (${floor.result})`,
+        });
+      }
+    }
+
+    while (low < high) {
+      const mtu =
+        hint > low && hint <= high ? hint : Math.ceil((low + high) / 2);
+      hint = null;
+      await step(mtu);
+    }
+
+    return this._summarize(host, address, family, low, {
+      min,
+      max,
+      trace,
+      fragNeeded,
+    });
+  }
+
+  _summarize(
+    host,
+    address,
+    family,
+    pathMTU,
+    { min, max, trace, fragNeeded, error }
+  ) {
+    return {
+      host,
+      address,
+      family,
+      pathMTU,
+      tunnelMTU: pathMTU && pmtu.tunnelMTU(pathMTU, family),
+      overhead: pmtu.WIREGUARD_OVERHEAD[family],
+      range: { min, max },
+      fragNeeded,
+      // Oversized packets vanished with no ICMP error: PMTU discovery
+      // can't work on this path, so the tunnel MTU has to be set by hand
+      blackhole:
+        pathMTU !== null && trace.some((entry) => entry.result === "timeout"),
+      probes: trace.reduce((sum, entry) => sum + entry.attempts, 0),
+      trace,
+      ...(error && { error }),
+    };
+  }
+
+  // Runs one host after another; the tunnel MTU that suits every host that
+  // answered is the smallest of theirs
+  async discoverAll(hosts = this.hosts(), options = {}) {
+    const results = [];
+    for (const host of hosts) {
+      try {
+        results.push(await this.discover(host, options));
+      } catch (error) {
+        results.push({ host, pathMTU: null, error: error.message });
+      }
+    }
+
+    const answered = results.filter((result) => result.pathMTU);
+    return {
+      results,
+      pathMTU: answered.length
+        ? Math.min(...answered.map((result) => result.pathMTU))
+        : null,
+      tunnelMTU: answered.length
+        ? Math.min(...answered.map((result) => result.tunnelMTU))
+        : null,
+    };
+  }
+}
+
+module.exports = new PMTUProber();
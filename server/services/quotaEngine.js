@@ -0,0 +1,238 @@
+const Peer = require("../models/Peer");
+const wireguard = require("../wireguard");
+const audit = require("./audit");
+
+function parseThresholds(value) {
+  return (value || "80,95")
+    .split(",")
+    .map((v) => parseFloat(v))
+    .filter((v) => v > 0 && v < 100)
+    .sort((a, b) => a - b);
+}
+
+// Acts on Peer.dataLimit: warns as usage crosses QUOTA_WARN_THRESHOLDS,
+// disables peers that run over their quota and re-enables them when their
+// billing cycle rolls over. Usage itself is added by the stats collector.
+class QuotaEngine {
+  constructor(intervalSeconds = 10 * 60) {
+    this.intervalMs = intervalSeconds * 1000;
+    this.thresholds = parseThresholds(process.env.QUOTA_WARN_THRESHOLDS);
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.resetDue(), this.intervalMs);
+    this.timer.unref();
+    this.resetDue();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // ==================== ENFORCEMENT ====================
+
+  // Called after each stats collection for the server's quota-bound peers
+  async checkServer(serverId) {
+    const peers = await Peer.find({
+      server: serverId,
+      enabled: true,
+      "dataLimit.monthly": { $gt: 0 },
+    });
+
+    for (const peer of peers) {
+      try {
+        await this.check(peer);
+      } catch (error) {
+        console.error(`Quota check failed for peer ${peer._id}:`, error);
+      }
+    }
+  }
+
+  async check(peer) {
+    if (!peer.enabled || peer.dataLimit.monthly <= 0) return;
+
+    // A cycle that ended while we weren't looking starts fresh
+    if (peer.dataLimitNextReset <= new Date()) {
+      peer.rollBillingCycle();
+      await peer.save();
+      return;
+    }
+
+    const percentage = peer.dataLimitPercentage;
+
+    if (percentage >= 100) {
+      await this.disableForQuota(peer);
+      return;
+    }
+
+    const warned = peer.dataLimit.warnedThresholds || [];
+    const crossed = this.thresholds.filter(
+      (threshold) => percentage >= threshold && !warned.includes(threshold)
+    );
+    if (crossed.length === 0) return;
+
+    const threshold = crossed[crossed.length - 1];
+    peer.dataLimit.warnedThresholds = [...warned, ...crossed];
+    await peer.save();
+
+    console.warn(
+      `⚠️  Peer ${peer.name} has used ${percentage.toFixed(1)}% of its quota`
+    );
+    await audit.record({
+      action: "quota.warning",
+      target: { type: "Peer", id: peer._id, name: peer.name },
+      server: peer.server,
+      details: {
+        threshold,
+        used: peer.dataLimit.used,
+        limit: peer.dataLimitTotal,
+      },
+      result: "success",
+    });
+  }
+
+  async disableForQuota(peer) {
+    await Peer.updateOne(
+      { _id: peer._id },
+      { "dataLimit.exceededAt": new Date() }
+    );
+    await wireguard.disablePeer(peer._id, "quota");
+
+    console.warn(`⛔ Peer ${peer.name} disabled: monthly quota exceeded`);
+  }
+
+  // ==================== BILLING CYCLES ====================
+
+  // Rolls over every cycle that has ended and re-enables peers that were
+  // disabled for going over quota (never those disabled by hand)
+  async resetDue(now = new Date()) {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const peers = await Peer.find({ "dataLimit.monthly": { $gt: 0 } });
+
+      for (const peer of peers) {
+        if (peer.dataLimitNextReset > now) continue;
+
+        try {
+          // Back on the interface before the cycle moves on: if that fails
+          // the cycle stays due, and the next pass tries again
+          if (!peer.enabled && peer.disabledReason === "quota") {
+            await wireguard.enablePeer(peer._id);
+          }
+
+          peer.rollBillingCycle(now);
+          await peer.save();
+        } catch (error) {
+          console.error(`Quota reset failed for peer ${peer._id}:`, error);
+        }
+      }
+    } catch (error) {
+      console.error("Quota reset failed:", error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // ==================== LIMITS AND TOP-UPS ====================
+
+  // Sets the monthly quota (0 = unlimited). A peer disabled for quota comes
+  // back once it is under the new limit; one already over it is disabled.
+  async setLimit(peerId, monthly) {
+    if (!Number.isInteger(monthly) || monthly < 0) {
+      throw new Error("Data limit must be a whole number of bytes, 0 for none");
+    }
+
+    const peer = await Peer.findById(peerId);
+    if (!peer) {
+      throw new Error("Peer not found");
+    }
+
+    peer.dataLimit.monthly = monthly;
+    const underLimit = peer.dataLimitPercentage < 100;
+    if (underLimit) {
+      peer.dataLimit.exceededAt = null;
+    }
+    await peer.save();
+
+    let reEnabled = false;
+    if (!peer.enabled && peer.disabledReason === "quota" && underLimit) {
+      await wireguard.enablePeer(peer._id);
+      reEnabled = true;
+    } else {
+      await this.check(peer);
+    }
+
+    return {
+      success: true,
+      message: reEnabled
+        ? "Data limit updated and peer re-enabled"
+        : "Data limit updated",
+      dataLimit: {
+        monthly: peer.dataLimit.monthly,
+        topUp: peer.dataLimit.topUp,
+        used: peer.dataLimit.used,
+        total: peer.dataLimitTotal,
+        percentage: peer.dataLimitPercentage,
+        nextReset: peer.dataLimitNextReset,
+      },
+      reEnabled,
+    };
+  }
+
+  // Adds bytes to the current cycle only; a peer disabled for quota comes
+  // back as soon as it is under its new limit
+  async topUp(peerId, bytes) {
+    if (!Number.isFinite(bytes) || bytes <= 0) {
+      throw new Error("Top-up must be a positive number of bytes");
+    }
+
+    const peer = await Peer.findById(peerId);
+    if (!peer) {
+      throw new Error("Peer not found");
+    }
+    if (peer.dataLimit.monthly <= 0) {
+      throw new Error("Peer has no data limit");
+    }
+
+    peer.dataLimit.topUp = (peer.dataLimit.topUp || 0) + bytes;
+    if (peer.dataLimitPercentage < 100) {
+      peer.dataLimit.exceededAt = null;
+    }
+    await peer.save();
+
+    let reEnabled = false;
+    if (
+      !peer.enabled &&
+      peer.disabledReason === "quota" &&
+      peer.dataLimitPercentage < 100
+    ) {
+      await wireguard.enablePeer(peer._id);
+      reEnabled = true;
+    }
+
+    return {
+      success: true,
+      message: reEnabled
+        ? "Quota topped up and peer re-enabled"
+        : "Quota topped up",
+      dataLimit: {
+        monthly: peer.dataLimit.monthly,
+        topUp: peer.dataLimit.topUp,
+        used: peer.dataLimit.used,
+        total: peer.dataLimitTotal,
+        percentage: peer.dataLimitPercentage,
+        nextReset: peer.dataLimitNextReset,
+      },
+      reEnabled,
+    };
+  }
+}
+
+module.exports = new QuotaEngine();
@@ -0,0 +1,266 @@
+const audit = require("./audit");
+
+const BASELINE_INTERVAL = 5000;
+
+// Percent, one decimal; positive when `after` is larger
+const percentChange = (before, after) =>
+  before ? Math.round(((after - before) / before) * 1000) / 10 : null;
+
+const average = (values) =>
+  values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+
+// Bytes per second between two samples; counters restart from zero when
+// the interface is brought down and up
+function byteRate(from, to) {
+  const seconds = (to.at - from.at) / 1000;
+  if (seconds <= 0) return null;
+  const bytes = to.bytes >= from.bytes ? to.bytes - from.bytes : to.bytes;
+  return bytes / seconds;
+}
+
+// Commit-confirm for MTU and ISP profile changes. Connectivity is sampled
+// before the change, which is then watched for a window (MTU_ROLLBACK_WINDOW
+// seconds, 0 turns the guard off). At the end it is kept if enough of the
+// peers that were healthy before still are (MTU_ROLLBACK_MIN_HEALTHY
+// percent), and reverted otherwise; an administrator can settle it either
+// way sooner.
+//
+// A peer counts as healthy with a fresh handshake and, if it answered a
+// full-size don't-fragment ping before the change, answering one after it:
+// handshakes are small packets and survive an MTU that is too large.
+//
+// The guard only keeps time and decides; the caller supplies how to measure
+// (`measure(publicKeys)` -> { at, fresh, reachable, latency, bytes }), how
+// to revert and where to record the outcome. Watches live in memory, so a
+// restart during the window keeps the change.
+class RollbackGuard {
+  constructor() {
+    const window = parseInt(process.env.MTU_ROLLBACK_WINDOW);
+    this.windowMs = (Number.isNaN(window) ? 120 : Math.max(window, 0)) * 1000;
+    this.pollMs = (parseInt(process.env.MTU_ROLLBACK_POLL) || 15) * 1000;
+    this.minHealthy =
+      parseFloat(process.env.MTU_ROLLBACK_MIN_HEALTHY) >= 0
+        ? parseFloat(process.env.MTU_ROLLBACK_MIN_HEALTHY)
+        : 80;
+    // interface name -> watch in progress
+    this.watches = new Map();
+    // interface name -> outcome of the last watch
+    this.outcomes = new Map();
+  }
+
+  get enabled() {
+    return this.windowMs > 0;
+  }
+
+  isWatching(interfaceName) {
+    return this.watches.has(interfaceName);
+  }
+
+  assertIdle(interfaceName) {
+    if (this.isWatching(interfaceName)) {
+      throw new Error(
+        `A profile change on ${interfaceName} is still being verified; confirm or roll it back first`
+      );
+    }
+  }
+
+  // Two samples a few seconds apart, so there is a traffic rate to compare
+  // with afterwards. Null when the guard is off.
+  async baseline(measure) {
+    if (!this.enabled) return null;
+
+    const first = await measure();
+    await new Promise((resolve) => setTimeout(resolve, BASELINE_INTERVAL));
+    // Only peers that answered already are pinged again
+    const second = await measure(first.reachable);
+
+    return { ...second, rate: byteRate(first, second) };
+  }
+
+  watch(interfaceName, { server, label, baseline, measure, revert, record }) {
+    this.assertIdle(interfaceName);
+
+    const watch = {
+      interfaceName,
+      server,
+      label,
+      baseline,
+      measure,
+      revert,
+      record,
+      samples: [],
+      startedAt: new Date(),
+      until: new Date(Date.now() + this.windowMs),
+      timer: null,
+      settled: false,
+    };
+    this.watches.set(interfaceName, watch);
+
+    const poll = async () => {
+      if (this.watches.get(interfaceName) !== watch) return;
+
+      try {
+        watch.samples.push(await measure(baseline.reachable));
+      } catch (error) {
+        watch.samples.push({
+          at: new Date(),
+          fresh: [],
+          reachable: [],
+          latency: null,
+          bytes: 0,
+          error: error.message,
+        });
+      }
+      // Confirmed or rolled back while the sample was being taken
+      if (this.watches.get(interfaceName) !== watch) return;
+
+      if (Date.now() < watch.until) {
+        watch.timer = setTimeout(poll, this.pollMs);
+        return;
+      }
+
+      const healthy = this._healthy(watch);
+      const needed = Math.ceil((baseline.fresh.length * this.minHealthy) / 100);
+      await this._finish(
+        watch,
+        healthy >= needed,
+        `${healthy} of ${baseline.fresh.length} peers healthy after the change (${needed} needed)`
+      ).catch((error) =>
+        console.error(`Rollback guard on ${interfaceName} failed:`, error)
+      );
+    };
+
+    watch.timer = setTimeout(poll, this.pollMs);
+    return this.status(interfaceName);
+  }
+
+  // Peers healthy before the change that still are in the last sample
+  _healthy(watch) {
+    const sample = watch.samples[watch.samples.length - 1];
+    if (!sample) return null;
+
+    const fresh = new Set(sample.fresh);
+    const reachable = new Set(sample.reachable);
+    const probed = new Set(watch.baseline.reachable);
+
+    return watch.baseline.fresh.filter(
+      (key) => fresh.has(key) && (!probed.has(key) || reachable.has(key))
+    ).length;
+  }
+
+  _improvements(watch) {
+    const { baseline, samples } = watch;
+    const rates = samples
+      .slice(1)
+      .map((sample, i) => byteRate(samples[i], sample))
+      .filter((rate) => rate !== null);
+    const latency = average(
+      samples
+        .map((sample) => sample.latency)
+        .filter((value) => value !== null && value !== undefined)
+    );
+    const latencyChange =
+      latency === null ? null : percentChange(baseline.latency, latency);
+
+    return {
+      // Positive when round trips got shorter
+      latencyImprovement: latencyChange === null ? null : -latencyChange,
+      throughputImprovement:
+        rates.length && baseline.rate
+          ? percentChange(baseline.rate, average(rates))
+          : null,
+    };
+  }
+
+  // Settles a watch once; later calls for the same watch return null
+  async _finish(watch, keep, reason) {
+    if (watch.settled) return null;
+    watch.settled = true;
+    clearTimeout(watch.timer);
+    this.watches.delete(watch.interfaceName);
+
+    let error = keep ? undefined : `Rolled back: ${reason}`;
+    let status = keep ? "confirmed" : "rolled-back";
+    if (!keep) {
+      try {
+        await watch.revert();
+      } catch (revertError) {
+        status = "rollback-failed";
+        error = `${reason}; rolling back failed: ${revertError.message}`;
+      }
+    }
+
+    const outcome = {
+      interfaceName: watch.interfaceName,
+      label: watch.label,
+      status,
+      reason,
+      startedAt: watch.startedAt,
+      finishedAt: new Date(),
+      healthyBefore: watch.baseline.fresh.length,
+      healthyAfter: this._healthy(watch),
+      samples: watch.samples.length,
+      ...this._improvements(watch),
+    };
+    this.outcomes.set(watch.interfaceName, outcome);
+
+    try {
+      await watch.record({
+        success: keep,
+        error,
+        latencyImprovement: outcome.latencyImprovement,
+        throughputImprovement: outcome.throughputImprovement,
+      });
+    } catch (recordError) {
+      console.error(
+        `Failed to record profile outcome on ${watch.interfaceName}:`,
+        recordError
+      );
+    }
+
+    await audit.record({
+      action: keep ? "mtu.apply-confirm" : "mtu.rollback",
+      target: {
+        type: "Server",
+        id: watch.server,
+        name: watch.interfaceName,
+      },
+      server: watch.server,
+      details: outcome,
+      result: status === "rollback-failed" ? "failure" : "success",
+      error: status === "rollback-failed" ? error : undefined,
+    });
+
+    return outcome;
+  }
+
+  // Settles the watch now; null when nothing is being watched
+  confirm(interfaceName) {
+    const watch = this.watches.get(interfaceName);
+    return watch ? this._finish(watch, true, "Confirmed manually") : null;
+  }
+
+  rollback(interfaceName) {
+    const watch = this.watches.get(interfaceName);
+    return watch ? this._finish(watch, false, "Rolled back manually") : null;
+  }
+
+  // The watch in progress, or the outcome of the last one
+  status(interfaceName) {
+    const watch = this.watches.get(interfaceName);
+    if (!watch) return this.outcomes.get(interfaceName) || null;
+
+    return {
+      interfaceName,
+      label: watch.label,
+      status: "watching",
+      startedAt: watch.startedAt,
+      until: watch.until,
+      healthyBefore: watch.baseline.fresh.length,
+      healthyNow: this._healthy(watch),
+      samples: watch.samples.length,
+    };
+  }
+}
+
+module.exports = new RollbackGuard();
@@ -0,0 +1,71 @@
+const Server = require("../models/Server");
+const wireguard = require("../wireguard");
+const quotaEngine = require("./quotaEngine");
+
+// Periodically pulls peer stats for every active server. Each server is
+// collected on its own `monitoring.checkInterval`; the collector wakes up
+// every tick and picks whichever servers are due.
+class StatsCollector {
+  constructor(tickSeconds = parseInt(process.env.STATS_COLLECTOR_TICK) || 10) {
+    this.tickMs = tickSeconds * 1000;
+    this.timer = null;
+    this.running = false;
+    this.lastRun = new Map();
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.tick(), this.tickMs);
+    this.timer.unref();
+    this.tick();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async tick() {
+    // A slow backend must not pile up overlapping collections
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const servers = await Server.find({
+        status: "active",
+        "monitoring.enabled": { $ne: false },
+      }).select("interfaceName monitoring");
+
+      const now = Date.now();
+      for (const server of servers) {
+        const interval = (server.monitoring?.checkInterval || 60) * 1000;
+        const lastRun = this.lastRun.get(server.interfaceName) || 0;
+        if (now - lastRun < interval) continue;
+
+        this.lastRun.set(server.interfaceName, now);
+        await this.collect(server);
+      }
+    } catch (error) {
+      console.error("Stats collection failed:", error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async collect(server) {
+    try {
+      const result = await wireguard.updatePeersStatus(server.interfaceName);
+      await quotaEngine.checkServer(server._id);
+      return result;
+    } catch (error) {
+      console.error(
+        `Failed to collect stats for ${server.interfaceName}:`,
+        error
+      );
+      return null;
+    }
+  }
+}
+
+module.exports = new StatsCollector();
@@ -0,0 +1,77 @@
+const TrafficSample = require("../models/TrafficSample");
+
+function truncate(date, ms) {
+  return new Date(Math.floor(date.getTime() / ms) * ms);
+}
+
+// Folds minute samples into hourly buckets and hourly into daily ones once
+// each bucket is complete. Progress is the newest bucket already written, so
+// restarts neither skip nor double-count a bucket.
+class TrafficRollup {
+  constructor(intervalSeconds = 5 * 60) {
+    this.intervalMs = intervalSeconds * 1000;
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.run(), this.intervalMs);
+    this.timer.unref();
+    this.run();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async run(now = new Date()) {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      await this.roll("minute", "hour", now);
+      await this.roll("hour", "day", now);
+    } catch (error) {
+      console.error("Traffic rollup failed:", error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Writes every complete `to` bucket not yet rolled up from `from` samples
+  async roll(from, to, now) {
+    const source = TrafficSample.forResolution(from);
+    const target = TrafficSample.forResolution(to);
+    const { bucketMs } = TrafficSample.RESOLUTIONS[to];
+
+    const end = truncate(now, bucketMs);
+    const oldest = truncate(
+      new Date(now - TrafficSample.RESOLUTIONS[from].retention * 1000),
+      bucketMs
+    );
+
+    const latest = await target
+      .findOne({})
+      .sort({ timestamp: -1 })
+      .select("timestamp")
+      .lean();
+
+    let start = latest
+      ? new Date(latest.timestamp.getTime() + bucketMs)
+      : oldest;
+    if (start < oldest) start = oldest;
+    if (start >= end) return 0;
+
+    const buckets = await source.rollup(start, end, to);
+    if (buckets.length > 0) {
+      await target.insertMany(buckets);
+    }
+
+    return buckets.length;
+  }
+}
+
+module.exports = new TrafficRollup();
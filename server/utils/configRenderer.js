@@ -0,0 +1,89 @@
+// Renders the complete wg-quick file for a server from the database: the
+// [Interface] block from the Server and one [Peer] block per enabled Peer.
+// Only keys wg-quick understands are written; DNS stays out because on a
+// server it would rewrite the host's resolver (it is a client setting).
+
+const wgConfig = require("./wgConfig");
+const { serverPrefixes } = require("./ipam");
+
+const HEADER = [
+  "Managed by WireGuard Dashboard. Edits to this file are overwritten;",
+  "change the server or its peers in the dashboard instead.",
+];
+
+function formatEndpoint(endpoint) {
+  if (!endpoint?.host || !endpoint?.port) return null;
+  const host = endpoint.host.includes(":")
+    ? `[${endpoint.host}]`
+    : endpoint.host;
+  return `${host}:${endpoint.port}`;
+}
+
+function addInterface(doc, server) {
+  if (!server.privateKey) {
+    throw new Error(
+      `Cannot render ${server.interfaceName}: private key not loaded`
+    );
+  }
+
+  const section = wgConfig.addSection(doc, "Interface");
+  wgConfig.append(section, "Address", serverPrefixes(server).join(", "));
+  wgConfig.append(section, "ListenPort", server.listenPort);
+  wgConfig.append(section, "PrivateKey", server.privateKey);
+
+  if (server.mtu) {
+    wgConfig.append(section, "MTU", server.mtu);
+  }
+}
+
+function addPeer(doc, peer) {
+  const section = wgConfig.addSection(
+    doc,
+    "Peer",
+    peer.name ? [peer.name] : []
+  );
+  wgConfig.append(section, "PublicKey", peer.publicKey);
+
+  if (peer.presharedKey) {
+    wgConfig.append(section, "PresharedKey", peer.presharedKey);
+  }
+
+  wgConfig.append(section, "AllowedIPs", peer.allowedIPs.join(", "));
+
+  const endpoint = formatEndpoint(peer.endpoint);
+  if (endpoint) {
+    wgConfig.append(section, "Endpoint", endpoint);
+  }
+
+  if (peer.persistentKeepalive) {
+    wgConfig.append(section, "PersistentKeepalive", peer.persistentKeepalive);
+  }
+}
+
+const countEntries = (doc) =>
+  doc.sections.map(
+    (section) => section.lines.filter((node) => node.type === "entry").length
+  );
+
+// `peers` should already be limited to enabled peers with presharedKey
+// selected; they are written in the order given. The text is parsed back
+// before it is returned, and refused unless it is valid and reads as the
+// same sections and keys that were rendered.
+function renderServerConfig(server, peers = []) {
+  const doc = wgConfig.createDocument(HEADER);
+
+  addInterface(doc, server);
+  peers.forEach((peer) => addPeer(doc, peer));
+
+  const text = wgConfig.serialize(doc) + "\n";
+  const parsed = wgConfig.parse(text);
+  if (String(countEntries(parsed)) !== String(countEntries(doc))) {
+    throw new Error(
+      `Refusing to write ${server.interfaceName}: the rendered config does not read back as rendered`
+    );
+  }
+
+  return text;
+}
+
+module.exports = { renderServerConfig, formatEndpoint };
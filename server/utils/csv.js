@@ -0,0 +1,19 @@
+// Minimal RFC 4180 writer: quotes fields containing commas, quotes or
+// newlines, and neutralises leading =+-@ so spreadsheets don't run formulas
+function escapeField(value) {
+  if (value === null || value === undefined) return "";
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "object" && !(value instanceof Date)) {
+    text = JSON.stringify(value);
+  }
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCSVRow(fields) {
+  return fields.map(escapeField).join(",") + "\r\n";
+}
+
+module.exports = { escapeField, toCSVRow };
@@ -0,0 +1,71 @@
+const { spawn } = require("child_process");
+
+const DEFAULT_TIMEOUT = 30000;
+
+// Runs a binary with an argument array and no shell, so nothing in args is
+// ever interpreted. Secrets go in through `input` (stdin) rather than argv,
+// where they would show up in `ps` and in error messages.
+function run(command, args = [], options = {}) {
+  const { input, timeout = DEFAULT_TIMEOUT, env } = options;
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, {
+      shell: false,
+      env: env ? { ...process.env, ...env } : process.env,
+      stdio: ["pipe", "pipe", "pipe"],
+    });
+
+    let stdout = "";
+    let stderr = "";
+    let timedOut = false;
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      child.kill("SIGKILL");
+    }, timeout);
+
+    child.stdout.on("data", (chunk) => (stdout += chunk));
+    child.stderr.on("data", (chunk) => (stderr += chunk));
+
+    child.on("error", (error) => {
+      clearTimeout(timer);
+      reject(
+        Object.assign(new Error(`${command}: ${error.message}`), {
+          code: error.code,
+          command,
+          args,
+        })
+      );
+    });
+
+    child.on("close", (code, signal) => {
+      clearTimeout(timer);
+
+      if (code === 0) {
+        return resolve({ stdout, stderr });
+      }
+
+      const reason = timedOut
+        ? `timed out after ${timeout}ms`
+        : stderr.trim() || `exited with ${signal || `code ${code}`}`;
+
+      reject(
+        Object.assign(new Error(`${command} ${args.join(" ")}: ${reason}`), {
+          code,
+          signal,
+          stdout,
+          stderr,
+          command,
+          args,
+        })
+      );
+    });
+
+    child.stdin.on("error", () => {
+      // The process may exit before reading stdin; the close handler reports it
+    });
+    child.stdin.end(input === undefined ? undefined : String(input));
+  });
+}
+
+module.exports = { run };
@@ -0,0 +1,338 @@
+const {
+  assertCIDR,
+  assertInterfaceName,
+  cidrVersion,
+  isValidCIDR,
+  isValidIPv4,
+  isValidIPv6,
+} = require("./validators");
+const ipam = require("./ipam");
+
+// Turns a Server's routing settings into firewall rules, rendered for
+// nftables and for iptables. Everything for one interface lives in its own
+// nft table (or iptables chains), so it can be replaced or removed as a unit
+// without touching rules anyone else installed.
+//
+// Note that a drop elsewhere (e.g. a default-drop FORWARD policy) still wins
+// over the accepts here; these rules only add to the host's own.
+
+function tableName(interfaceName) {
+  return `wgdash_${assertInterfaceName(interfaceName)}`;
+}
+
+function chainName(interfaceName, suffix = "") {
+  return `WGDASH-${assertInterfaceName(interfaceName)}${suffix}`;
+}
+
+// "10.0.0.1/24" -> "10.0.0.0/24", "fd42::1/64" -> "fd42::/64"
+function networkOf(cidr) {
+  return ipam.networkOf(assertCIDR(cidr));
+}
+
+// "10.0.0.1/24" -> "10.0.0.1/32", "fd42::1/64" -> "fd42::1/128"
+function hostCIDR(cidr) {
+  const [ip] = assertCIDR(cidr).split("/");
+  return `${ipam.normalizeAddress(ip)}/${cidrVersion(cidr) === 4 ? 32 : 128}`;
+}
+
+// What the rules should do, independent of the tool that installs them.
+// allowedIPs, when set, limits where peers may go (an address family with
+// no entries is blocked entirely); blockedIPs are dropped in both
+// directions. NAT only makes sense when routing is on; for IPv6 it is
+// NAT66 unless the server's prefix is routed to it. `policies` are compiled
+// per-peer policies (see peerPolicy.js), checked after the blocklist on
+// forwarded traffic and on traffic to the host's own addresses other than
+// its tunnel ones (`local`), which the peers may always reach.
+function buildFirewallSpec(server, policies = []) {
+  const allowed = (server.allowedIPs || []).filter(isValidCIDR);
+  const blocked = (server.blockedIPs || []).filter(isValidCIDR);
+  const ipv6 = !!(server.enableIPv6 && server.address6);
+  const routing = server.enableRouting !== false;
+  const nat = routing && server.enableNAT !== false;
+
+  return {
+    interfaceName: assertInterfaceName(server.interfaceName),
+    subnet: networkOf(server.address),
+    subnet6: ipv6 ? networkOf(server.address6) : null,
+    local: [server.address, ...(ipv6 ? [server.address6] : [])].map(hostCIDR),
+    routing,
+    nat,
+    nat6: ipv6 && nat && server.ipv6Mode !== "routed",
+    allowed,
+    blocked,
+    peers: policies
+      .filter((policy) => !policy.unrestricted && isValidIPv4(policy.ip))
+      .map((policy) => ({
+        ...policy,
+        ip6: ipv6 && isValidIPv6(policy.ip6) ? policy.ip6 : null,
+      })),
+  };
+}
+
+// Address families the rules cover
+function families(spec) {
+  return spec.subnet6 ? [4, 6] : [4];
+}
+
+const ofFamily = (cidrs, version) =>
+  cidrs.filter((cidr) => cidrVersion(cidr) === version);
+
+// Peer rules as [source, destinations | null, "allow" | "deny", version],
+// one set per source address. A rule whose destinations are all in the
+// other family can't match and is left out.
+function peerRules(spec) {
+  return (spec.peers || []).flatMap((policy) =>
+    [
+      [policy.ip, 4],
+      [policy.ip6, 6],
+    ]
+      .filter(([source]) => source)
+      .flatMap(([source, version]) =>
+        policy.rules
+          .map((rule) => [
+            source,
+            rule.destinations && ofFamily(rule.destinations, version),
+            rule.action,
+            version,
+          ])
+          .filter(([, destinations]) => !destinations || destinations.length)
+      )
+  );
+}
+
+function sysctls(spec) {
+  if (!spec.routing) return [];
+  return [
+    ["net.ipv4.ip_forward", "1"],
+    ...(spec.subnet6 ? [["net.ipv6.conf.all.forwarding", "1"]] : []),
+  ];
+}
+
+const nftSet = (cidrs) => `{ ${cidrs.join(", ")} }`;
+const NFT_MATCH = { 4: "ip", 6: "ip6" };
+
+// A complete `nft -f` script. Declaring then deleting the table first makes
+// the load replace any previous version atomically.
+function renderNftables(spec) {
+  const table = tableName(spec.interfaceName);
+  const iface = `"${spec.interfaceName}"`;
+  const forward = [];
+
+  for (const version of families(spec)) {
+    const blocked = ofFamily(spec.blocked, version);
+    const match = NFT_MATCH[version];
+    if (blocked.length > 0) {
+      forward.push(`iifname ${iface} ${match} daddr ${nftSet(blocked)} drop`);
+      forward.push(`oifname ${iface} ${match} saddr ${nftSet(blocked)} drop`);
+    }
+  }
+
+  const peers = peerRules(spec);
+
+  // Peers reaching services on the host itself through its LAN or public
+  // addresses; replies to connections the host opened are let through
+  const input = [];
+  if (peers.length > 0) {
+    input.push(`iifname ${iface} ct state established,related accept`);
+    for (const version of families(spec)) {
+      const match = NFT_MATCH[version];
+      const local = ofFamily(spec.local || [], version);
+      input.push(
+        `iifname ${iface} ${match} daddr != ${nftSet(local)} jump peers`
+      );
+    }
+  }
+
+  if (!spec.routing) {
+    forward.push(`iifname ${iface} drop`);
+  } else {
+    if (peers.length > 0) {
+      forward.push(`iifname ${iface} jump peers`);
+    }
+    if (spec.allowed.length > 0) {
+      for (const version of families(spec)) {
+        const allowed = ofFamily(spec.allowed, version);
+        forward.push(
+          allowed.length > 0
+            ? `iifname ${iface} ${NFT_MATCH[version]} daddr != ${nftSet(
+                allowed
+              )} drop`
+            : `iifname ${iface} meta nfproto ipv${version} drop`
+        );
+      }
+    }
+    forward.push(`iifname ${iface} accept`);
+    forward.push(`oifname ${iface} ct state established,related accept`);
+  }
+
+  const lines = [
+    `table inet ${table}`,
+    `delete table inet ${table}`,
+    `table inet ${table} {`,
+  ];
+
+  // "allow" returns to the calling chain, "deny" drops
+  if (peers.length > 0) {
+    lines.push("  chain peers {");
+    for (const [ip, destinations, action, version] of peers) {
+      const match = NFT_MATCH[version];
+      const to = destinations ? ` ${match} daddr ${nftSet(destinations)}` : "";
+      const verdict = action === "allow" ? "return" : "drop";
+      lines.push(`    ${match} saddr ${ip}${to} ${verdict}`);
+    }
+    lines.push("  }");
+  }
+
+  lines.push(
+    "  chain forward {",
+    "    type filter hook forward priority 0; policy accept;",
+    ...forward.map((rule) => `    ${rule}`),
+    "  }"
+  );
+
+  if (input.length > 0) {
+    lines.push(
+      "  chain input {",
+      "    type filter hook input priority 0; policy accept;",
+      ...input.map((rule) => `    ${rule}`),
+      "  }"
+    );
+  }
+
+  if (spec.nat || spec.nat6) {
+    lines.push(
+      "  chain postrouting {",
+      "    type nat hook postrouting priority 100; policy accept;"
+    );
+    if (spec.nat) {
+      lines.push(`    ip saddr ${spec.subnet} oifname != ${iface} masquerade`);
+    }
+    if (spec.nat6) {
+      lines.push(
+        `    ip6 saddr ${spec.subnet6} oifname != ${iface} masquerade`
+      );
+    }
+    lines.push("  }");
+  }
+
+  lines.push("}");
+  return lines.join("\n") + "\n";
+}
+
+// Rule bodies for one family's chains (iptables or ip6tables)
+function iptablesRules(spec, version) {
+  const iface = spec.interfaceName;
+  const filter = [];
+  const input = [];
+  const nat = [];
+  const peers = [];
+  const host = version === 4 ? 32 : 128;
+
+  for (const [ip, destinations, action, family] of peerRules(spec)) {
+    if (family !== version) continue;
+    const target = action === "allow" ? "RETURN" : "DROP";
+    for (const destination of destinations || [null]) {
+      peers.push([
+        "-s",
+        `${ip}/${host}`,
+        ...(destination ? ["-d", destination] : []),
+        "-j",
+        target,
+      ]);
+    }
+  }
+
+  if (peers.length > 0) {
+    input.push([
+      "-i",
+      iface,
+      "-m",
+      "conntrack",
+      "--ctstate",
+      "ESTABLISHED,RELATED",
+      "-j",
+      "ACCEPT",
+    ]);
+    for (const address of ofFamily(spec.local || [], version)) {
+      input.push(["-i", iface, "-d", address, "-j", "ACCEPT"]);
+    }
+    input.push(["-i", iface, "-j", chainName(iface, "-PEERS")]);
+  }
+
+  for (const cidr of ofFamily(spec.blocked, version)) {
+    filter.push(["-i", iface, "-d", cidr, "-j", "DROP"]);
+    filter.push(["-o", iface, "-s", cidr, "-j", "DROP"]);
+  }
+
+  if (!spec.routing) {
+    filter.push(["-i", iface, "-j", "DROP"]);
+  } else {
+    if (peers.length > 0) {
+      filter.push(["-i", iface, "-j", chainName(iface, "-PEERS")]);
+    }
+    if (spec.allowed.length > 0) {
+      for (const cidr of ofFamily(spec.allowed, version)) {
+        filter.push(["-i", iface, "-d", cidr, "-j", "ACCEPT"]);
+      }
+      filter.push(["-i", iface, "-j", "DROP"]);
+    } else {
+      filter.push(["-i", iface, "-j", "ACCEPT"]);
+    }
+    filter.push([
+      "-o",
+      iface,
+      "-m",
+      "conntrack",
+      "--ctstate",
+      "ESTABLISHED,RELATED",
+      "-j",
+      "ACCEPT",
+    ]);
+  }
+
+  const subnet = version === 4 ? spec.subnet : spec.subnet6;
+  if (version === 4 ? spec.nat : spec.nat6) {
+    nat.push(["-s", subnet, "!", "-o", iface, "-j", "MASQUERADE"]);
+  }
+
+  return { peers, filter, input, nat };
+}
+
+// The interface's own chains for both families, in creation order; the
+// driver creates the chains and the jumps from `hook` (the peers chain is
+// only reached from the interface's filter and input chains). IPv6 chains
+// are empty unless the server is dual-stack, so applying removes any left
+// over.
+function renderIptables(spec) {
+  const iface = spec.interfaceName;
+
+  return [4, 6].flatMap((version) => {
+    const rules =
+      version === 4 || spec.subnet6
+        ? iptablesRules(spec, version)
+        : { peers: [], filter: [], input: [], nat: [] };
+
+    return [
+      ["filter", "-PEERS", null, rules.peers],
+      ["filter", "", "FORWARD", rules.filter],
+      ["filter", "-INPUT", "INPUT", rules.input],
+      ["nat", "-NAT", "POSTROUTING", rules.nat],
+    ].map(([table, suffix, hook, list]) => ({
+      family: version,
+      table,
+      chain: chainName(iface, suffix),
+      hook,
+      rules: list,
+    }));
+  });
+}
+
+module.exports = {
+  tableName,
+  chainName,
+  networkOf,
+  buildFirewallSpec,
+  sysctls,
+  renderNftables,
+  renderIptables,
+};
@@ -0,0 +1,237 @@
+const net = require("net");
+const { cidrVersion } = require("./validators");
+
+// Address arithmetic for tunnel pools. Addresses are BigInts internally so
+// IPv4 and IPv6 share one code path; strings going in and out are always in
+// canonical form (RFC 5952 for IPv6), which is what the allocation index
+// compares.
+//
+// A pool is the server's interface address with its real prefix, e.g.
+// "10.8.0.1/24" or "172.16.5.9/28". Reserved inside it: the server's own
+// address and, for IPv4 prefixes up to /30, the network and broadcast
+// addresses (/31 and /32 have none, RFC 3021). IPv6 pools reserve the
+// subnet-router anycast address.
+
+const BITS = { 4: 32, 6: 128 };
+
+function parseAddress(ip) {
+  const version = typeof ip === "string" ? net.isIP(ip) : 0;
+  if (!version) {
+    throw new Error(`Invalid IP address: ${JSON.stringify(ip)}`);
+  }
+
+  if (version === 4) {
+    const value = ip
+      .split(".")
+      .reduce((acc, octet) => (acc << 8n) | BigInt(octet), 0n);
+    return { version, value };
+  }
+
+  // Expand "::" and a trailing embedded IPv4 into eight groups
+  let text = ip.toLowerCase();
+  const dotted = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    const v4 = parseAddress(dotted[1]).value;
+    text =
+      text.slice(0, -dotted[1].length) +
+      `${(v4 >> 16n).toString(16)}:${(v4 & 0xffffn).toString(16)}`;
+  }
+
+  const [head, tail] = text.split("::");
+  const left = head ? head.split(":") : [];
+  const right = tail ? tail.split(":") : [];
+  const groups =
+    tail === undefined
+      ? left
+      : [...left, ...Array(8 - left.length - right.length).fill("0"), ...right];
+
+  const value = groups.reduce(
+    (acc, group) => (acc << 16n) | BigInt(`0x${group}`),
+    0n
+  );
+  return { version, value };
+}
+
+function formatAddress(value, version) {
+  if (version === 4) {
+    return [24n, 16n, 8n, 0n].map((shift) => (value >> shift) & 255n).join(".");
+  }
+
+  const groups = [];
+  for (let shift = 112n; shift >= 0n; shift -= 16n) {
+    groups.push(((value >> shift) & 0xffffn).toString(16));
+  }
+
+  // Compress the longest run of two or more zero groups (first one on ties)
+  let best = { start: -1, length: 1 };
+  for (let i = 0; i < 8; i++) {
+    let length = 0;
+    while (i + length < 8 && groups[i + length] === "0") length++;
+    if (length > best.length) best = { start: i, length };
+    i += length;
+  }
+  if (best.start === -1) return groups.join(":");
+
+  const left = groups.slice(0, best.start).join(":");
+  const right = groups.slice(best.start + best.length).join(":");
+  return `${left}::${right}`;
+}
+
+// "10.8.0.01"-style input is rejected by net.isIP, so this only has to
+// settle IPv6 spellings
+function normalizeAddress(ip) {
+  const { version, value } = parseAddress(ip);
+  return formatAddress(value, version);
+}
+
+function parsePool(cidr) {
+  const version = cidrVersion(cidr);
+  if (!version) {
+    throw new Error(`Invalid CIDR: ${JSON.stringify(cidr)}`);
+  }
+
+  const [ip, prefix] = cidr.split("/");
+  const bits = BITS[version];
+  const { value } = parseAddress(ip);
+  const hostBits = BigInt(bits - Number(prefix));
+  const network = (value >> hostBits) << hostBits;
+  const size = 1n << hostBits;
+
+  return {
+    version,
+    prefix: Number(prefix),
+    network,
+    last: network + size - 1n,
+    size,
+    gateway: value,
+  };
+}
+
+function contains(pool, value) {
+  return value >= pool.network && value <= pool.last;
+}
+
+// Reserved addresses as BigInts, network first
+function reservedIn(pool) {
+  const reserved = new Set([pool.gateway]);
+
+  if (pool.version === 4 && pool.prefix <= 30) {
+    reserved.add(pool.network);
+    reserved.add(pool.last);
+  } else if (pool.version === 6 && pool.prefix <= 126) {
+    reserved.add(pool.network);
+  }
+
+  return [...reserved].sort((a, b) => (a < b ? -1 : 1));
+}
+
+// Lowest address in the pool that is neither reserved nor in `taken` (a Set
+// of canonical strings), or null when the pool is exhausted
+function nextFree(pool, taken) {
+  const reserved = new Set(reservedIn(pool));
+  const inPool = [...taken].filter((address) => {
+    const parsed = parseAddress(address);
+    return (
+      parsed.version === pool.version &&
+      contains(pool, parsed.value) &&
+      !reserved.has(parsed.value)
+    );
+  });
+
+  // Checked up front so a full pool never walks 2^64 candidates
+  if (BigInt(inPool.length) >= pool.size - BigInt(reserved.size)) {
+    return null;
+  }
+
+  for (let value = pool.network; value <= pool.last; value++) {
+    if (reserved.has(value)) continue;
+
+    const address = formatAddress(value, pool.version);
+    if (!taken.has(address)) return address;
+  }
+  return null;
+}
+
+// Why `ip` cannot be handed out from the pool, or null when it can
+function checkAssignable(pool, ip) {
+  const { version, value } = parseAddress(ip);
+  const cidr = `${formatAddress(pool.network, pool.version)}/${pool.prefix}`;
+
+  if (version !== pool.version || !contains(pool, value)) {
+    return `${ip} is outside ${cidr}`;
+  }
+  if (value === pool.gateway) {
+    return `${ip} is the server's own address`;
+  }
+  if (reservedIn(pool).includes(value)) {
+    return `${ip} is the ${
+      value === pool.network ? "network" : "broadcast"
+    } address of ${cidr}`;
+  }
+  return null;
+}
+
+// "10.8.0.7/32" -> "10.8.0.7"; anything wider than one host -> null
+function hostOf(cidr) {
+  const [ip, prefix] = String(cidr).split("/");
+  const version = net.isIP(ip);
+  if (!version || (prefix !== undefined && Number(prefix) !== BITS[version])) {
+    return null;
+  }
+  return normalizeAddress(ip);
+}
+
+// "10.8.0.1/24" -> "10.8.0.0/24"
+function networkOf(cidr) {
+  const pool = parsePool(cidr);
+  return `${formatAddress(pool.network, pool.version)}/${pool.prefix}`;
+}
+
+// The tunnel prefixes a server's interface carries, IPv4 first
+function serverPrefixes(server) {
+  return server.enableIPv6 && server.address6
+    ? [server.address, server.address6]
+    : [server.address];
+}
+
+// Server address fields from an Address list ("10.8.0.1/24, fd42::1/64" or
+// an array), as the inverse of serverPrefixes. A list without an IPv6
+// prefix turns IPv6 off; one without an IPv4 prefix leaves address unset.
+function prefixFields(list) {
+  const cidrs = Array.isArray(list)
+    ? list
+    : String(list || "")
+        .split(",")
+        .map((cidr) => cidr.trim());
+  const address = cidrs.find((cidr) => cidrVersion(cidr) === 4);
+  const address6 = cidrs.find((cidr) => cidrVersion(cidr) === 6);
+
+  return {
+    ...(address && { address }),
+    ...(address6 && { address6 }),
+    enableIPv6: !!address6,
+  };
+}
+
+// BigInts don't serialize to JSON; counts beyond 2^53 go out as strings
+function toJSONNumber(value) {
+  return value <= BigInt(Number.MAX_SAFE_INTEGER)
+    ? Number(value)
+    : String(value);
+}
+
+module.exports = {
+  parseAddress,
+  formatAddress,
+  normalizeAddress,
+  parsePool,
+  contains,
+  reservedIn,
+  nextFree,
+  checkAssignable,
+  hostOf,
+  networkOf,
+  serverPrefixes,
+  prefixFields,
+  toJSONNumber,
+};
@@ -0,0 +1,54 @@
+const crypto = require("crypto");
+const { assertKey } = require("./validators");
+
+// PKCS#8 DER header for a raw 32-byte X25519 private key
+const X25519_PKCS8_PREFIX = Buffer.from(
+  "302e020100300506032b656e04220420",
+  "hex"
+);
+
+// Same as `wg genkey`: 32 random bytes clamped per RFC 7748
+function generatePrivateKey() {
+  const key = crypto.randomBytes(32);
+  key[0] &= 248;
+  key[31] = (key[31] & 127) | 64;
+  return key.toString("base64");
+}
+
+// Same as `wg pubkey`: X25519 scalar multiplication with the base point
+function derivePublicKey(privateKey) {
+  assertKey(privateKey, "private key");
+
+  const keyObject = crypto.createPrivateKey({
+    key: Buffer.concat([
+      X25519_PKCS8_PREFIX,
+      Buffer.from(privateKey, "base64"),
+    ]),
+    format: "der",
+    type: "pkcs8",
+  });
+
+  const spki = crypto.createPublicKey(keyObject).export({
+    format: "der",
+    type: "spki",
+  });
+
+  return spki.subarray(spki.length - 32).toString("base64");
+}
+
+// Same as `wg genpsk`: 32 random bytes, unclamped
+function generatePresharedKey() {
+  return crypto.randomBytes(32).toString("base64");
+}
+
+function generateKeyPair() {
+  const privateKey = generatePrivateKey();
+  return { privateKey, publicKey: derivePublicKey(privateKey) };
+}
+
+module.exports = {
+  generatePrivateKey,
+  derivePublicKey,
+  generatePresharedKey,
+  generateKeyPair,
+};
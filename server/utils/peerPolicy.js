@@ -0,0 +1,87 @@
+const { isValidCIDR } = require("./validators");
+const { networkOf } = require("./firewallRules");
+const { serverPrefixes } = require("./ipam");
+
+// Compiles a peer's access flags into an ordered list of rules on the
+// traffic it sends through the tunnel; the first rule whose destinations
+// match decides. "allow" only lets a packet continue to the server-wide
+// rules (blocklist, NAT), so a peer policy can narrow access but never widen
+// it.
+//
+//   level       tunnel  LAN                 subnets  internet
+//   admin       yes     yes                 yes      yes
+//   full        yes     allowLocalNetwork   yes      allowInternet
+//   restricted  yes     no                  yes      no
+//   guest       no      no                  no       allowInternet
+//
+// "LAN" is POLICY_LAN_CIDRS (private ranges by default), "subnets" is the
+// peer's allowedSubnets whitelist and the tunnel is the server's subnets,
+// IPv6 included on dual-stack servers. The rules also cover the host's own
+// LAN and public addresses, so blocking the LAN blocks the server's
+// services there too; its tunnel addresses stay reachable.
+
+const DEFAULT_LAN =
+  "10.0.0.0/8,172.16.0.0/12,192.168.0.0/16,169.254.0.0/16,fc00::/7,fe80::/10";
+
+function lanCIDRs() {
+  return (process.env.POLICY_LAN_CIDRS || DEFAULT_LAN)
+    .split(",")
+    .map((cidr) => cidr.trim())
+    .filter(isValidCIDR);
+}
+
+function effectiveLevel(peer) {
+  return peer.isAdmin ? "admin" : peer.accessLevel || "guest";
+}
+
+function compilePeerPolicy(peer, server) {
+  const tunnel = serverPrefixes(server).map(networkOf);
+  const lan = lanCIDRs();
+  const subnets = (peer.allowedSubnets || []).filter(isValidCIDR);
+  const level = effectiveLevel(peer);
+  const rules = [];
+
+  const allow = (destinations, reason) =>
+    rules.push({ action: "allow", destinations, reason });
+  const deny = (destinations, reason) =>
+    rules.push({ action: "deny", destinations, reason });
+
+  if (level === "admin") {
+    allow(null, "Admin peers are unrestricted");
+  } else if (level === "full") {
+    allow(tunnel, "Tunnel subnet");
+    if (subnets.length > 0) allow(subnets, "Whitelisted subnets");
+    if (peer.allowLocalNetwork) {
+      allow(lan, "Local network allowed");
+    } else {
+      deny(lan, "Local network not allowed");
+    }
+    if (peer.allowInternet === false) {
+      deny(null, "Internet access not allowed");
+    } else {
+      allow(null, "Internet access allowed");
+    }
+  } else if (level === "restricted") {
+    allow(tunnel, "Tunnel subnet");
+    if (subnets.length > 0) allow(subnets, "Whitelisted subnets");
+    deny(null, "Restricted peers only reach whitelisted subnets");
+  } else {
+    deny(lan, "Guests cannot reach the tunnel or local network");
+    if (peer.allowInternet === false) {
+      deny(null, "Internet access not allowed");
+    } else {
+      allow(null, "Internet access allowed");
+    }
+  }
+
+  return {
+    ip: peer.assignedIP,
+    ip6: server.enableIPv6 ? peer.assignedIP6 || null : null,
+    level,
+    rules,
+    // Nothing to install when every rule lets traffic through
+    unrestricted: rules.every((rule) => rule.action === "allow"),
+  };
+}
+
+module.exports = { compilePeerPolicy, effectiveLevel, lanCIDRs };
@@ -0,0 +1,90 @@
+// Path MTU arithmetic and `ping -M do` output parsing.
+//
+// Sizes are whole IP packets unless named payload: a ping with `-s n`
+// sends n bytes of ICMP data, plus the ICMP header (8) and the IP header
+// (20 for IPv4, 40 for IPv6). WireGuard wraps each tunnel packet in an
+// outer IP header, UDP (8) and its own header and auth tag (32), so the
+// tunnel MTU is the underlay path MTU less 60 over IPv4 or 80 over IPv6.
+
+const ICMP_OVERHEAD = { 4: 28, 6: 48 };
+const WIREGUARD_OVERHEAD = { 4: 60, 6: 80 };
+
+// Smallest MTU each family must carry; IPv4 hosts accept 576-byte packets
+const MINIMUM_MTU = { 4: 576, 6: 1280 };
+
+function payloadSize(mtu, family) {
+  return mtu - ICMP_OVERHEAD[family];
+}
+
+function tunnelMTU(pathMTU, family) {
+  return pathMTU - WIREGUARD_OVERHEAD[family];
+}
+
+// Classifies the output of one `ping -c 1 -M do` (stdout and stderr
+// together) as one of:
+//   ok           a reply came back; rtt in ms
+//   frag-needed  a router answered "fragmentation needed" (IPv4) or
+//                "packet too big" (IPv6); reportedMTU is its next-hop MTU
+//   too-big      the local stack refused the packet; reportedMTU is the
+//                outgoing interface MTU when ping shows it
+//   unreachable  host or network unreachable
+//   timeout      nothing came back, which for large sizes may be a router
+//                dropping oversized packets without telling anyone
+function parsePingOutput(output) {
+  const text = String(output || "");
+  const mtu = (pattern) => {
+    const match = text.match(pattern);
+    return match ? parseInt(match[1]) : null;
+  };
+
+  const reply = text.match(/bytes from .*time[=<]([\d.]+) ?ms/);
+  if (reply) {
+    return { result: "ok", rtt: parseFloat(reply[1]), reportedMTU: null };
+  }
+
+  if (/Frag needed|Packet too big/i.test(text)) {
+    return {
+      result: "frag-needed",
+      rtt: null,
+      reportedMTU: mtu(/\(mtu = (\d+)\)/) || mtu(/Packet too big: mtu=(\d+)/i),
+      from: (text.match(/From (\S+?):? icmp_seq/) || [])[1] || null,
+    };
+  }
+
+  if (/message too long/i.test(text)) {
+    return {
+      result: "too-big",
+      rtt: null,
+      reportedMTU: mtu(/message too long, mtu[=:] ?(\d+)/i),
+    };
+  }
+
+  if (/unreachable/i.test(text)) {
+    return { result: "unreachable", rtt: null, reportedMTU: null };
+  }
+
+  return { result: "timeout", rtt: null, reportedMTU: null };
+}
+
+// MTU values from min to max in `step`s; max is always included, so a
+// range that doesn't divide evenly still tests its top
+function mtuRange(min, max, step) {
+  if (!(step >= 1) || min > max) {
+    throw new Error(`Invalid MTU range ${min}-${max} in steps of ${step}`);
+  }
+
+  const values = [];
+  for (let mtu = min; mtu < max; mtu += step) values.push(mtu);
+  values.push(max);
+  return values;
+}
+
+module.exports = {
+  ICMP_OVERHEAD,
+  WIREGUARD_OVERHEAD,
+  MINIMUM_MTU,
+  payloadSize,
+  tunnelMTU,
+  parsePingOutput,
+  mtuRange,
+};
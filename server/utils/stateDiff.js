@@ -0,0 +1,214 @@
+const { derivePublicKey } = require("./keys");
+const { isValidCIDR } = require("./validators");
+const { normalizeAddress, serverPrefixes } = require("./ipam");
+
+// An interface can be described by three sources: the database (Server plus
+// enabled Peers), its wg-quick file and the live kernel state (`wg show
+// dump` plus the link's MTU and addresses). Each is normalized into the same
+// shape so any two can be compared:
+//   { interface: { publicKey, listenPort, mtu, addresses },
+//     peers: [{ publicKey, allowedIPs, persistentKeepalive, presharedKey }] }
+// A presharedKey of undefined means "present, value unknown" (the dump
+// parser drops it); null means none. Key values never appear in a diff.
+
+const splitList = (value) =>
+  (value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter((item) => item);
+
+// IPv6 can be spelled many ways; compare prefixes in canonical form
+const canonical = (cidrs) =>
+  cidrs.map((cidr) => {
+    if (!isValidCIDR(cidr)) return cidr;
+    const [ip, prefix] = cidr.split("/");
+    return `${normalizeAddress(ip)}/${prefix}`;
+  });
+
+function fromDatabase(server, peers) {
+  return {
+    interface: {
+      publicKey: server.publicKey,
+      listenPort: server.listenPort,
+      mtu: server.mtu || null,
+      addresses: canonical(serverPrefixes(server)),
+    },
+    peers: peers.map((peer) => ({
+      publicKey: peer.publicKey,
+      allowedIPs: canonical([...peer.allowedIPs]),
+      persistentKeepalive: peer.persistentKeepalive || 0,
+      presharedKey: peer.presharedKey || null,
+    })),
+  };
+}
+
+// `config` is the { interface, peers } object from wgConfig.flatten
+function fromConfig(config) {
+  let publicKey = null;
+  try {
+    publicKey = derivePublicKey(config.interface.PrivateKey);
+  } catch {
+    // Missing or malformed key; reported as a mismatch
+  }
+
+  return {
+    interface: {
+      publicKey,
+      listenPort: parseInt(config.interface.ListenPort) || null,
+      mtu: parseInt(config.interface.MTU) || null,
+      addresses: canonical(splitList(config.interface.Address)),
+    },
+    peers: config.peers
+      .filter((peer) => peer.PublicKey)
+      .map((peer) => ({
+        publicKey: peer.PublicKey,
+        allowedIPs: canonical(splitList(peer.AllowedIPs)),
+        persistentKeepalive: parseInt(peer.PersistentKeepalive) || 0,
+        presharedKey: peer.PresharedKey || null,
+      })),
+  };
+}
+
+// `dump` comes from parseDump, `link` from backend.getLink
+function fromLive(dump, link) {
+  return {
+    interface: {
+      publicKey: dump.interface?.publicKey || null,
+      listenPort: dump.interface?.listenPort || null,
+      mtu: link.mtu,
+      addresses: canonical(link.addresses),
+    },
+    peers: dump.peers.map((peer) => ({
+      publicKey: peer.publicKey,
+      allowedIPs: canonical(peer.allowedIPs),
+      persistentKeepalive: peer.persistentKeepalive,
+      presharedKey: peer.hasPresharedKey ? undefined : null,
+    })),
+  };
+}
+
+function sortedEqual(a = [], b = []) {
+  if (a.length !== b.length) return false;
+  const sortedB = [...b].sort();
+  return [...a].sort().every((value, i) => value === sortedB[i]);
+}
+
+function presharedKeysMatch(a, b) {
+  if (a === undefined || b === undefined) return (a !== null) === (b !== null);
+  return a === b;
+}
+
+// Differences of `actual` against `expected`, as a flat list of
+//   { scope: "interface" | "peer", kind: "missing" | "extra" | "mismatch",
+//     publicKey?, field?, expected?, actual? }
+function diffStates(expected, actual) {
+  const differences = [];
+  const mismatch = (scope, field, a, b, publicKey) =>
+    differences.push({
+      scope,
+      kind: "mismatch",
+      ...(publicKey && { publicKey }),
+      field,
+      expected: a,
+      actual: b,
+    });
+
+  const want = expected.interface;
+  const have = actual.interface;
+
+  if (want.publicKey !== have.publicKey) {
+    mismatch("interface", "publicKey", want.publicKey, have.publicKey);
+  }
+  if (want.listenPort !== have.listenPort) {
+    mismatch("interface", "listenPort", want.listenPort, have.listenPort);
+  }
+  // Without an MTU wg-quick picks one itself, so there is nothing to compare
+  if (want.mtu && have.mtu && want.mtu !== have.mtu) {
+    mismatch("interface", "mtu", want.mtu, have.mtu);
+  }
+  if (!sortedEqual(want.addresses, have.addresses)) {
+    mismatch("interface", "addresses", want.addresses, have.addresses);
+  }
+
+  const actualPeers = new Map(
+    actual.peers.map((peer) => [peer.publicKey, peer])
+  );
+  const expectedKeys = new Set();
+
+  for (const peer of expected.peers) {
+    expectedKeys.add(peer.publicKey);
+
+    const current = actualPeers.get(peer.publicKey);
+    if (!current) {
+      differences.push({
+        scope: "peer",
+        kind: "missing",
+        publicKey: peer.publicKey,
+      });
+      continue;
+    }
+
+    if (!sortedEqual(peer.allowedIPs, current.allowedIPs)) {
+      mismatch(
+        "peer",
+        "allowedIPs",
+        peer.allowedIPs,
+        current.allowedIPs,
+        peer.publicKey
+      );
+    }
+    if (peer.persistentKeepalive !== current.persistentKeepalive) {
+      mismatch(
+        "peer",
+        "persistentKeepalive",
+        peer.persistentKeepalive,
+        current.persistentKeepalive,
+        peer.publicKey
+      );
+    }
+    if (!presharedKeysMatch(peer.presharedKey, current.presharedKey)) {
+      mismatch(
+        "peer",
+        "presharedKey",
+        peer.presharedKey !== null,
+        current.presharedKey !== null,
+        peer.publicKey
+      );
+    }
+  }
+
+  for (const peer of actual.peers) {
+    if (!expectedKeys.has(peer.publicKey)) {
+      differences.push({
+        scope: "peer",
+        kind: "extra",
+        publicKey: peer.publicKey,
+      });
+    }
+  }
+
+  return differences;
+}
+
+// Database against a running interface, summarized into what reconcile has
+// to do about it
+function diffState(server, peers, live) {
+  const differences = diffStates(
+    fromDatabase(server, peers),
+    fromLive(live.dump, live.link)
+  );
+  const fields = differences
+    .filter((d) => d.scope === "interface")
+    .map((d) => d.field);
+
+  return {
+    address: fields.includes("addresses"),
+    mtu: fields.includes("mtu"),
+    interface: fields.includes("publicKey") || fields.includes("listenPort"),
+    peersChanged: differences.some((d) => d.scope === "peer"),
+    inSync: differences.length === 0,
+    differences,
+  };
+}
+
+module.exports = { fromDatabase, fromConfig, fromLive, diffStates, diffState };
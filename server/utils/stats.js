@@ -0,0 +1,34 @@
+// Summary statistics for round-trip samples (ms). All return null for an
+// empty list rather than NaN, so results serialize cleanly.
+
+function mean(values) {
+  if (!values.length) return null;
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+// Linear interpolation between the closest ranks, so the median of an
+// even-sized list is the mean of its middle two
+function percentile(values, p) {
+  if (!values.length) return null;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+function median(values) {
+  return percentile(values, 50);
+}
+
+// Mean difference between consecutive round trips (RFC 3550 style)
+function jitter(values) {
+  if (values.length < 2) return null;
+  return mean(values.slice(1).map((value, i) => Math.abs(value - values[i])));
+}
+
+const round = (value) =>
+  value === null ? null : Math.round(value * 100) / 100;
+
+module.exports = { mean, percentile, median, jitter, round };
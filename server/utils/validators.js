@@ -0,0 +1,138 @@
+const net = require("net");
+
+// Shared checks for anything that ends up as an argument to wg or ip
+
+// A WireGuard key is 32 bytes in standard base64: 43 chars plus one "="
+const KEY_REGEX = /^[A-Za-z0-9+/]{42}[AEIMQUYcgkosw048]=$/;
+const INTERFACE_REGEX = /^wg\d+$/;
+// RFC 1123 label: letters, digits and inner hyphens, up to 63 characters
+const HOST_LABEL_REGEX = /^[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?$/;
+
+function isValidKey(key) {
+  return (
+    typeof key === "string" &&
+    KEY_REGEX.test(key) &&
+    Buffer.from(key, "base64").length === 32
+  );
+}
+
+function isValidIPv4(ip) {
+  if (typeof ip !== "string" || !/^(\d{1,3}\.){3}\d{1,3}$/.test(ip)) {
+    return false;
+  }
+  return ip.split(".").every((part) => Number(part) <= 255);
+}
+
+function isValidIPv6(ip) {
+  return typeof ip === "string" && net.isIPv6(ip);
+}
+
+function isValidIP(ip) {
+  return isValidIPv4(ip) || isValidIPv6(ip);
+}
+
+function isValidHostname(name) {
+  return (
+    typeof name === "string" &&
+    name.length <= 253 &&
+    name
+      .replace(/\.$/, "")
+      .split(".")
+      .every((label) => HOST_LABEL_REGEX.test(label))
+  );
+}
+
+// An IP literal or a host name, e.g. for an endpoint
+function isValidHost(host) {
+  return isValidIP(host) || isValidHostname(host);
+}
+
+// 4 or 6 for a valid IPv4 or IPv6 CIDR, 0 otherwise
+function cidrVersion(cidr) {
+  if (typeof cidr !== "string") return 0;
+
+  const [ip, prefix, ...rest] = cidr.split("/");
+  if (rest.length > 0 || !/^\d{1,3}$/.test(prefix || "")) return 0;
+
+  if (isValidIPv4(ip)) return Number(prefix) <= 32 ? 4 : 0;
+  if (isValidIPv6(ip)) return Number(prefix) <= 128 ? 6 : 0;
+  return 0;
+}
+
+function isValidCIDR(cidr) {
+  return cidrVersion(cidr) !== 0;
+}
+
+function isValidIPv4CIDR(cidr) {
+  return cidrVersion(cidr) === 4;
+}
+
+function isValidIPv6CIDR(cidr) {
+  return cidrVersion(cidr) === 6;
+}
+
+function isValidInterfaceName(name) {
+  return typeof name === "string" && INTERFACE_REGEX.test(name);
+}
+
+function isValidMTU(mtu) {
+  return Number.isInteger(mtu) && mtu >= 576 && mtu <= 9000;
+}
+
+function assertKey(key, label = "key") {
+  if (!isValidKey(key)) {
+    throw new Error(`Invalid ${label}: expected a base64-encoded 32-byte key`);
+  }
+  return key;
+}
+
+function assertCIDR(cidr) {
+  if (!isValidCIDR(cidr)) {
+    throw new Error(`Invalid CIDR: ${JSON.stringify(cidr)}`);
+  }
+  return cidr;
+}
+
+function assertInterfaceName(name) {
+  if (!isValidInterfaceName(name)) {
+    throw new Error("Interface name must be in format wg0, wg1, etc.");
+  }
+  return name;
+}
+
+function assertMTU(mtu) {
+  const value = Number(mtu);
+  if (!isValidMTU(value)) {
+    throw new Error("MTU must be an integer between 576 and 9000");
+  }
+  return value;
+}
+
+// Bandwidth limits are whole kbit/s; 0 means unlimited
+function assertBandwidth(rate) {
+  const value = Number(rate);
+  if (!Number.isInteger(value) || value < 0 || value > 100000000) {
+    throw new Error("Bandwidth limit must be an integer number of kbit/s");
+  }
+  return value;
+}
+
+module.exports = {
+  isValidKey,
+  isValidIPv4,
+  isValidIPv6,
+  isValidIP,
+  isValidHostname,
+  isValidHost,
+  cidrVersion,
+  isValidCIDR,
+  isValidIPv4CIDR,
+  isValidIPv6CIDR,
+  isValidInterfaceName,
+  isValidMTU,
+  assertKey,
+  assertCIDR,
+  assertInterfaceName,
+  assertMTU,
+  assertBandwidth,
+};
@@ -0,0 +1,304 @@
+const net = require("net");
+const { isValidKey } = require("./validators");
+const { parseEndpoint } = require("./wgDump");
+
+// Parser and serializer for wg-quick files. Every line is kept in the tree
+// with its original text, so serialize(parse(text)) === text: comments,
+// blank lines, ordering, repeated keys (PostUp, ...) and keys or sections we
+// do not know all survive. A line is only re-rendered once its value is set.
+//
+//   { preamble: [line], sections: [{ name, line, raw, lines: [line] }],
+//     errors: [{ line, message }] }
+//   line: { type: "entry", key, value, line, raw }
+//       | { type: "comment" | "blank", line, raw }
+
+// Keys wg-quick accepts more than once. Repeated list keys add to one list,
+// so their values are joined with ", "; each hook is a shell command of its
+// own and they are read as an array.
+const LIST_KEYS = new Set(["Address", "DNS", "AllowedIPs"]);
+const HOOK_KEYS = new Set(["PreUp", "PostUp", "PreDown", "PostDown"]);
+const REPEATABLE = new Set([...LIST_KEYS, ...HOOK_KEYS]);
+
+const isPort = (v) => /^\d+$/.test(v) && v > 0 && v <= 65535;
+
+function isAnyCIDR(value) {
+  const [ip, prefix, ...rest] = value.split("/");
+  if (rest.length > 0) return false;
+
+  const version = net.isIP(ip);
+  if (!version) return false;
+  if (prefix === undefined) return true;
+
+  return /^\d{1,3}$/.test(prefix) && prefix <= (version === 4 ? 32 : 128);
+}
+
+const list = (check) => (value) =>
+  value
+    .split(",")
+    .map((item) => item.trim())
+    .every((item) => item && check(item));
+
+// Checks for values we understand; everything else is passed through
+const VALIDATORS = {
+  Interface: {
+    PrivateKey: [isValidKey, "a base64-encoded 32-byte key"],
+    ListenPort: [isPort, "a port between 1 and 65535"],
+    MTU: [(v) => /^\d+$/.test(v) && v >= 576 && v <= 9000, "576-9000"],
+    Address: [list(isAnyCIDR), "a list of addresses in CIDR notation"],
+    DNS: [list((v) => /^[A-Za-z0-9.:_-]+$/.test(v)), "a list of servers"],
+    SaveConfig: [(v) => v === "true" || v === "false", "true or false"],
+  },
+  Peer: {
+    PublicKey: [isValidKey, "a base64-encoded 32-byte key"],
+    PresharedKey: [isValidKey, "a base64-encoded 32-byte key"],
+    AllowedIPs: [list(isAnyCIDR), "a list of addresses in CIDR notation"],
+    Endpoint: [(v) => !!parseEndpoint(v), "host:port"],
+    PersistentKeepalive: [
+      (v) => v === "off" || (/^\d+$/.test(v) && v <= 65535),
+      "off or 0-65535 seconds",
+    ],
+  },
+};
+
+const REQUIRED = { Interface: ["PrivateKey"], Peer: ["PublicKey"] };
+
+function parseLine(raw, line) {
+  const trimmed = raw.trim();
+  if (!trimmed) return { type: "blank", line, raw };
+  if (trimmed.startsWith("#")) return { type: "comment", line, raw };
+
+  // wg-quick treats everything after a # as a comment
+  const content = trimmed.split("#")[0].trim();
+  const index = content.indexOf("=");
+  if (index <= 0) return { type: "invalid", line, raw };
+
+  return {
+    type: "entry",
+    key: content.slice(0, index).trim(),
+    value: content.slice(index + 1).trim(),
+    line,
+    raw,
+  };
+}
+
+function validateSection(section, errors) {
+  const rules = VALIDATORS[section.name];
+  if (!rules) return;
+
+  const seen = new Set();
+  for (const entry of section.lines) {
+    if (entry.type !== "entry") continue;
+
+    if (seen.has(entry.key) && !REPEATABLE.has(entry.key)) {
+      errors.push({
+        line: entry.line,
+        message: `Duplicate ${entry.key} in [${section.name}]`,
+      });
+    }
+    seen.add(entry.key);
+
+    const rule = rules[entry.key];
+    if (rule && !rule[0](entry.value)) {
+      errors.push({
+        line: entry.line,
+        message: `Invalid ${entry.key}: expected ${rule[1]}`,
+      });
+    }
+  }
+
+  for (const key of REQUIRED[section.name]) {
+    if (!seen.has(key)) {
+      errors.push({
+        line: section.line,
+        message: `[${section.name}] has no ${key}`,
+      });
+    }
+  }
+}
+
+// Throws with every problem listed (error.errors) unless `strict` is false,
+// in which case they are left on doc.errors
+function parse(text, { strict = true } = {}) {
+  const doc = { preamble: [], sections: [], errors: [] };
+  let current = null;
+
+  text.split("\n").forEach((raw, i) => {
+    const line = i + 1;
+    const header = raw
+      .split("#")[0]
+      .trim()
+      .match(/^\[([^\]]+)\]$/);
+
+    if (header) {
+      current = { name: header[1].trim(), line, raw, lines: [] };
+      doc.sections.push(current);
+      return;
+    }
+
+    const node = parseLine(raw, line);
+    if (node.type === "invalid") {
+      doc.errors.push({ line, message: "Expected Key = Value" });
+    } else if (node.type === "entry" && !current) {
+      doc.errors.push({ line, message: `${node.key} is outside a section` });
+    }
+
+    (current ? current.lines : doc.preamble).push(node);
+  });
+
+  const interfaces = getSections(doc, "Interface");
+  if (interfaces.length !== 1) {
+    doc.errors.push({
+      line: interfaces[1]?.line || 1,
+      message: "Expected exactly one [Interface] section",
+    });
+  }
+
+  doc.sections.forEach((section) => validateSection(section, doc.errors));
+  doc.errors.sort((a, b) => a.line - b.line);
+
+  if (strict && doc.errors.length > 0) {
+    throw Object.assign(
+      new Error(
+        `Invalid WireGuard config: ${doc.errors
+          .map((e) => `line ${e.line}: ${e.message}`)
+          .join("; ")}`
+      ),
+      { errors: doc.errors }
+    );
+  }
+
+  return doc;
+}
+
+function serialize(doc) {
+  const lines = doc.preamble.map((node) => node.raw);
+
+  for (const section of doc.sections) {
+    lines.push(section.raw, ...section.lines.map((node) => node.raw));
+  }
+
+  return lines.join("\n");
+}
+
+// ==================== BUILDING AND EDITING ====================
+
+function createDocument(comments = []) {
+  return {
+    preamble: comments.map((text) => ({ type: "comment", raw: `# ${text}` })),
+    sections: [],
+    errors: [],
+  };
+}
+
+// New sections are separated from what precedes them by a blank line
+function addSection(doc, name, comments = []) {
+  const previous = doc.sections[doc.sections.length - 1];
+  const before = previous ? previous.lines : doc.preamble;
+  if (before.length > 0 && before[before.length - 1].type !== "blank") {
+    before.push({ type: "blank", raw: "" });
+  }
+
+  comments.forEach((text) =>
+    before.push({ type: "comment", raw: `# ${text.replace(/[\r\n]/g, " ")}` })
+  );
+
+  const section = { name, raw: `[${name}]`, lines: [] };
+  doc.sections.push(section);
+  return section;
+}
+
+// A line break in a value would start a line of its own: another key, or a
+// hook wg-quick runs as root
+function entryRaw(key, value) {
+  if (/[\r\n]/.test(value)) {
+    throw new Error(`Invalid ${key}: values cannot contain line breaks`);
+  }
+  return `${key} = ${value}`;
+}
+
+// Appends after the section's last entry, ahead of trailing blanks/comments
+function append(section, key, value) {
+  const entry = { type: "entry", key, value: String(value) };
+  entry.raw = entryRaw(key, entry.value);
+
+  let index = section.lines.length;
+  while (index > 0 && section.lines[index - 1].type !== "entry") index--;
+  section.lines.splice(index, 0, entry);
+
+  return section;
+}
+
+// Replaces the first `key` in this section and drops any repeats; appends
+// when the key is absent. A null or undefined value removes the key.
+function set(section, key, value) {
+  const entries = section.lines.filter(
+    (node) => node.type === "entry" && node.key === key
+  );
+
+  if (value === null || value === undefined) {
+    section.lines = section.lines.filter((node) => !entries.includes(node));
+    return section;
+  }
+  if (entries.length === 0) return append(section, key, value);
+
+  const [first, ...rest] = entries;
+  first.raw = entryRaw(key, String(value));
+  first.value = String(value);
+  section.lines = section.lines.filter((node) => !rest.includes(node));
+
+  return section;
+}
+
+// ==================== READING ====================
+
+function getSections(doc, name) {
+  return doc.sections.filter((section) => section.name === name);
+}
+
+function getAll(section, key) {
+  return section.lines
+    .filter((node) => node.type === "entry" && node.key === key)
+    .map((node) => node.value);
+}
+
+// A list key's values joined with ", ", every command for a hook key, or
+// the first value of anything else
+function get(section, key) {
+  const values = getAll(section, key);
+  if (values.length === 0) return undefined;
+  if (HOOK_KEYS.has(key)) return values;
+  return LIST_KEYS.has(key) ? values.join(", ") : values[0];
+}
+
+// Plain { interface: { Key: value }, peers: [{ Key: value }] } view of a
+// document, with values as get() returns them
+function flatten(doc) {
+  const toObject = (section) => {
+    const object = {};
+    for (const node of section.lines) {
+      if (node.type === "entry" && object[node.key] === undefined) {
+        object[node.key] = get(section, node.key);
+      }
+    }
+    return object;
+  };
+
+  const [iface] = getSections(doc, "Interface");
+  return {
+    interface: iface ? toObject(iface) : {},
+    peers: getSections(doc, "Peer").map(toObject),
+  };
+}
+
+module.exports = {
+  parse,
+  serialize,
+  createDocument,
+  addSection,
+  append,
+  set,
+  get,
+  getAll,
+  getSections,
+  flatten,
+};
@@ -0,0 +1,58 @@
+// Parser for `wg show <iface> dump`: one tab-separated line for the
+// interface, then one per peer. The interface private key is dropped.
+
+function parseEndpoint(value) {
+  if (!value || value === "(none)") return null;
+
+  // IPv6 endpoints are bracketed: [2001:db8::1]:51820
+  const match = value.match(/^\[?([^\]]+)\]?:(\d+)$/);
+  if (!match) return null;
+
+  return { host: match[1], port: parseInt(match[2]) };
+}
+
+function parseDump(output) {
+  const lines = output.split("\n").filter((line) => line.trim());
+  const result = { interface: null, peers: [] };
+  if (lines.length === 0) return result;
+
+  const [, publicKey, listenPort, fwmark] = lines[0].split("\t");
+  result.interface = {
+    publicKey,
+    listenPort: parseInt(listenPort) || 0,
+    fwmark: fwmark === "off" ? null : fwmark,
+  };
+
+  for (const line of lines.slice(1)) {
+    const [
+      publicKey,
+      presharedKey,
+      endpoint,
+      allowedIPs,
+      latestHandshake,
+      received,
+      sent,
+      persistentKeepalive,
+    ] = line.split("\t");
+
+    const handshake = parseInt(latestHandshake) || 0;
+
+    result.peers.push({
+      publicKey,
+      hasPresharedKey: !!presharedKey && presharedKey !== "(none)",
+      endpoint: parseEndpoint(endpoint),
+      allowedIPs:
+        !allowedIPs || allowedIPs === "(none)" ? [] : allowedIPs.split(","),
+      // 0 means the peer has never completed a handshake
+      latestHandshake: handshake > 0 ? new Date(handshake * 1000) : null,
+      received: parseInt(received) || 0,
+      sent: parseInt(sent) || 0,
+      persistentKeepalive:
+        persistentKeepalive === "off" ? 0 : parseInt(persistentKeepalive) || 0,
+    });
+  }
+
+  return result;
+}
+
+module.exports = { parseDump, parseEndpoint };
@@ -1,16 +1,35 @@
-const { exec, spawn } = require("child_process");
 const fs = require("fs").promises;
 const path = require("path");
-const util = require("util");
 const Server = require("./models/Server");
 const Peer = require("./models/Peer");
 const MTUProfile = require("./models/MTUProfile");
-
-const execAsync = util.promisify(exec);
+const TrafficSample = require("./models/TrafficSample");
+const IPAllocation = require("./models/IPAllocation");
+const { getBackend } = require("./backends/wireguard");
+const { getShaper } = require("./backends/shaper");
+const { getFirewall } = require("./backends/firewall");
+const keys = require("./utils/keys");
+const audit = require("./services/audit");
+const pmtuProber = require("./services/pmtuProber");
+const rollbackGuard = require("./services/rollbackGuard");
+const benchmark = require("./services/benchmark");
+const pmtu = require("./utils/pmtu");
+const stats = require("./utils/stats");
+const { parseDump } = require("./utils/wgDump");
+const wgConfig = require("./utils/wgConfig");
+const ipam = require("./utils/ipam");
+const { buildFirewallSpec } = require("./utils/firewallRules");
+const { compilePeerPolicy } = require("./utils/peerPolicy");
+const { diffState, fromConfig, fromLive } = require("./utils/stateDiff");
 
 class DatabaseWireGuardService {
-  constructor(configPath = "/etc/wireguard") {
+  constructor(configPath = process.env.WG_CONFIG_PATH || "/etc/wireguard") {
     this.configPath = configPath;
+    this.backupPath =
+      process.env.WG_BACKUP_PATH || path.join(configPath, "backups");
+    this.backend = getBackend();
+    this.shaper = getShaper();
+    this.firewall = getFirewall();
     this.ispProfiles = require("../config/isp-profiles.json");
     this.interfaces = new Set();
   }
@@ -18,8 +37,23 @@ class DatabaseWireGuardService {
   // ==================== INITIALIZATION ====================
 
   async initialize() {
-    await this.discoverInterfaces();
+    const interfaces = await this.discoverInterfaces();
     await this.syncAllToDatabase();
+
+    // tc and firewall state do not survive a reboot or a wg-quick up
+    // outside the app
+    for (const interfaceName of interfaces) {
+      await this.applyFirewall(interfaceName).catch((error) =>
+        console.error(
+          `Failed to apply firewall on ${interfaceName}:`,
+          error.message
+        )
+      );
+      await this.applyShaping(interfaceName).catch((error) =>
+        console.error(`Failed to shape ${interfaceName}:`, error.message)
+      );
+    }
+
     console.log("✅ WireGuard service initialized with database");
   }
 
@@ -27,16 +61,7 @@ class DatabaseWireGuardService {
 
   async discoverInterfaces() {
     try {
-      const { stdout } = await execAsync("ip link show");
-      const interfaces = new Set();
-      const lines = stdout.split("\n");
-
-      lines.forEach((line) => {
-        const match = line.match(/^\d+:\s+(\w+):/);
-        if (match && match[1].startsWith("wg")) {
-          interfaces.add(match[1]);
-        }
-      });
+      const interfaces = new Set(await this.backend.listInterfaces());
 
       this.interfaces = interfaces;
       return Array.from(interfaces);
@@ -63,13 +88,11 @@ class DatabaseWireGuardService {
 
     // Generate keys if not provided
     if (!serverData.privateKey) {
-      serverData.privateKey = (await execAsync("wg genkey")).stdout.trim();
+      serverData.privateKey = keys.generatePrivateKey();
     }
 
     if (!serverData.publicKey && serverData.privateKey) {
-      serverData.publicKey = (
-        await execAsync(`echo "${serverData.privateKey}" | wg pubkey`)
-      ).stdout.trim();
+      serverData.publicKey = keys.derivePublicKey(serverData.privateKey);
     }
 
     // Create server in database
@@ -77,14 +100,7 @@ class DatabaseWireGuardService {
     await server.save();
 
     // Generate config file
-    const configPath = path.join(
-      this.configPath,
-      `${server.interfaceName}.conf`
-    );
-    const configContent = server.getConfigContent();
-
-    await fs.writeFile(configPath, configContent, "utf8");
-    await fs.chmod(configPath, 0o600);
+    const configPath = await this.writeServerConfig(server.interfaceName);
 
     // Add to interfaces set
     this.interfaces.add(server.interfaceName);
@@ -111,13 +127,13 @@ class DatabaseWireGuardService {
       if (server) {
         // Delete all peers associated with this server
         await Peer.deleteMany({ server: server._id });
+        await IPAllocation.deleteMany({ server: server._id });
         await server.deleteOne();
       }
 
       // Remove config file
-      const configPath = path.join(this.configPath, `${interfaceName}.conf`);
       try {
-        await fs.unlink(configPath);
+        await this.backend.deleteConfig(interfaceName);
       } catch (e) {
         // Config file might not exist
       }
@@ -141,11 +157,26 @@ class DatabaseWireGuardService {
     }
 
     try {
-      await execAsync(`wg-quick up ${interfaceName}`);
+      await this.backend.up(interfaceName);
 
       // Update server status
       await server.updateStatus("active");
 
+      // NAT and forwarding rules; without them peers connect but cannot
+      // reach anything, so a failure is logged rather than undoing the start
+      await this.applyFirewall(interfaceName).catch((error) =>
+        console.error(
+          `Failed to apply firewall on ${interfaceName}:`,
+          error.message
+        )
+      );
+
+      // Re-apply per-peer bandwidth limits; a shaping failure leaves the
+      // interface up but unshaped
+      await this.applyShaping(interfaceName).catch((error) =>
+        console.error(`Failed to shape ${interfaceName}:`, error.message)
+      );
+
       // Sync peers status from WireGuard
       await this.updatePeersStatus(interfaceName);
 
@@ -167,7 +198,9 @@ class DatabaseWireGuardService {
     }
 
     try {
-      await execAsync(`wg-quick down ${interfaceName}`);
+      await this.backend.down(interfaceName);
+      await this.shaper.teardown(interfaceName).catch(() => {});
+      await this.firewall.remove(interfaceName).catch(() => {});
 
       // Update server status
       await server.updateStatus("inactive");
@@ -192,6 +225,83 @@ class DatabaseWireGuardService {
     }
   }
 
+  // Renders the wg-quick file from the Server and its enabled peers. The
+  // database is the source of truth; the file is never read back
+  async writeServerConfig(interfaceName) {
+    const server = await Server.findOne({ interfaceName }).select(
+      "+privateKey"
+    );
+    if (!server) {
+      throw new Error(`Server ${interfaceName} not found in database`);
+    }
+
+    const peers = await Peer.find({ server: server._id, enabled: true })
+      .select("+presharedKey")
+      .sort({ createdAt: 1 });
+
+    return this.backend.writeConfig(
+      interfaceName,
+      server.getConfigContent(peers)
+    );
+  }
+
+  // Brings a running interface in line with the database using the least
+  // disruptive step: wg syncconf for keys, port and peers, ip link for MTU,
+  // and a restart only when the address changed (wg-quick sets it at up).
+  // DNS is a client setting and never touches the server interface.
+  async reconcile(interfaceName) {
+    const server = await Server.findOne({ interfaceName });
+    if (!server) {
+      throw new Error(`Server ${interfaceName} not found in database`);
+    }
+
+    await this.writeServerConfig(interfaceName);
+
+    // Nothing live to change; the new file is picked up on the next start
+    if (!(await this.backend.isRunning(interfaceName))) {
+      return { strategy: "offline", steps: [] };
+    }
+
+    const peers = await Peer.find({ server: server._id, enabled: true }).select(
+      "+presharedKey"
+    );
+    const diff = diffState(server, peers, {
+      dump: parseDump(await this.backend.showDump(interfaceName)),
+      link: await this.backend.getLink(interfaceName),
+    });
+
+    if (diff.inSync) {
+      return { strategy: "none", steps: [], diff };
+    }
+
+    if (diff.address) {
+      const result = await this.restartInterface(interfaceName);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      return { strategy: "restart", steps: ["restart"], diff };
+    }
+
+    const steps = [];
+    if (diff.interface || diff.peersChanged) {
+      await this.backend.syncConfig(interfaceName);
+      steps.push("syncconf");
+
+      // syncconf replaces the peer set; limits and policies for new peers
+      // need classes and rules
+      await this.applyShaping(interfaceName).catch((error) =>
+        console.error(`Failed to shape ${interfaceName}:`, error.message)
+      );
+      await this.refreshFirewall(interfaceName);
+    }
+    if (diff.mtu) {
+      await this.backend.setMTU(interfaceName, server.mtu);
+      steps.push("mtu");
+    }
+
+    return { strategy: "hot", steps, diff };
+  }
+
   async restartInterface(interfaceName) {
     try {
       await this.stopInterface(interfaceName);
@@ -212,14 +322,16 @@ class DatabaseWireGuardService {
 
       // Add to WireGuard interface
       const server = await Server.findById(peerData.server);
-      const cmd = `wg set ${server.interfaceName} peer ${
-        peer.publicKey
-      } allowed-ips ${peer.allowedIPs.join(",")}`;
-
-      await execAsync(cmd);
+      await this.backend.setPeer(server.interfaceName, {
+        publicKey: peer.publicKey,
+        presharedKey: peer.presharedKey,
+        allowedIPs: peer.allowedIPs,
+      });
 
       // Save config
-      await execAsync(`wg-quick save ${server.interfaceName}`);
+      await this.writeServerConfig(server.interfaceName);
+      await this.shapePeer(server.interfaceName, peer);
+      await this.refreshFirewall(server.interfaceName);
 
       // Generate config file for peer
       await peer.generateConfig();
@@ -251,17 +363,18 @@ class DatabaseWireGuardService {
       const { server } = peer;
 
       // Remove from WireGuard interface
-      const cmd = `wg set ${server.interfaceName} peer ${peer.publicKey} remove`;
-      await execAsync(cmd);
-
-      // Save config
-      await execAsync(`wg-quick save ${server.interfaceName}`);
+      await this.backend.removePeer(server.interfaceName, peer.publicKey);
+      await this.unshapePeer(server.interfaceName, peer);
 
       // Update peer status
       peer.status = "disabled";
       peer.enabled = false;
       await peer.save();
 
+      // Save config
+      await this.writeServerConfig(server.interfaceName);
+      await this.refreshFirewall(server.interfaceName);
+
       // Update server peer count
       await Server.findByIdAndUpdate(server._id, {
         $inc: { peerCount: -1 },
@@ -278,7 +391,9 @@ class DatabaseWireGuardService {
   }
 
   async enablePeer(peerId) {
-    const peer = await Peer.findById(peerId).populate("server");
+    const peer = await Peer.findById(peerId)
+      .select("+presharedKey")
+      .populate("server");
     if (!peer) {
       throw new Error("Peer not found");
     }
@@ -286,18 +401,24 @@ class DatabaseWireGuardService {
     const { server } = peer;
 
     // Add peer back to WireGuard
-    const cmd = `wg set ${server.interfaceName} peer ${
-      peer.publicKey
-    } allowed-ips ${peer.allowedIPs.join(",")}`;
-    await execAsync(cmd);
-
-    // Save config
-    await execAsync(`wg-quick save ${server.interfaceName}`);
+    await this.backend.setPeer(server.interfaceName, {
+      publicKey: peer.publicKey,
+      presharedKey: peer.presharedKey,
+      allowedIPs: peer.allowedIPs,
+    });
+    await this.shapePeer(server.interfaceName, peer);
 
     peer.enabled = true;
     peer.status = "pending";
+    peer.disabledReason = undefined;
+    peer.disabledAt = undefined;
+    peer.disabledBeforeExpiry = undefined;
     await peer.save();
 
+    // Save config
+    await this.writeServerConfig(server.interfaceName);
+    await this.refreshFirewall(server.interfaceName);
+
     return {
       success: true,
       message: "Peer enabled successfully",
@@ -305,7 +426,7 @@ class DatabaseWireGuardService {
     };
   }
 
-  async disablePeer(peerId) {
+  async disablePeer(peerId, reason = "manual") {
     const peer = await Peer.findById(peerId).populate("server");
     if (!peer) {
       throw new Error("Peer not found");
@@ -314,16 +435,19 @@ class DatabaseWireGuardService {
     const { server } = peer;
 
     // Remove from WireGuard
-    const cmd = `wg set ${server.interfaceName} peer ${peer.publicKey} remove`;
-    await execAsync(cmd);
-
-    // Save config
-    await execAsync(`wg-quick save ${server.interfaceName}`);
+    await this.backend.removePeer(server.interfaceName, peer.publicKey);
+    await this.unshapePeer(server.interfaceName, peer);
 
     peer.enabled = false;
     peer.status = "disabled";
+    peer.disabledReason = reason;
+    peer.disabledAt = new Date();
     await peer.save();
 
+    // Save config
+    await this.writeServerConfig(server.interfaceName);
+    await this.refreshFirewall(server.interfaceName);
+
     return {
       success: true,
       message: "Peer disabled successfully",
@@ -331,81 +455,398 @@ class DatabaseWireGuardService {
     };
   }
 
+  // Takes an expired peer off the interface but keeps its record, unlike the
+  // old TTL index which deleted the document and left the kernel peer behind
+  async expirePeer(peerId) {
+    const peer = await Peer.findById(peerId).populate("server");
+    if (!peer) {
+      throw new Error("Peer not found");
+    }
+
+    const { server } = peer;
+
+    if (peer.enabled && (await this.backend.isRunning(server.interfaceName))) {
+      await this.backend.removePeer(server.interfaceName, peer.publicKey);
+    }
+    await this.unshapePeer(server.interfaceName, peer);
+
+    if (!peer.enabled && peer.disabledReason !== "expired") {
+      peer.disabledBeforeExpiry = {
+        reason: peer.disabledReason || "manual",
+        at: peer.disabledAt,
+      };
+    }
+    peer.enabled = false;
+    peer.status = "expired";
+    peer.disabledReason = "expired";
+    peer.disabledAt = new Date();
+    peer.expiredAt = new Date();
+    await peer.save();
+
+    await this.writeServerConfig(server.interfaceName);
+    await this.refreshFirewall(server.interfaceName);
+
+    return {
+      success: true,
+      message: "Peer expired",
+      peer: peer.toClientJSON(),
+    };
+  }
+
+  // Moves expiresAt forward; a peer that had already expired goes back on
+  // the interface, unless it was disabled for another reason before that
+  async renewPeer(peerId, expiresAt) {
+    if (!(expiresAt instanceof Date) || isNaN(expiresAt)) {
+      throw new Error("Invalid expiry date");
+    }
+    if (expiresAt <= new Date()) {
+      throw new Error("New expiry date must be in the future");
+    }
+
+    const peer = await Peer.findById(peerId);
+    if (!peer) {
+      throw new Error("Peer not found");
+    }
+
+    const wasExpired = peer.disabledReason === "expired";
+    const disabledBefore = wasExpired && peer.disabledBeforeExpiry?.reason;
+
+    peer.expiresAt = expiresAt;
+    peer.expiryWarnings = [];
+    peer.expiredAt = undefined;
+    if (disabledBefore) {
+      peer.status = "disabled";
+      peer.disabledReason = disabledBefore;
+      peer.disabledAt = peer.disabledBeforeExpiry.at;
+    }
+    peer.disabledBeforeExpiry = undefined;
+    await peer.save();
+
+    if (wasExpired && !disabledBefore) {
+      await this.enablePeer(peer._id);
+    }
+
+    let message = "Peer renewed successfully";
+    if (disabledBefore) {
+      message = `Peer renewed; it stays disabled (${disabledBefore})`;
+    } else if (wasExpired) {
+      message = "Peer renewed and re-enabled";
+    }
+
+    const renewed = await Peer.findById(peer._id);
+    return {
+      success: true,
+      message,
+      peer: renewed.toClientJSON(),
+    };
+  }
+
+  // Reads handshakes and transfer counters from `wg show <iface> dump` and
+  // stores them on the peers, rolling the traffic up into the server totals
   async updatePeersStatus(interfaceName) {
     const server = await Server.findOne({ interfaceName });
     if (!server) {
       throw new Error("Server not found");
     }
 
-    // Get current status from WireGuard
-    let wgOutput;
+    let dump;
     try {
-      const { stdout } = await execAsync(`wg show ${interfaceName}`);
-      wgOutput = stdout;
+      dump = parseDump(await this.backend.showDump(interfaceName));
     } catch (error) {
       // Interface might not be running
       await Peer.updateMany(
         { server: server._id, status: "connected" },
         { status: "disconnected" }
       );
-      return;
+      server.activePeers = 0;
+      server.monitoring.lastCheck = new Date();
+      await server.save();
+      return null;
     }
 
-    // Parse WireGuard output
-    const connectedPeers = new Set();
-    const lines = wgOutput.split("\n");
-    let currentPeer = null;
+    const now = new Date();
+    const livePeers = new Map(dump.peers.map((p) => [p.publicKey, p]));
+    const peers = await Peer.find({ server: server._id });
+    const totals = { received: 0, sent: 0 };
+    const samples = [];
+    let activePeers = 0;
 
-    for (const line of lines) {
-      if (line.includes("peer:")) {
-        if (currentPeer && currentPeer.publicKey) {
-          connectedPeers.add(currentPeer.publicKey.trim());
-        }
-        currentPeer = { publicKey: line.split(":")[1].trim() };
-      } else if (line.includes("transfer:")) {
-        const transfer = line.split(":")[1].trim();
-        const [received, sent] = transfer.split(", ");
-        if (currentPeer) {
-          currentPeer.transfer = { received, sent };
+    for (const peer of peers) {
+      const live = livePeers.get(peer.publicKey);
+
+      if (!live) {
+        if (peer.status === "connected") {
+          peer.status = "disconnected";
+          await peer.save();
         }
+        continue;
       }
-    }
 
-    if (currentPeer && currentPeer.publicKey) {
-      connectedPeers.add(currentPeer.publicKey.trim());
-    }
+      if (live.latestHandshake) {
+        peer.lastHandshake = live.latestHandshake;
+      }
+      if (live.endpoint) {
+        peer.endpoint = live.endpoint;
+      }
 
-    // Update database
-    const peers = await Peer.find({ server: server._id });
+      if (peer.enabled) {
+        if (Peer.isHandshakeFresh(live.latestHandshake, now)) {
+          peer.status = "connected";
+          peer.lastSeen = now;
+          activePeers++;
+        } else if (live.latestHandshake || peer.status === "connected") {
+          peer.status = "disconnected";
+        }
+      }
 
-    for (const peer of peers) {
-      const isConnected = connectedPeers.has(peer.publicKey);
+      const delta = peer.applyCounters(live.received, live.sent, now);
+      totals.received += delta.received;
+      totals.sent += delta.sent;
 
-      if (isConnected && peer.status !== "connected") {
-        peer.status = "connected";
-        peer.lastHandshake = new Date();
-        peer.lastSeen = new Date();
+      if (delta.received > 0 || delta.sent > 0) {
+        samples.push({
+          timestamp: now,
+          meta: { peer: peer._id, server: server._id },
+          rx: delta.received,
+          tx: delta.sent,
+        });
+      }
 
-        if (!peer.firstSeen) {
-          peer.firstSeen = new Date();
-        }
+      // Saves the peer along with the status and counters set above
+      await peer.updateTransferStats(delta.received, delta.sent);
+    }
 
-        peer.connectionCount += 1;
-      } else if (!isConnected && peer.status === "connected") {
-        peer.status = "disconnected";
+    await Server.updateOne(
+      { _id: server._id },
+      {
+        $inc: {
+          "totalDataTransferred.received": totals.received,
+          "totalDataTransferred.sent": totals.sent,
+        },
+        $set: { activePeers, "monitoring.lastCheck": now },
       }
+    );
 
-      await peer.save();
+    if (samples.length > 0) {
+      await TrafficSample.insertMany(samples);
+    }
+
+    return { interfaceName, peers: peers.length, activePeers, ...totals };
+  }
+
+  // ==================== TRAFFIC SHAPING ====================
+
+  // Rebuilds the tc tree of a running interface from the enabled peers'
+  // bandwidth limits (kbit/s, 0 = unlimited)
+  async applyShaping(interfaceName) {
+    const server = await Server.findOne({ interfaceName });
+    if (!server || !(await this.backend.isRunning(interfaceName))) {
+      return { interfaceName, applied: 0, failed: [] };
     }
 
-    // Update server active peers count
-    server.activePeers = await Peer.countDocuments({
+    await this.shaper.setup(interfaceName);
+
+    const peers = await Peer.find({
       server: server._id,
-      status: "connected",
       enabled: true,
+      $or: [
+        { "bandwidthLimit.download": { $gt: 0 } },
+        { "bandwidthLimit.upload": { $gt: 0 } },
+      ],
     });
 
-    await server.save();
+    const failed = [];
+    for (const peer of peers) {
+      try {
+        await this.shapePeer(interfaceName, peer);
+      } catch (error) {
+        failed.push({
+          peer: peer.name,
+          ip: peer.assignedIP,
+          error: error.message,
+        });
+      }
+    }
+
+    return { interfaceName, applied: peers.length - failed.length, failed };
+  }
+
+  async shapePeer(interfaceName, peer) {
+    const { download = 0, upload = 0 } = peer.bandwidthLimit || {};
+
+    if (download > 0 || upload > 0) {
+      await this.shaper.setup(interfaceName);
+      await this.shaper.setPeer(interfaceName, {
+        ip: peer.assignedIP,
+        ip6: peer.assignedIP6 || null,
+        download,
+        upload,
+      });
+    } else {
+      await this.unshapePeer(interfaceName, peer);
+    }
+  }
+
+  // Nothing to clean up is not an error
+  async unshapePeer(interfaceName, peer) {
+    try {
+      await this.shaper.removePeer(interfaceName, peer.assignedIP);
+    } catch (error) {
+      console.error(`Failed to unshape ${peer.assignedIP}:`, error.message);
+    }
+  }
+
+  // Applied tc state next to what the database says should be applied
+  async getShapingStatus(interfaceName) {
+    const server = await Server.findOne({ interfaceName });
+    if (!server) {
+      throw new Error("Server not found");
+    }
+
+    const live = await this.shaper.status(interfaceName);
+    const peers = await Peer.find({ server: server._id }).select(
+      "name assignedIP assignedIP6 enabled bandwidthLimit"
+    );
+    const applied = new Map(live.peers.map((p) => [p.ip, p]));
+
+    return {
+      interfaceName,
+      backend: this.shaper.name,
+      enabled: live.enabled,
+      peers: peers.map((peer) => {
+        const expected = peer.enabled
+          ? {
+              download: peer.bandwidthLimit?.download || 0,
+              upload: peer.bandwidthLimit?.upload || 0,
+            }
+          : { download: 0, upload: 0 };
+        const actual = applied.get(peer.assignedIP) || null;
+        const ip6 = peer.assignedIP6 || null;
+
+        return {
+          peer: peer._id,
+          name: peer.name,
+          ip: peer.assignedIP,
+          ip6,
+          expected,
+          applied: actual,
+          inSync:
+            (actual?.download || 0) === expected.download &&
+            (actual?.upload || 0) === expected.upload &&
+            (!actual || actual.ip6 === ip6),
+        };
+      }),
+    };
+  }
+
+  // ==================== FIREWALL ====================
+
+  async _firewallSpec(interfaceName) {
+    const server = await Server.findOne({ interfaceName });
+    if (!server) {
+      throw new Error("Server not found");
+    }
+
+    const peers = await Peer.find({ server: server._id, enabled: true });
+    return buildFirewallSpec(
+      server,
+      peers.map((peer) => compilePeerPolicy(peer, server))
+    );
+  }
+
+  async previewFirewall(interfaceName) {
+    const spec = await this._firewallSpec(interfaceName);
+    return { interfaceName, spec, ...this.firewall.preview(spec) };
+  }
+
+  // Installs the rules for a running interface; a stopped one gets them
+  // when it starts
+  async applyFirewall(interfaceName) {
+    const spec = await this._firewallSpec(interfaceName);
+    if (!(await this.backend.isRunning(interfaceName))) {
+      return { interfaceName, applied: false, backend: this.firewall.name };
+    }
+
+    await this.firewall.apply(spec);
+    return { interfaceName, applied: true, backend: this.firewall.name };
+  }
+
+  // Peer policies live in the interface's ruleset, so any peer change
+  // re-applies it; a failure is logged and left for the next change or the
+  // drift/apply endpoints to surface
+  async refreshFirewall(interfaceName) {
+    await this.applyFirewall(interfaceName).catch((error) =>
+      console.error(
+        `Failed to apply firewall on ${interfaceName}:`,
+        error.message
+      )
+    );
+  }
+
+  // The rules a peer's traffic is subject to, in evaluation order
+  async getEffectivePolicy(peerId) {
+    const peer = await Peer.findById(peerId).populate("server");
+    if (!peer) {
+      throw new Error("Peer not found");
+    }
+
+    const { server } = peer;
+    const policy = compilePeerPolicy(peer, server);
+    const firewall = await this.firewall.status(server.interfaceName);
+    const rules = [];
+
+    if (server.blockedIPs?.length > 0) {
+      rules.push({
+        action: "deny",
+        destinations: server.blockedIPs,
+        reason: "Blocked for every peer on this server",
+      });
+    }
+    if (server.enableRouting === false) {
+      rules.push({
+        action: "deny",
+        destinations: null,
+        reason: "Routing is disabled on this server",
+      });
+    } else {
+      rules.push(...policy.rules);
+      if (server.allowedIPs?.length > 0) {
+        rules.push({
+          action: "deny",
+          destinations: null,
+          reason: `Server only routes to ${server.allowedIPs.join(", ")}`,
+        });
+      }
+    }
+
+    return {
+      peer: {
+        id: peer._id,
+        name: peer.name,
+        ip: peer.assignedIP,
+        ip6: policy.ip6,
+      },
+      interfaceName: server.interfaceName,
+      level: policy.level,
+      flags: {
+        accessLevel: peer.accessLevel,
+        isAdmin: peer.isAdmin,
+        allowLocalNetwork: peer.allowLocalNetwork,
+        allowInternet: peer.allowInternet,
+        allowedSubnets: peer.allowedSubnets,
+      },
+      // Rules only exist while the peer is on a running interface
+      enforced: peer.enabled && firewall.applied,
+      nat: server.enableRouting !== false && server.enableNAT !== false,
+      ipv6Mode: server.enableIPv6 ? server.ipv6Mode : null,
+      rules,
+    };
+  }
+
+  async getFirewallStatus(interfaceName) {
+    const preview = await this.previewFirewall(interfaceName);
+    const live = await this.firewall.status(interfaceName);
+    return { ...preview, applied: live.applied, live: live.rules };
   }
 
   // ==================== SYNC METHODS ====================
@@ -424,12 +865,12 @@ class DatabaseWireGuardService {
     console.log(`✅ Synced ${interfaces.length} interfaces to database`);
   }
 
-  async syncInterfaceToDatabase(interfaceName) {
-    const configPath = path.join(this.configPath, `${interfaceName}.conf`);
-
+  // With `prune`, enabled peers missing from the file are disabled so the
+  // database ends up describing exactly what the file does
+  async syncInterfaceToDatabase(interfaceName, { prune = false } = {}) {
     try {
-      const configContent = await fs.readFile(configPath, "utf8");
-      const config = this.parseConfig(configContent);
+      const configContent = await this.backend.readConfig(interfaceName);
+      const config = wgConfig.flatten(wgConfig.parse(configContent));
 
       if (!config.interface || !config.interface.PrivateKey) {
         throw new Error(`Invalid config for ${interfaceName}`);
@@ -440,14 +881,16 @@ class DatabaseWireGuardService {
 
       if (server) {
         // Update existing server
-        server.address = config.interface.Address || server.address;
+        Object.assign(server, ipam.prefixFields(config.interface.Address));
         server.listenPort =
           parseInt(config.interface.ListenPort) || server.listenPort;
         server.privateKey = config.interface.PrivateKey;
         server.publicKey = await this.getPublicKey(config.interface.PrivateKey);
         server.mtu = parseInt(config.interface.MTU) || server.mtu;
         server.dns = config.interface.DNS
-          ? config.interface.DNS.split(", ").filter((d) => d)
+          ? config.interface.DNS.split(",")
+              .map((d) => d.trim())
+              .filter((d) => d)
           : server.dns;
         server.status = isRunning ? "active" : "inactive";
         server.lastSync = new Date();
@@ -456,13 +899,16 @@ class DatabaseWireGuardService {
         server = new Server({
           name: interfaceName,
           interfaceName: interfaceName,
-          address: config.interface.Address || "10.0.0.1/24",
+          address: "10.0.0.1/24",
+          ...ipam.prefixFields(config.interface.Address),
           listenPort: parseInt(config.interface.ListenPort) || 51820,
           privateKey: config.interface.PrivateKey,
           publicKey: await this.getPublicKey(config.interface.PrivateKey),
           mtu: parseInt(config.interface.MTU) || 1420,
           dns: config.interface.DNS
-            ? config.interface.DNS.split(", ").filter((d) => d)
+            ? config.interface.DNS.split(",")
+                .map((d) => d.trim())
+                .filter((d) => d)
             : ["8.8.8.8", "8.8.4.4"],
           status: isRunning ? "active" : "inactive",
           configPath: this.configPath,
@@ -472,9 +918,9 @@ class DatabaseWireGuardService {
       await server.save();
 
       // Sync peers
-      if (config.peers && config.peers.length > 0) {
-        await this.syncPeersToDatabase(server, config.peers);
-      }
+      await this.syncPeersToDatabase(server, fromConfig(config).peers, {
+        prune,
+      });
 
       return server;
     } catch (error) {
@@ -487,108 +933,309 @@ class DatabaseWireGuardService {
     }
   }
 
-  async syncPeersToDatabase(server, peersConfig) {
-    for (const peerConfig of peersConfig) {
-      if (!peerConfig.PublicKey) continue;
+  // `peerStates` are normalized peers (see utils/stateDiff). Unknown peers
+  // are imported without a private key: only the client has it, and a
+  // made-up one would produce client configs that can never connect.
+  async syncPeersToDatabase(server, peerStates, { prune = false } = {}) {
+    let created = 0;
 
+    for (const state of peerStates) {
       let peer = await Peer.findOne({
-        publicKey: peerConfig.PublicKey,
+        publicKey: state.publicKey,
         server: server._id,
-      });
+      }).select("+presharedKey");
 
       if (!peer) {
-        // Generate private key for new peer
-        const privateKey = (await execAsync("wg genkey")).stdout.trim();
-
         peer = new Peer({
-          name: `Peer-${Date.now()}`,
+          name: `Peer-${state.publicKey.slice(0, 8)}`,
           server: server._id,
           serverId: server.serverId,
           interfaceName: server.interfaceName,
-          publicKey: peerConfig.PublicKey,
-          privateKey: privateKey,
-          allowedIPs: peerConfig.AllowedIPs
-            ? peerConfig.AllowedIPs.split(", ").filter((ip) => ip)
-            : ["0.0.0.0/0"],
-          persistentKeepalive: parseInt(peerConfig.PersistentKeepalive) || 25,
-          assignedIP:
-            this.extractIPFromAllowedIPs(peerConfig.AllowedIPs) ||
-            (await this.generateNextIP(server)),
+          publicKey: state.publicKey,
+          allowedIPs:
+            state.allowedIPs.length > 0 ? state.allowedIPs : ["0.0.0.0/0"],
+          persistentKeepalive: state.persistentKeepalive,
           status: "pending",
         });
+        peer.assignedIP = await this.assignImportedIP(
+          server,
+          peer._id,
+          state.allowedIPs
+        );
+        if (server.enableIPv6) {
+          peer.assignedIP6 = await this.assignImportedIP(
+            server,
+            peer._id,
+            state.allowedIPs,
+            6
+          );
+        }
+        created++;
       } else {
         // Update existing peer
-        peer.allowedIPs = peerConfig.AllowedIPs
-          ? peerConfig.AllowedIPs.split(", ").filter((ip) => ip)
-          : peer.allowedIPs;
-        peer.persistentKeepalive =
-          parseInt(peerConfig.PersistentKeepalive) || peer.persistentKeepalive;
+        if (state.allowedIPs.length > 0) {
+          peer.allowedIPs = state.allowedIPs;
+        }
+        peer.persistentKeepalive = state.persistentKeepalive;
+
+        if (!peer.enabled) {
+          peer.enabled = true;
+          peer.status = "pending";
+          peer.disabledReason = undefined;
+          peer.disabledAt = undefined;
+        }
+      }
+
+      // undefined: the source has a key but not its value (live state)
+      if (state.presharedKey !== undefined) {
+        peer.presharedKey = state.presharedKey || undefined;
       }
 
       await peer.save();
     }
+
+    if (created > 0) {
+      await Server.findByIdAndUpdate(server._id, {
+        $inc: { peerCount: created },
+      });
+    }
+
+    if (prune) {
+      await Peer.updateMany(
+        {
+          server: server._id,
+          enabled: true,
+          publicKey: { $nin: peerStates.map((state) => state.publicKey) },
+        },
+        {
+          enabled: false,
+          status: "disabled",
+          disabledReason: "manual",
+          disabledAt: new Date(),
+        }
+      );
+    }
+  }
+
+  // Takes port, MTU, address and peers from the running interface into the
+  // database. The interface private key is not in `wg show dump` output we
+  // keep, so a key mismatch has to be fixed from the database or the file
+  async importLiveState(interfaceName) {
+    const server = await Server.findOne({ interfaceName });
+    if (!server) {
+      throw new Error(`Server ${interfaceName} not found in database`);
+    }
+    if (!(await this.backend.isRunning(interfaceName))) {
+      throw new Error(`Interface ${interfaceName} is not running`);
+    }
+
+    const live = fromLive(
+      parseDump(await this.backend.showDump(interfaceName)),
+      await this.backend.getLink(interfaceName)
+    );
+
+    if (live.interface.publicKey !== server.publicKey) {
+      throw new Error(
+        "Live interface key differs from the database; reconcile from db or file"
+      );
+    }
+
+    server.listenPort = live.interface.listenPort;
+    server.mtu = live.interface.mtu;
+    Object.assign(server, ipam.prefixFields(live.interface.addresses));
+    server.lastSync = new Date();
+    await server.save();
+
+    await this.syncPeersToDatabase(server, live.peers, { prune: true });
+    await this.writeServerConfig(interfaceName);
+    await this.refreshFirewall(interfaceName);
+
+    return server;
+  }
+
+  // Fixes drift by making the other two sources match `source`:
+  //   db   - render the file and hot-apply it (see reconcile)
+  //   file - import the file into the database, then as db
+  //   live - import the running interface into the database, rewrite the file
+  async reconcileFrom(interfaceName, source) {
+    if (source === "file") {
+      const server = await this.syncInterfaceToDatabase(interfaceName, {
+        prune: true,
+      });
+      if (!server) {
+        throw new Error(`Config file for ${interfaceName} not found`);
+      }
+    } else if (source === "live") {
+      await this.importLiveState(interfaceName);
+      return { source, strategy: "none", steps: ["import"] };
+    } else if (source !== "db") {
+      throw new Error("Source must be one of db, file, live");
+    }
+
+    return { source, ...(await this.reconcile(interfaceName)) };
   }
 
   // ==================== MTU TESTING ====================
 
-  async testMTU(interfaceName, testConfig = {}) {
+  // The MTU values, pings per size and hosts a sweep would use, with the
+  // defaults filled in. Throws when the sweep is larger than the
+  // MTU_TEST_MAX_* limits allow; a benchmark transfer counts as the pings
+  // that would fit in the same time.
+  sweepPlan(testConfig = {}) {
+    const mtuValues = testConfig.mtuValues?.length
+      ? testConfig.mtuValues
+      : pmtu.mtuRange(
+          testConfig.min || pmtuProber.min,
+          testConfig.max || pmtuProber.max,
+          testConfig.step || pmtuProber.step
+        );
+    const count = testConfig.count || pmtuProber.attempts;
+    const hostNames = testConfig.hosts?.length
+      ? testConfig.hosts
+      : testConfig.testHost
+      ? [testConfig.testHost]
+      : pmtuProber.hosts();
+
+    if (mtuValues.length > pmtuProber.maxValues) {
+      throw new Error(
+        `A sweep can test at most ${pmtuProber.maxValues} MTU values (${mtuValues.length} requested)`
+      );
+    }
+    pmtuProber.assertHostCount(hostNames);
+    const perTransfer = testConfig.benchmark
+      ? Math.ceil(benchmark.durationMs / pmtuProber.interval)
+      : 0;
+    const probes = mtuValues.length * (hostNames.length * count + perTransfer);
+    if (probes > pmtuProber.maxProbes) {
+      throw new Error(
+        `A sweep can send at most ${pmtuProber.maxProbes} probes (${probes} requested); test fewer values or hosts`
+      );
+    }
+
+    return { mtuValues, count, hostNames };
+  }
+
+  // Sweeps MTU values (testConfig.mtuValues, or min to max in steps, by
+  // default from MTU_TEST_MIN/MAX/STEP) over several hosts (testConfig.hosts,
+  // by default MTU_TEST_HOSTS), with `count` pings (MTU_TEST_COUNT) per size
+  // per host. A value works when every host that answered during the sweep
+  // answered at it, and the best MTU is the best-scoring value that works,
+  // so it suits all hosts rather than the luckiest one.
+  //
+  // `signal` (an AbortSignal) stops the sweep after the value being tested;
+  // `onProgress` hears about each value before and after it is tested. The
+  // interface gets its original MTU back however the sweep ends.
+  async testMTU(interfaceName, testConfig = {}, { signal, onProgress } = {}) {
     const server = await Server.findOne({ interfaceName });
     if (!server) {
       throw new Error("Server not found");
     }
 
-    const mtuValues = testConfig.mtuValues || [
-      1280, 1300, 1320, 1340, 1360, 1380, 1400, 1420, 1440, 1460, 1480, 1500,
-    ];
+    const { mtuValues, count, hostNames } = this.sweepPlan(testConfig);
 
-    const testHost = testConfig.testHost || "8.8.8.8";
-    const results = [];
-    const originalMTU = server.mtu;
+    // Benchmark mode adds throughput to every MTU value
+    const benchmarkOptions = testConfig.benchmark
+      ? { protocol: testConfig.benchmarkProtocol }
+      : null;
+    if (benchmarkOptions) {
+      // Fails before the interface is touched
+      benchmark.target();
+    }
 
-    for (const mtu of mtuValues) {
+    // Names are looked up once, also before the interface is touched; a
+    // host that doesn't resolve is reported and left out
+    const hosts = [];
+    for (const host of hostNames) {
       try {
-        // Set temporary MTU
-        await this.setTemporaryMTU(interfaceName, mtu);
-
-        // Test connectivity
-        const testResult = await this.performMTUTest(
-          interfaceName,
-          mtu,
-          testHost
-        );
+        hosts.push({ host, ...(await pmtuProber.resolve(host)) });
+      } catch (error) {
+        hosts.push({ host, error: error.message });
+      }
+    }
+    const targets = hosts.filter((host) => !host.error);
+    if (!targets.length) {
+      throw new Error(
+        `No test host could be resolved: ${hosts
+          .map((host) => host.error)
+          .join("; ")}`
+      );
+    }
 
-        results.push({
-          mtu,
-          success: testResult.success,
-          latency: testResult.latency,
-          packetLoss: testResult.packetLoss,
-          score: this.calculateMTUScore(testResult),
-        });
+    const results = [];
+    const originalMTU = server.mtu;
 
-        await new Promise((resolve) => setTimeout(resolve, 500));
-      } catch (error) {
-        results.push({
-          mtu,
-          error: error.message,
-          success: false,
-          score: 0,
-        });
+    try {
+      for (const [index, mtu] of mtuValues.entries()) {
+        if (signal?.aborted) break;
+        onProgress?.({ mtu, index, total: mtuValues.length });
+
+        let result;
+        try {
+          // Set temporary MTU
+          await this.setTemporaryMTU(interfaceName, mtu);
+
+          // Test connectivity
+          const testResult = await this.performMTUTest(
+            interfaceName,
+            mtu,
+            targets,
+            { count, benchmark: benchmarkOptions }
+          );
+
+          result = {
+            mtu,
+            ...testResult,
+            score: this.calculateMTUScore(testResult),
+          };
+        } catch (error) {
+          result = {
+            mtu,
+            error: error.message,
+            success: false,
+            score: 0,
+          };
+        }
+
+        results.push(result);
+        onProgress?.({ mtu, index, total: mtuValues.length, result });
+      }
+    } finally {
+      // Restore original MTU
+      if (originalMTU) {
+        await this.setTemporaryMTU(interfaceName, originalMTU);
       }
     }
 
-    // Restore original MTU
-    if (originalMTU) {
-      await this.setTemporaryMTU(interfaceName, originalMTU);
+    const hostSummary = this.summarizeMTUHosts(hosts, results);
+
+    // A host that never answered may just drop pings; it says nothing
+    // about the MTU, so no value is failed for it
+    const required = hostSummary
+      .filter((host) => host.answered)
+      .map((host) => host.host);
+    if (required.length < targets.length) {
+      for (const result of results.filter((result) => result.hosts)) {
+        Object.assign(result, this.aggregateMTUHosts(result.hosts, required));
+        result.score = this.calculateMTUScore(result);
+      }
     }
 
-    // Find best MTU
-    const validResults = results.filter((r) => r.success);
-    const bestResult = validResults.sort((a, b) => b.score - a.score)[0];
+    // Best score first, the larger MTU on a tie
+    const validResults = results
+      .filter((r) => r.success)
+      .sort((a, b) => b.score - a.score || b.mtu - a.mtu);
+    const bestResult = validResults[0];
 
     return {
       interface: interfaceName,
       originalMTU,
       bestMTU: bestResult?.mtu || originalMTU,
+      // Largest value every host carried, regardless of score
+      maxCommonMTU: validResults.length
+        ? Math.max(...validResults.map((r) => r.mtu))
+        : null,
+      cancelled: !!signal?.aborted,
+      hosts: hostSummary,
       results,
       recommendation: this.generateMTURecommendation(
         validResults,
@@ -597,9 +1244,70 @@ class DatabaseWireGuardService {
     };
   }
 
+  // One MTU value over several hosts: it works when every `required` host
+  // answered. Latency is the mean of the hosts' medians; jitter and loss
+  // are means too.
+  aggregateMTUHosts(hostResults, required) {
+    const counted = hostResults.filter((host) => required.includes(host.host));
+    const answered = counted.filter((host) => host.success);
+    const mean = (hosts, key) =>
+      stats.round(
+        stats.mean(
+          hosts
+            .map((host) => host[key])
+            .filter((value) => typeof value === "number")
+        )
+      );
+
+    return {
+      success: answered.length > 0 && answered.length === counted.length,
+      hostsAnswered: answered.length,
+      latency: mean(answered, "median"),
+      jitter: mean(answered, "jitter"),
+      packetLoss: mean(counted, "packetLoss"),
+    };
+  }
+
+  // Each host over the whole sweep: the largest MTU it answered at, the
+  // ones it didn't, and latency percentiles over every reply
+  summarizeMTUHosts(hosts, results) {
+    return hosts.map(({ host, address, family, error }) => {
+      if (error) return { host, answered: false, error };
+
+      const tested = results
+        .map((result) => ({
+          mtu: result.mtu,
+          ...result.hosts?.find((entry) => entry.host === host),
+        }))
+        .filter((entry) => entry.host);
+      const working = tested.filter((entry) => entry.success);
+      const rtts = working.flatMap((entry) => entry.rtts || []);
+
+      return {
+        host,
+        address,
+        family,
+        answered: working.length > 0,
+        maxMTU: working.length
+          ? Math.max(...working.map((entry) => entry.mtu))
+          : null,
+        failedMTUs: tested
+          .filter((entry) => !entry.success)
+          .map((entry) => entry.mtu),
+        replies: rtts.length,
+        median: stats.round(stats.median(rtts)),
+        p90: stats.round(stats.percentile(rtts, 90)),
+        p95: stats.round(stats.percentile(rtts, 95)),
+        packetLoss: stats.round(
+          stats.mean(tested.map((entry) => entry.packetLoss))
+        ),
+      };
+    });
+  }
+
   async setTemporaryMTU(interfaceName, mtu) {
     try {
-      await execAsync(`sudo ip link set ${interfaceName} mtu ${mtu}`);
+      await this.backend.setMTU(interfaceName, mtu);
       await new Promise((resolve) => setTimeout(resolve, 100));
       return true;
     } catch (error) {
@@ -607,75 +1315,143 @@ class DatabaseWireGuardService {
     }
   }
 
-  async performMTUTest(interfaceName, mtu, testHost) {
-    const ping = require("ping");
-
-    const testSizes = [64, 512, mtu - 28];
-    const results = {
-      pings: [],
-      latencies: [],
-      packetLoss: 0,
-    };
-
-    for (const size of testSizes) {
+  // `count` don't-fragment pings of an `mtu`-byte packet to each resolved
+  // host through the interface, so they only get through if `mtu` really
+  // fits. Benchmark mode adds throughput to the benchmark target.
+  async performMTUTest(
+    interfaceName,
+    mtu,
+    hosts,
+    { count, benchmark: benchmarkOptions } = {}
+  ) {
+    const hostResults = [];
+
+    for (const target of hosts) {
       try {
-        const res = await ping.promise.probe(testHost, {
-          timeout: 2,
-          interface: interfaceName,
-          extra: ["-s", size.toString()],
+        const series = await pmtuProber.series(target, mtu, {
+          count,
+          device: interfaceName,
         });
-
-        results.pings.push({
-          size,
-          alive: res.alive,
-          time: res.time,
+        hostResults.push({
+          host: target.host,
+          success: series.received > 0,
+          latency: series.latency,
+          median: series.median,
+          p95: series.p95,
+          jitter: series.jitter,
+          packetLoss: series.packetLoss,
+          rtts: series.rtts,
         });
-
-        if (res.alive) {
-          results.latencies.push(res.time);
-        } else {
-          results.packetLoss++;
-        }
       } catch (error) {
-        results.pings.push({
-          size,
-          alive: false,
+        hostResults.push({
+          host: target.host,
+          success: false,
+          packetLoss: 100,
           error: error.message,
         });
-        results.packetLoss++;
       }
+    }
 
-      await new Promise((resolve) => setTimeout(resolve, 200));
+    const testResult = {
+      ...this.aggregateMTUHosts(
+        hostResults,
+        hosts.map((target) => target.host)
+      ),
+      hosts: hostResults,
+    };
+
+    if (benchmarkOptions && testResult.hostsAnswered) {
+      const transfer = await benchmark.transfer({
+        mtu,
+        protocol: benchmarkOptions.protocol,
+      });
+      testResult.throughput = transfer.throughput;
+      testResult.transfer = transfer;
+    }
+
+    return testResult;
+  }
+
+  // Path MTU from the server to each test host, found without touching the
+  // interface; the recommended MTU is the smallest tunnel MTU among them
+  async discoverPathMTU(interfaceName, options = {}) {
+    const server = await Server.findOne({ interfaceName });
+    if (!server) {
+      throw new Error("Server not found");
     }
 
-    const successfulPings = results.pings.filter((p) => p.alive).length;
+    const hosts = pmtuProber.assertHostCount(
+      options.hosts?.length ? options.hosts : pmtuProber.hosts()
+    );
+    const { results, pathMTU, tunnelMTU } = await pmtuProber.discoverAll(
+      hosts,
+      { min: options.min, max: options.max }
+    );
+
+    const warnings = [];
+    if (tunnelMTU && server.mtu > tunnelMTU) {
+      warnings.push(
+        `Current MTU ${server.mtu} is above the ${tunnelMTU} the path carries; larger packets will be fragmented or dropped`
+      );
+    }
+    if (tunnelMTU && server.enableIPv6 && tunnelMTU < 1280) {
+      warnings.push(
+        `IPv6 inside the tunnel needs an MTU of at least 1280, the path allows ${tunnelMTU}`
+      );
+    }
+    if (results.some((result) => result.blackhole)) {
+      warnings.push(
+        "Some hosts dropped oversized packets without an ICMP error, so clients cannot discover the path MTU themselves"
+      );
+    }
 
     return {
-      success: successfulPings > 0,
-      latency:
-        results.latencies.length > 0
-          ? results.latencies.reduce((a, b) => a + b, 0) /
-            results.latencies.length
-          : 0,
-      packetLoss: (results.packetLoss / testSizes.length) * 100,
-      successRate: (successfulPings / testSizes.length) * 100,
+      interface: interfaceName,
+      currentMTU: server.mtu,
+      pathMTU,
+      recommendedMTU: tunnelMTU,
+      hosts: results,
+      warnings,
+      recommendation: tunnelMTU
+        ? this.generateMTURecommendation(
+            [{ mtu: tunnelMTU, score: 100 }],
+            server.ispProfile
+          )
+        : null,
     };
   }
 
+  // 30 for getting through at all, up to 70 more from how latency, jitter
+  // and throughput rate, less the packet loss percentage. Jitter only
+  // counts when hosts answered more than once and throughput in benchmark
+  // mode; the weights of what was measured are scaled to fill the 70.
   calculateMTUScore(testResult) {
     if (!testResult.success) return 0;
 
-    let score = 50; // Base score for successful ping
+    const band = (value, limits) => {
+      const index = limits.findIndex((limit) => value < limit);
+      return index === -1 ? 0 : 1 - index / limits.length;
+    };
+
+    const ratings = [
+      // Lower latency is better
+      [30, band(testResult.latency, [50, 100, 200])],
+    ];
+    if (typeof testResult.jitter === "number") {
+      ratings.push([15, band(testResult.jitter, [5, 15, 30])]);
+    }
+    if (typeof testResult.throughput === "number") {
+      // Higher throughput is better (Mbit/s)
+      ratings.push([25, 1 - band(testResult.throughput, [1, 5, 20, 50, 100])]);
+    }
 
-    // Lower latency is better
-    if (testResult.latency < 50) score += 30;
-    else if (testResult.latency < 100) score += 20;
-    else if (testResult.latency < 200) score += 10;
+    const weight = ratings.reduce((sum, [w]) => sum + w, 0);
+    const rating = ratings.reduce((sum, [w, r]) => sum + w * r, 0) / weight;
 
     // Lower packet loss is better
-    score -= testResult.packetLoss;
+    const score = 30 + 70 * rating - testResult.packetLoss;
 
-    return Math.max(0, Math.min(100, score));
+    return Math.max(0, Math.min(100, Math.round(score)));
   }
 
   generateMTURecommendation(results, ispProfile) {
@@ -737,6 +1513,11 @@ class DatabaseWireGuardService {
       throw new Error("MTU profile not found");
     }
 
+    rollbackGuard.assertIdle(interfaceName);
+    const previous = this.profileSettings(server);
+    const baseline = await rollbackGuard.baseline((keys) =>
+      this.checkConnectivity(interfaceName, keys)
+    );
     const previousMTU = server.mtu;
 
     // Update server
@@ -754,27 +1535,33 @@ class DatabaseWireGuardService {
     await server.save();
 
     // Update WireGuard interface
-    await this.setTemporaryMTU(interfaceName, profile.mtu);
+    const reconciliation = await this.reconcile(interfaceName);
 
-    // Record application
+    // Record application; success is settled by the rollback guard
     profile.appliedTo.push({
       server: server._id,
       interfaceName: server.interfaceName,
       appliedAt: new Date(),
-      success: true,
+      success: baseline ? undefined : true,
       previousMTU: previousMTU,
     });
 
     await profile.save();
 
-    // Restart interface to apply changes
-    await this.restartInterface(interfaceName);
+    const guard = this.guardProfileChange(server, baseline, previous, {
+      label: `MTU profile "${profile.name}"`,
+      profileId: profile._id,
+      entryId: profile.appliedTo[profile.appliedTo.length - 1]._id,
+    });
 
     return {
       success: true,
       message: `Applied MTU profile "${profile.name}" to ${interfaceName}`,
       previousMTU,
       newMTU: profile.mtu,
+      strategy: reconciliation.strategy,
+      reconcile: reconciliation,
+      guard,
       server: server.toPublicJSON(),
       profile: {
         name: profile.name,
@@ -784,88 +1571,201 @@ class DatabaseWireGuardService {
     };
   }
 
-  // ==================== UTILITY METHODS ====================
+  // ==================== ROLLBACK GUARD ====================
 
-  async getPublicKey(privateKey) {
-    try {
-      const { stdout } = await execAsync(`echo "${privateKey}" | wg pubkey`);
-      return stdout.trim();
-    } catch (error) {
-      throw new Error(`Failed to generate public key: ${error.message}`);
+  // What a profile changes, to put back if it breaks connectivity
+  profileSettings(server) {
+    return {
+      mtu: server.mtu,
+      dns: [...server.dns],
+      persistentKeepalive: server.persistentKeepalive,
+      ispProfile: server.ispProfile,
+    };
+  }
+
+  async restoreProfileSettings(interfaceName, settings) {
+    const server = await Server.findOne({ interfaceName });
+    if (!server) {
+      throw new Error("Server not found");
     }
+
+    server.set(settings);
+    await server.save();
+    return this.reconcile(interfaceName);
   }
 
-  async isInterfaceRunning(interfaceName) {
+  // Enabled peers with a fresh handshake, the interface's transfer counters
+  // and which peers answer a don't-fragment ping as large as the MTU. Pings
+  // go to `publicKeys`, or to the first few fresh peers when not given.
+  async checkConnectivity(interfaceName, publicKeys, probeLimit = 10) {
+    const server = await Server.findOne({ interfaceName });
+    if (!server) {
+      throw new Error("Server not found");
+    }
+
+    const at = new Date();
+    let dump;
     try {
-      await execAsync(`wg show ${interfaceName}`);
-      return true;
+      dump = parseDump(await this.backend.showDump(interfaceName));
     } catch (error) {
-      return false;
+      // A down interface has no healthy peers
+      return { at, fresh: [], reachable: [], latency: null, bytes: 0 };
     }
-  }
 
-  parseConfig(configContent) {
-    const lines = configContent.split("\n");
-    const result = {
-      interface: {},
-      peers: [],
-    };
+    const peers = await Peer.find({ server: server._id, enabled: true })
+      .select("publicKey assignedIP")
+      .lean();
+    const addresses = new Map(
+      peers.map((peer) => [peer.publicKey, peer.assignedIP])
+    );
 
-    let currentSection = null;
-    let currentPeer = null;
+    const fresh = dump.peers
+      .filter(
+        (live) =>
+          addresses.has(live.publicKey) &&
+          Peer.isHandshakeFresh(live.latestHandshake, at)
+      )
+      .map((live) => live.publicKey);
+
+    const reachable = [];
+    const rtts = [];
+    for (const publicKey of publicKeys || fresh.slice(0, probeLimit)) {
+      const address = addresses.get(publicKey);
+      if (!address) continue;
+
+      const result = await pmtuProber
+        .probe(address, 4, server.mtu, { device: interfaceName })
+        .catch(() => null);
+      if (result?.result === "ok") {
+        reachable.push(publicKey);
+        rtts.push(result.rtt);
+      }
+    }
 
-    for (const line of lines) {
-      const trimmed = line.trim();
+    return {
+      at,
+      fresh,
+      reachable,
+      latency: rtts.length
+        ? rtts.reduce((a, b) => a + b, 0) / rtts.length
+        : null,
+      bytes: dump.peers.reduce(
+        (sum, live) => sum + live.received + live.sent,
+        0
+      ),
+    };
+  }
 
-      if (trimmed.startsWith("[") && trimmed.endsWith("]")) {
-        if (trimmed === "[Interface]") {
-          currentSection = "interface";
-        } else if (trimmed === "[Peer]") {
-          currentPeer = {};
-          result.peers.push(currentPeer);
-          currentSection = "peer";
-        }
-        continue;
-      }
+  // Hands a just-applied profile to the rollback guard; the outcome goes to
+  // the profile's appliedTo entry when there is one. Null when the guard is
+  // off.
+  guardProfileChange(
+    server,
+    baseline,
+    previous,
+    { label, profileId, entryId }
+  ) {
+    if (!baseline) return null;
+
+    const { interfaceName } = server;
+    return rollbackGuard.watch(interfaceName, {
+      server: server._id,
+      label,
+      baseline,
+      measure: (keys) => this.checkConnectivity(interfaceName, keys),
+      revert: () => this.restoreProfileSettings(interfaceName, previous),
+      record: (outcome) =>
+        profileId &&
+        MTUProfile.updateOne(
+          { _id: profileId, "appliedTo._id": entryId },
+          {
+            $set: Object.fromEntries(
+              Object.entries(outcome).map(([key, value]) => [
+                `appliedTo.$.${key}`,
+                value,
+              ])
+            ),
+          }
+        ),
+    });
+  }
 
-      if (trimmed && !trimmed.startsWith("#")) {
-        const [key, ...valueParts] = trimmed.split("=");
-        const value = valueParts.join("=").trim();
+  // ==================== UTILITY METHODS ====================
 
-        if (currentSection === "interface") {
-          result.interface[key.trim()] = value;
-        } else if (currentSection === "peer" && currentPeer) {
-          currentPeer[key.trim()] = value;
-        }
-      }
+  async getPublicKey(privateKey) {
+    try {
+      return keys.derivePublicKey(privateKey);
+    } catch (error) {
+      throw new Error(`Failed to generate public key: ${error.message}`);
     }
+  }
 
-    return result;
+  async isInterfaceRunning(interfaceName) {
+    return this.backend.isRunning(interfaceName);
   }
 
-  extractIPFromAllowedIPs(allowedIPs) {
-    if (!allowedIPs) return null;
+  // An imported peer keeps the tunnel address its AllowedIPs already route
+  // to it (a single host inside the pool) when that address is free;
+  // otherwise it gets the next one
+  async assignImportedIP(server, peerId, allowedIPs, version = 4) {
+    const pool = ipam.parsePool(
+      version === 6 ? server.address6 : server.address
+    );
+    const host = allowedIPs
+      .map(ipam.hostOf)
+      .find((ip) => ip && !ipam.checkAssignable(pool, ip));
+
+    if (host) {
+      try {
+        return await IPAllocation.claim(server, host, { peer: peerId });
+      } catch (error) {
+        console.warn(
+          `Imported peer on ${server.interfaceName} cannot keep ${host}:`,
+          error.message
+        );
+      }
+    }
 
-    const firstIP = allowedIPs.split(",")[0].trim();
-    const match = firstIP.match(/(\d+\.\d+\.\d+\.\d+)\/\d+/);
-    return match ? match[1] : null;
+    return IPAllocation.allocate(server, peerId, { version });
   }
 
-  async generateNextIP(server) {
+  // Gives every peer an address from the server's IPv6 pool once IPv6 is
+  // turned on (or address6 moves), and routes IPv6 through full-tunnel
+  // peers alongside IPv4. Addresses left outside the pool are released.
+  // Client configs are regenerated on their next download either way.
+  async updatePeerIPv6(server) {
+    if (!server.enableIPv6) {
+      await Peer.updateMany(
+        { server: server._id },
+        { $set: { configGenerated: false } }
+      );
+      return { assigned: 0 };
+    }
+
+    const pool = ipam.parsePool(server.address6);
     const peers = await Peer.find({ server: server._id });
-    const serverIP = server.address.split("/")[0];
-    const serverParts = serverIP.split(".").map(Number);
+    let assigned = 0;
 
-    for (let i = 2; i <= 254; i++) {
-      const candidateIP = `${serverParts[0]}.${serverParts[1]}.${serverParts[2]}.${i}`;
+    for (const peer of peers) {
+      const current = peer.assignedIP6 && ipam.parseAddress(peer.assignedIP6);
+      if (!current || !ipam.contains(pool, current.value)) {
+        if (peer.assignedIP6) {
+          await IPAllocation.release(server, peer.assignedIP6);
+        }
+        peer.assignedIP6 = await IPAllocation.allocate(server, peer._id, {
+          version: 6,
+        });
+        assigned++;
+      }
 
-      const isUsed = peers.some((peer) => peer.assignedIP === candidateIP);
-      if (!isUsed) {
-        return candidateIP;
+      if (peer.allowedIPs.includes("0.0.0.0/0")) {
+        peer.allowedIPs.addToSet("::/0");
       }
+      peer.configGenerated = false;
+      await peer.save();
     }
 
-    throw new Error("No available IP addresses in the subnet");
+    return { assigned };
   }
 
   // ==================== STATISTICS ====================
@@ -916,8 +1816,7 @@ class DatabaseWireGuardService {
       throw new Error("Server not found");
     }
 
-    const configPath = path.join(this.configPath, `${interfaceName}.conf`);
-    const configContent = await fs.readFile(configPath, "utf8");
+    const configContent = await this.backend.readConfig(interfaceName);
 
     const backup = {
       server: server.toPublicJSON(),
@@ -930,7 +1829,7 @@ class DatabaseWireGuardService {
     };
 
     // Create backup directory
-    const backupDir = path.join(this.configPath, "backups");
+    const backupDir = this.backupPath;
     await fs.mkdir(backupDir, { recursive: true });
 
     // Save backup
@@ -958,6 +1857,9 @@ class DatabaseWireGuardService {
 
     const { server: serverData, config: configContent } = backup;
 
+    // Refuse a file wg-quick would not load; errors carry line numbers
+    wgConfig.parse(configContent);
+
     // Check if interface already exists
     const existing = await Server.findOne({
       interfaceName: serverData.interfaceName,
@@ -975,12 +1877,7 @@ class DatabaseWireGuardService {
     await server.save();
 
     // Save config file
-    const configPath = path.join(
-      this.configPath,
-      `${server.interfaceName}.conf`
-    );
-    await fs.writeFile(configPath, configContent, "utf8");
-    await fs.chmod(configPath, 0o600);
+    await this.backend.writeConfig(server.interfaceName, configContent);
 
     // Restore peers
     if (backup.peers && Array.isArray(backup.peers)) {
@@ -1018,6 +1915,7 @@ class DatabaseWireGuardService {
         results.push({
           server: server.interfaceName,
           success: true,
+          strategy: result.strategy,
           result: result,
         });
       } catch (error) {
@@ -1048,6 +1946,12 @@ class DatabaseWireGuardService {
       throw new Error(`ISP profile ${ispProfile} not found`);
     }
 
+    rollbackGuard.assertIdle(interfaceName);
+    const previous = this.profileSettings(server);
+    const baseline = await rollbackGuard.baseline((keys) =>
+      this.checkConnectivity(interfaceName, keys)
+    );
+
     // Update server
     server.ispProfile = ispProfile;
     server.mtu = profile.mtu;
@@ -1056,60 +1960,39 @@ class DatabaseWireGuardService {
 
     await server.save();
 
-    // Update config file
-    const configPath = path.join(this.configPath, `${interfaceName}.conf`);
-    let configContent = await fs.readFile(configPath, "utf8");
-
-    // Update MTU in config
-    configContent = this.updateConfigValue(configContent, "MTU", profile.mtu);
+    // Update config file and the running interface
+    const reconciliation = await this.reconcile(interfaceName);
 
-    // Update DNS in config
-    if (profile.dns && profile.dns.length > 0) {
-      configContent = this.updateConfigValue(
-        configContent,
-        "DNS",
-        profile.dns.join(", ")
-      );
+    // The outcome is recorded on the ISP's default MTU profile, if it has one
+    const mtuProfile = await MTUProfile.getDefaultForISP(ispProfile);
+    if (mtuProfile) {
+      mtuProfile.appliedTo.push({
+        server: server._id,
+        interfaceName,
+        appliedAt: new Date(),
+        success: baseline ? undefined : true,
+        previousMTU: previous.mtu,
+      });
+      await mtuProfile.save();
     }
 
-    await fs.writeFile(configPath, configContent, "utf8");
-
-    // Restart interface
-    await this.restartInterface(interfaceName);
+    const guard = this.guardProfileChange(server, baseline, previous, {
+      label: `ISP profile ${ispProfile}`,
+      profileId: mtuProfile?._id,
+      entryId: mtuProfile?.appliedTo[mtuProfile.appliedTo.length - 1]._id,
+    });
 
     return {
       success: true,
       message: `Applied ${ispProfile} profile to ${interfaceName}`,
+      strategy: reconciliation.strategy,
+      reconcile: reconciliation,
+      guard,
       server: server.toPublicJSON(),
       profile: profile,
     };
   }
 
-  updateConfigValue(configContent, key, value) {
-    const lines = configContent.split("\n");
-    let found = false;
-
-    for (let i = 0; i < lines.length; i++) {
-      if (lines[i].startsWith(`${key} =`)) {
-        lines[i] = `${key} = ${value}`;
-        found = true;
-        break;
-      }
-    }
-
-    if (!found) {
-      // Add after [Interface] section
-      for (let i = 0; i < lines.length; i++) {
-        if (lines[i].trim() === "[Interface]") {
-          lines.splice(i + 1, 0, `${key} = ${value}`);
-          break;
-        }
-      }
-    }
-
-    return lines.join("\n");
-  }
-
   // ==================== HEALTH CHECK ====================
 
   async healthCheck() {
@@ -1131,7 +2014,8 @@ class DatabaseWireGuardService {
 
     // Check WireGuard installation
     try {
-      await execAsync("wg --version");
+      health.version = await this.backend.version();
+      health.backend = this.backend.name;
       health.wireguard = true;
     } catch (error) {
       health.wireguard = false;
@@ -1158,13 +2042,7 @@ class DatabaseWireGuardService {
   }
 
   async configExists(interfaceName) {
-    try {
-      const configPath = path.join(this.configPath, `${interfaceName}.conf`);
-      await fs.access(configPath);
-      return true;
-    } catch {
-      return false;
-    }
+    return this.backend.configExists(interfaceName);
   }
 
   calculateHealthScore(health) {
@@ -1183,10 +2061,138 @@ class DatabaseWireGuardService {
   }
 }
 
-// Create singleton instance
+// ==================== AUDIT ====================
+
+const byInterface = ([interfaceName]) => ({ interfaceName });
+const byPeerId = ([peerId]) => ({ _id: peerId });
+
+// Every lifecycle method lands in the audit log with the acting user (or
+// "system" when a scheduler or startup sync calls it)
+audit.instrument(DatabaseWireGuardService.prototype, {
+  createInterface: {
+    action: "server.create",
+    type: "Server",
+    find: ([serverData]) => ({ interfaceName: serverData.interfaceName }),
+  },
+  deleteInterface: {
+    action: "server.delete",
+    type: "Server",
+    find: byInterface,
+  },
+  startInterface: {
+    action: "server.start",
+    type: "Server",
+    find: byInterface,
+  },
+  stopInterface: { action: "server.stop", type: "Server", find: byInterface },
+  restartInterface: {
+    action: "server.restart",
+    type: "Server",
+    find: byInterface,
+  },
+  syncInterfaceToDatabase: {
+    action: "server.sync",
+    type: "Server",
+    find: byInterface,
+  },
+  syncAllToDatabase: { action: "system.sync", type: "System" },
+  reconcileFrom: {
+    action: "server.reconcile",
+    type: "Server",
+    find: byInterface,
+    details: ([, source], result) => ({ source, strategy: result?.strategy }),
+  },
+  addPeer: {
+    action: "peer.create",
+    type: "Peer",
+    find: (args, result) => result && { peerId: result.peer.peerId },
+  },
+  removePeer: { action: "peer.delete", type: "Peer", find: byPeerId },
+  enablePeer: { action: "peer.enable", type: "Peer", find: byPeerId },
+  disablePeer: {
+    action: "peer.disable",
+    type: "Peer",
+    find: byPeerId,
+    details: ([, reason = "manual"]) => ({ reason }),
+  },
+  expirePeer: { action: "peer.expire", type: "Peer", find: byPeerId },
+  renewPeer: {
+    action: "peer.renew",
+    type: "Peer",
+    find: byPeerId,
+    details: ([, expiresAt]) => ({ expiresAt }),
+  },
+  testMTU: {
+    action: "mtu.test",
+    type: "Server",
+    find: byInterface,
+    details: ([, testConfig = {}], result) => ({
+      mtuValues: testConfig.mtuValues,
+      hosts: result?.hosts.map((host) => host.host) || testConfig.hosts,
+      count: testConfig.count,
+      benchmark: !!testConfig.benchmark,
+      bestMTU: result?.bestMTU,
+      maxCommonMTU: result?.maxCommonMTU,
+      cancelled: result?.cancelled,
+    }),
+  },
+  discoverPathMTU: {
+    action: "mtu.discover",
+    type: "Server",
+    find: byInterface,
+    details: ([, options = {}], result) => ({
+      hosts: result?.hosts.map((host) => host.host) || options.hosts,
+      pathMTU: result?.pathMTU,
+      recommendedMTU: result?.recommendedMTU,
+    }),
+  },
+  applyMTUProfile: {
+    action: "mtu.apply-profile",
+    type: "Server",
+    find: byInterface,
+    details: ([, profileName], result) => ({
+      profile: profileName,
+      strategy: result?.strategy,
+    }),
+  },
+  applyISPProfile: {
+    action: "mtu.apply-isp",
+    type: "Server",
+    find: byInterface,
+    details: ([, ispProfile], result) => ({
+      ispProfile,
+      strategy: result?.strategy,
+    }),
+  },
+  bulkApplyISPProfile: {
+    action: "bulk.apply-isp",
+    type: "System",
+    details: ([ispProfile], result) => ({
+      ispProfile,
+      total: result?.total,
+      successful: result?.successful,
+      failed: result?.failed,
+    }),
+  },
+  backupConfig: {
+    action: "backup.create",
+    type: "Server",
+    find: byInterface,
+    details: (args, result) => ({ backupFile: result?.backupFile }),
+  },
+  restoreConfig: {
+    action: "backup.restore",
+    type: "Server",
+    find: (args, result) =>
+      result && { interfaceName: result.server.interfaceName },
+    details: ([backupFile], result) => ({
+      backupFile,
+      peersRestored: result?.peersRestored,
+    }),
+  },
+});
+
+// Create singleton instance; server/index.js initializes it on startup
 const wireguardService = new DatabaseWireGuardService();
 
-// Initialize on module load
-wireguardService.initialize().catch(console.error);
-
 module.exports = wireguardService;
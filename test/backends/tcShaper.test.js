@@ -0,0 +1,115 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const TcShaper = require("../../server/backends/shaper/tcShaper");
+
+// Records commands; `tc -j ... show` answers from `shown[dev]`
+function recorder(shown = {}) {
+  const commands = [];
+  const run = async (command, args) => {
+    commands.push([command, ...args].join(" "));
+    if (args[0] === "-j") {
+      const dev = args[args.indexOf("dev") + 1];
+      const kind = args.includes("class") ? "classes" : "filters";
+      return { stdout: JSON.stringify(shown[dev]?.[kind] || []) };
+    }
+    return { stdout: "" };
+  };
+  return { run, commands };
+}
+
+const filters = (commands) =>
+  commands.filter((line) => line.startsWith("tc filter replace"));
+
+test("allocates distinct classes for addresses that share low octets", async () => {
+  const { run, commands } = recorder();
+  const shaper = new TcShaper({ run });
+
+  await shaper.setPeer("wg0", { ip: "10.8.1.5", download: 1000, upload: 0 });
+  await shaper.setPeer("wg0", { ip: "10.9.1.5", download: 2000, upload: 0 });
+  await shaper.setPeer("wg0", { ip: "10.8.1.5", download: 3000, upload: 0 });
+
+  const classes = commands
+    .filter((line) => line.startsWith("tc class replace dev wg0"))
+    .map((line) => line.match(/classid (\S+)/)[1]);
+  assert.deepEqual(classes, ["1:2", "1:3", "1:2"]);
+});
+
+test("adds an ipv6 filter on its own priority for dual-stack peers", async () => {
+  const { run, commands } = recorder();
+  const shaper = new TcShaper({ run });
+
+  await shaper.setPeer("wg0", {
+    ip: "10.8.0.2",
+    ip6: "fd42::2",
+    download: 1000,
+    upload: 500,
+  });
+
+  assert.deepEqual(filters(commands), [
+    "tc filter replace dev wg0 parent 1: protocol ip prio 10 handle 2 flower dst_ip 10.8.0.2 classid 1:2",
+    "tc filter replace dev wg0 parent 1: protocol ipv6 prio 11 handle 2 flower dst_ip fd42::2 classid 1:2",
+    "tc filter replace dev ifbwg0 parent 1: protocol ip prio 10 handle 2 flower src_ip 10.8.0.2 classid 1:2",
+    "tc filter replace dev ifbwg0 parent 1: protocol ipv6 prio 11 handle 2 flower src_ip fd42::2 classid 1:2",
+  ]);
+});
+
+test("reuses classes already applied in the kernel", async () => {
+  const { run, commands } = recorder({
+    wg0: {
+      classes: [{ class: "htb", handle: "1:2", rate: 125000 }],
+      filters: [
+        {
+          kind: "flower",
+          options: { keys: { dst_ip: "10.8.0.7" }, classid: "1:2" },
+        },
+        {
+          kind: "flower",
+          options: { keys: { dst_ip: "fd42::7" }, classid: "1:2" },
+        },
+      ],
+    },
+  });
+  const shaper = new TcShaper({ run });
+
+  await shaper.setPeer("wg0", { ip: "10.8.0.9", download: 1000, upload: 0 });
+  await shaper.removePeer("wg0", "10.8.0.7");
+
+  assert.ok(
+    commands.includes(
+      "tc class replace dev wg0 parent 1: classid 1:3 htb rate 1000kbit ceil 1000kbit"
+    )
+  );
+  assert.ok(commands.includes("tc class del dev wg0 classid 1:2"));
+
+  const { peers } = await shaper.status("wg0");
+  assert.equal(peers[0].ip6, "fd42::7");
+  assert.equal(peers[0].download, 1000);
+});
+
+test("releases the class once both directions are unlimited", async () => {
+  const { run } = recorder();
+  const shaper = new TcShaper({ run });
+
+  await shaper.setPeer("wg0", { ip: "10.8.0.2", download: 1000, upload: 0 });
+  await shaper.setPeer("wg0", { ip: "10.8.0.2", download: 0, upload: 0 });
+
+  assert.equal((await shaper._classes("wg0")).size, 0);
+});
+
+test("rejects invalid peer addresses", async () => {
+  const shaper = new TcShaper({ run: recorder().run });
+
+  await assert.rejects(
+    shaper.setPeer("wg0", { ip: "fd42::2", download: 1, upload: 1 }),
+    /Invalid peer address/
+  );
+  await assert.rejects(
+    shaper.setPeer("wg0", { ip: "10.8.0.2", ip6: "nope", download: 1 }),
+    /Invalid peer IPv6/
+  );
+});
+
+test("hands out the lowest free class minor", () => {
+  assert.equal(TcShaper.nextClassMinor([]), 2);
+  assert.equal(TcShaper.nextClassMinor([2, 3, 5]), 4);
+});
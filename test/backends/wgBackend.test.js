@@ -0,0 +1,41 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const WgBackend = require("../../server/backends/wireguard/wgBackend");
+
+test("serializes concurrent config writes to one interface", async (t) => {
+  const configPath = await fs.mkdtemp(path.join(os.tmpdir(), "wg-config-"));
+  t.after(() => fs.rm(configPath, { recursive: true, force: true }));
+  const backend = new WgBackend({ configPath });
+
+  await Promise.all(
+    Array.from({ length: 10 }, (_, i) =>
+      backend.writeConfig("wg0", `# version ${i}\n`)
+    )
+  );
+
+  assert.equal(await backend.readConfig("wg0"), "# version 9\n");
+  assert.equal(
+    await fs.readFile(path.join(configPath, "wg0.conf.bak"), "utf8"),
+    "# version 8\n"
+  );
+  assert.deepEqual((await fs.readdir(configPath)).sort(), [
+    "wg0.conf",
+    "wg0.conf.bak",
+  ]);
+  assert.equal(backend.writes.size, 0);
+});
+
+test("a failed write doesn't block the next one", async (t) => {
+  const configPath = await fs.mkdtemp(path.join(os.tmpdir(), "wg-config-"));
+  t.after(() => fs.rm(configPath, { recursive: true, force: true }));
+  const backend = new WgBackend({ configPath: path.join(configPath, "none") });
+
+  await assert.rejects(backend.writeConfig("wg0", "a"), { code: "ENOENT" });
+  backend.configPath = configPath;
+  await backend.writeConfig("wg0", "b");
+
+  assert.equal(await backend.readConfig("wg0"), "b");
+});
@@ -0,0 +1,25 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const AuditLog = require("../../server/models/AuditLog");
+
+test("matches an action prefix literally", () => {
+  const { action } = AuditLog.buildQuery({ action: "peer." });
+  assert.deepEqual(action, { $regex: "^peer\\." });
+  assert.ok(new RegExp(action.$regex).test("peer.create"));
+  assert.ok(!new RegExp(action.$regex).test("peerXcreate"));
+});
+
+test("escapes every regex metacharacter in the prefix", () => {
+  const { action } = AuditLog.buildQuery({ action: ".*|(a+)[b]{2}?^$\\." });
+  const pattern = new RegExp(action.$regex);
+
+  assert.ok(pattern.test(".*|(a+)[b]{2}?^$\\.anything"));
+  assert.ok(!pattern.test("peer.create"));
+});
+
+test("matches other actions exactly", () => {
+  assert.equal(
+    AuditLog.buildQuery({ action: "peer.create" }).action,
+    "peer.create"
+  );
+});
@@ -0,0 +1,71 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const dgram = require("dgram");
+const net = require("net");
+const benchmark = require("../../server/services/benchmark");
+
+const freePort = () =>
+  new Promise((resolve) => {
+    const server = net.createServer().listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+
+let endpoint;
+
+test.before(async () => {
+  delete process.env.BENCHMARK_RESPONDER_HOST;
+  endpoint = await benchmark.startResponder(await freePort());
+});
+
+test.after(() => benchmark.stopResponder());
+
+test("listens on loopback by default", () => {
+  assert.equal(endpoint.host, "127.0.0.1");
+});
+
+test("takes the target from BENCHMARK_TARGET only", () => {
+  process.env.BENCHMARK_TARGET = "10.8.0.2:5201";
+  assert.deepEqual(benchmark.target("169.254.169.254:80"), {
+    host: "10.8.0.2",
+    port: 5201,
+  });
+
+  delete process.env.BENCHMARK_TARGET;
+  assert.throws(() => benchmark.target(), /BENCHMARK_TARGET/);
+});
+
+test("counts TCP bytes", async () => {
+  const result = await benchmark.measureTCP(endpoint, { duration: 100 });
+
+  assert.equal(result.protocol, "tcp");
+  assert.equal(result.bytes, result.sent);
+});
+
+test("answers DONE for UDP sessions that sent data", async () => {
+  const result = await benchmark.measureUDP(endpoint, {
+    size: 200,
+    duration: 100,
+    rate: 1,
+  });
+
+  assert.equal(result.protocol, "udp");
+  assert.equal(result.received, result.sent);
+});
+
+test("ignores DONE for UDP sessions that sent nothing", async () => {
+  const socket = dgram.createSocket("udp4");
+  const replies = [];
+  socket.on("message", (message) => replies.push(message));
+
+  const done = Buffer.alloc(12);
+  Buffer.from("WGBM").copy(done, 0);
+  done.writeUInt32BE(42, 4);
+  done.writeUInt32BE(0xffffffff, 8);
+  socket.send(done, endpoint.port, endpoint.host);
+
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  socket.close();
+  assert.deepEqual(replies, []);
+});
@@ -0,0 +1,16 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const pmtuProber = require("../../server/services/pmtuProber");
+
+test("limits the number of hosts one test may ping", () => {
+  const hosts = Array.from(
+    { length: pmtuProber.maxHosts },
+    (_, i) => `10.0.0.${i + 1}`
+  );
+
+  assert.equal(pmtuProber.assertHostCount(hosts), hosts);
+  assert.throws(
+    () => pmtuProber.assertHostCount([...hosts, "10.0.1.1"]),
+    /at most \d+ hosts/
+  );
+});
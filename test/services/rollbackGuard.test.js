@@ -0,0 +1,95 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const audit = require("../../server/services/audit");
+const guard = require("../../server/services/rollbackGuard");
+
+const RollbackGuard = guard.constructor;
+
+const baseline = {
+  at: new Date(),
+  fresh: ["a", "b"],
+  reachable: ["a"],
+  latency: 10,
+  bytes: 0,
+  rate: null,
+};
+
+// A guard with a short window whose measurements wait until released
+function setup(t) {
+  const actions = [];
+  t.mock.method(audit, "record", async ({ action }) => actions.push(action));
+
+  const instance = new RollbackGuard();
+  instance.windowMs = 0;
+  instance.pollMs = 1;
+
+  let release;
+  const measured = new Promise((resolve) => (release = resolve));
+  const calls = { measure: 0, revert: 0, record: 0 };
+  const options = {
+    server: "server-id",
+    label: "test profile",
+    baseline,
+    measure: async () => {
+      calls.measure++;
+      await measured;
+      return { ...baseline, at: new Date(), fresh: [], reachable: [] };
+    },
+    revert: async () => calls.revert++,
+    record: async () => calls.record++,
+  };
+
+  return { instance, options, calls, actions, release };
+}
+
+const waitFor = async (check) => {
+  while (!check()) await new Promise((resolve) => setTimeout(resolve, 1));
+};
+
+test("a confirm during the final sample settles the watch once", async (t) => {
+  const { instance, options, calls, actions, release } = setup(t);
+
+  instance.watch("wg0", options);
+  await waitFor(() => calls.measure === 1);
+
+  const outcome = await instance.confirm("wg0");
+  release();
+  await new Promise((resolve) => setTimeout(resolve, 10));
+
+  assert.equal(outcome.status, "confirmed");
+  assert.equal(instance.status("wg0").status, "confirmed");
+  assert.equal(calls.revert, 0);
+  assert.equal(calls.record, 1);
+  assert.deepEqual(actions, ["mtu.apply-confirm"]);
+});
+
+test("settling the same watch twice does nothing the second time", async (t) => {
+  const { instance, options, calls, actions } = setup(t);
+  instance.pollMs = 60000;
+
+  instance.watch("wg0", options);
+  const watch = instance.watches.get("wg0");
+  const [first, second] = await Promise.all([
+    instance._finish(watch, false, "first"),
+    instance._finish(watch, true, "second"),
+  ]);
+
+  assert.equal(first.status, "rolled-back");
+  assert.equal(second, null);
+  assert.equal(calls.revert, 1);
+  assert.equal(calls.record, 1);
+  assert.deepEqual(actions, ["mtu.rollback"]);
+});
+
+test("rolls back when too few peers stay healthy", async (t) => {
+  const { instance, options, calls, release } = setup(t);
+  release();
+
+  instance.watch("wg0", options);
+  await waitFor(() => !instance.isWatching("wg0"));
+  await waitFor(() => calls.record === 1);
+
+  assert.equal(calls.revert, 1);
+  assert.equal(instance.status("wg0").status, "rolled-back");
+  assert.equal(instance.status("wg0").healthyAfter, 0);
+});
@@ -0,0 +1,85 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const wgConfig = require("../../server/utils/wgConfig");
+const {
+  renderServerConfig,
+  formatEndpoint,
+} = require("../../server/utils/configRenderer");
+const keys = require("../../server/utils/keys");
+
+const server = {
+  interfaceName: "wg0",
+  address: "10.8.0.1/24",
+  address6: "fd42::1/64",
+  enableIPv6: true,
+  listenPort: 51820,
+  privateKey: keys.generatePrivateKey(),
+  mtu: 1420,
+};
+
+const peer = {
+  name: "laptop",
+  publicKey: keys.generateKeyPair().publicKey,
+  presharedKey: keys.generatePresharedKey(),
+  allowedIPs: ["10.8.0.2/32", "fd42::2/128"],
+  endpoint: { host: "2001:db8::5", port: 40000 },
+  persistentKeepalive: 25,
+};
+
+test("brackets IPv6 endpoints", () => {
+  assert.equal(
+    formatEndpoint({ host: "2001:db8::5", port: 1 }),
+    "[2001:db8::5]:1"
+  );
+  assert.equal(
+    formatEndpoint({ host: "203.0.113.1", port: 1 }),
+    "203.0.113.1:1"
+  );
+  assert.equal(formatEndpoint({ host: "203.0.113.1" }), null);
+});
+
+test("renders a config wg-quick and the parser accept", () => {
+  const text = renderServerConfig(server, [peer]);
+  const { interface: iface, peers } = wgConfig.flatten(wgConfig.parse(text));
+
+  assert.ok(text.startsWith("# Managed by WireGuard Dashboard"));
+  assert.ok(text.endsWith("\n"));
+  assert.equal(iface.Address, "10.8.0.1/24, fd42::1/64");
+  assert.equal(iface.ListenPort, "51820");
+  assert.equal(iface.MTU, "1420");
+  assert.equal(iface.DNS, undefined);
+  assert.equal(peers.length, 1);
+  assert.equal(peers[0].PublicKey, peer.publicKey);
+  assert.equal(peers[0].AllowedIPs, "10.8.0.2/32, fd42::2/128");
+  assert.equal(peers[0].Endpoint, "[2001:db8::5]:40000");
+  assert.equal(peers[0].PersistentKeepalive, "25");
+  assert.match(text, /# laptop\n\[Peer\]/);
+});
+
+test("leaves optional keys out", () => {
+  const text = renderServerConfig({ ...server, mtu: null }, [
+    { publicKey: peer.publicKey, allowedIPs: ["10.8.0.3/32"] },
+  ]);
+
+  assert.doesNotMatch(text, /MTU|PresharedKey|Endpoint|PersistentKeepalive/);
+});
+
+test("refuses a server without its private key", () => {
+  assert.throws(
+    () => renderServerConfig({ ...server, privateKey: undefined }),
+    /private key not loaded/
+  );
+});
+
+test("refuses endpoints that would inject config lines", () => {
+  assert.throws(
+    () =>
+      renderServerConfig(server, [
+        {
+          ...peer,
+          endpoint: { host: "1.2.3.4\nPostUp = touch /tmp/pwned\n#", port: 1 },
+        },
+      ]),
+    /line breaks/
+  );
+});
@@ -0,0 +1,30 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { escapeField, toCSVRow } = require("../../server/utils/csv");
+
+test("quotes fields with commas, quotes or newlines", () => {
+  assert.equal(escapeField("plain"), "plain");
+  assert.equal(escapeField("a,b"), '"a,b"');
+  assert.equal(escapeField('say "hi"'), '"say ""hi"""');
+  assert.equal(escapeField("two\nlines"), '"two\nlines"');
+});
+
+test("neutralises spreadsheet formulas", () => {
+  assert.equal(escapeField("=SUM(A1)"), "'=SUM(A1)");
+  assert.equal(escapeField("-1"), "'-1");
+  assert.equal(escapeField("@cmd"), "'@cmd");
+});
+
+test("writes dates, objects and empty values", () => {
+  assert.equal(escapeField(null), "");
+  assert.equal(escapeField(undefined), "");
+  assert.equal(
+    escapeField(new Date("2024-01-02T03:04:05Z")),
+    "2024-01-02T03:04:05.000Z"
+  );
+  assert.equal(escapeField({ a: 1 }), '"{""a"":1}"');
+});
+
+test("joins a row with CRLF", () => {
+  assert.equal(toCSVRow(["a", 1, "b,c"]), 'a,1,"b,c"\r\n');
+});
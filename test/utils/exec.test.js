@@ -0,0 +1,41 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { run } = require("../../server/utils/exec");
+
+test("passes arguments without a shell and input on stdin", async () => {
+  const { stdout } = await run(
+    process.execPath,
+    [
+      "-e",
+      "process.stdin.pipe(process.stdout); console.log(process.argv[1]);",
+      "$(echo injected)",
+    ],
+    { input: "secret\n" }
+  );
+
+  assert.match(stdout, /\$\(echo injected\)/);
+  assert.match(stdout, /secret/);
+});
+
+test("rejects with the exit code and output on failure", async () => {
+  await assert.rejects(
+    run(process.execPath, ["-e", "console.log('out'); process.exit(3)"]),
+    (error) => error.code === 3 && error.stdout === "out\n"
+  );
+});
+
+test("kills commands that run past the timeout", async () => {
+  await assert.rejects(
+    run(process.execPath, ["-e", "setTimeout(() => {}, 10000)"], {
+      timeout: 200,
+    }),
+    /timed out after 200ms/
+  );
+});
+
+test("reports a missing binary with its error code", async () => {
+  await assert.rejects(
+    run("definitely-not-a-real-binary"),
+    (error) => error.code === "ENOENT"
+  );
+});
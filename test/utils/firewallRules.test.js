@@ -0,0 +1,150 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const rules = require("../../server/utils/firewallRules");
+const { compilePeerPolicy } = require("../../server/utils/peerPolicy");
+
+const server = {
+  interfaceName: "wg0",
+  address: "10.8.0.1/24",
+  blockedIPs: ["203.0.113.0/24", "not-a-cidr"],
+};
+
+test("names tables and chains per interface", () => {
+  assert.equal(rules.tableName("wg0"), "wgdash_wg0");
+  assert.equal(rules.chainName("wg1", "-NAT"), "WGDASH-wg1-NAT");
+  assert.throws(() => rules.tableName("eth0"));
+});
+
+test("builds a spec with NAT and the valid blocklist", () => {
+  const spec = rules.buildFirewallSpec(server);
+
+  assert.equal(spec.subnet, "10.8.0.0/24");
+  assert.equal(spec.subnet6, null);
+  assert.equal(spec.routing, true);
+  assert.equal(spec.nat, true);
+  assert.equal(spec.nat6, false);
+  assert.deepEqual(spec.blocked, ["203.0.113.0/24"]);
+  assert.deepEqual(rules.sysctls(spec), [["net.ipv4.ip_forward", "1"]]);
+});
+
+test("uses NAT66 on dual-stack servers unless the prefix is routed", () => {
+  const dual = { ...server, enableIPv6: true, address6: "fd42::1/64" };
+
+  assert.equal(rules.buildFirewallSpec(dual).nat6, true);
+  assert.equal(rules.buildFirewallSpec(dual).subnet6, "fd42::/64");
+  assert.equal(
+    rules.buildFirewallSpec({ ...dual, ipv6Mode: "routed" }).nat6,
+    false
+  );
+});
+
+test("renders an nft script that replaces the table", () => {
+  const script = rules.renderNftables(rules.buildFirewallSpec(server));
+
+  assert.ok(
+    script.startsWith(
+      "table inet wgdash_wg0\ndelete table inet wgdash_wg0\ntable inet wgdash_wg0 {"
+    )
+  );
+  assert.match(script, /iifname "wg0" ip daddr \{ 203\.0\.113\.0\/24 \} drop/);
+  assert.match(script, /iifname "wg0" accept/);
+  assert.match(script, /ip saddr 10\.8\.0\.0\/24 oifname != "wg0" masquerade/);
+});
+
+test("limits destinations to allowedIPs per family", () => {
+  const script = rules.renderNftables(
+    rules.buildFirewallSpec({
+      ...server,
+      enableIPv6: true,
+      address6: "fd42::1/64",
+      allowedIPs: ["192.168.1.0/24"],
+    })
+  );
+
+  assert.match(script, /ip daddr != \{ 192\.168\.1\.0\/24 \} drop/);
+  // No IPv6 destinations allowed at all
+  assert.match(script, /iifname "wg0" meta nfproto ipv6 drop/);
+});
+
+test("drops tunnel traffic when routing is off", () => {
+  const spec = rules.buildFirewallSpec({ ...server, enableRouting: false });
+  const script = rules.renderNftables(spec);
+
+  assert.equal(spec.nat, false);
+  assert.match(script, /iifname "wg0" drop/);
+  assert.doesNotMatch(script, /masquerade/);
+  assert.deepEqual(rules.sysctls(spec), []);
+});
+
+test("renders iptables chains for both families", () => {
+  const chains = rules.renderIptables(rules.buildFirewallSpec(server));
+  const byName = (family, chain) =>
+    chains.find((c) => c.family === family && c.chain === chain);
+
+  const forward = byName(4, "WGDASH-wg0");
+  assert.equal(forward.hook, "FORWARD");
+  assert.deepEqual(forward.rules[0], [
+    "-i",
+    "wg0",
+    "-d",
+    "203.0.113.0/24",
+    "-j",
+    "DROP",
+  ]);
+  assert.deepEqual(byName(4, "WGDASH-wg0-NAT").rules, [
+    ["-s", "10.8.0.0/24", "!", "-o", "wg0", "-j", "MASQUERADE"],
+  ]);
+  // Single-stack: IPv6 chains exist but are empty
+  assert.deepEqual(byName(6, "WGDASH-wg0").rules, []);
+});
+
+test("applies peer policies to the host's own non-tunnel addresses", () => {
+  const dual = { ...server, enableIPv6: true, address6: "fd42::1/64" };
+  const policy = compilePeerPolicy(
+    {
+      accessLevel: "restricted",
+      assignedIP: "10.8.0.2",
+      assignedIP6: "fd42::2",
+    },
+    dual
+  );
+  // Routing off: nothing is forwarded, but the host is still guarded
+  const spec = rules.buildFirewallSpec({ ...dual, enableRouting: false }, [
+    policy,
+  ]);
+
+  assert.deepEqual(spec.local, ["10.8.0.1/32", "fd42::1/128"]);
+
+  const script = rules.renderNftables(spec);
+  assert.match(script, /type filter hook input priority 0/);
+  assert.match(
+    script,
+    /iifname "wg0" ip daddr != \{ 10\.8\.0\.1\/32 \} jump peers/
+  );
+  assert.match(
+    script,
+    /iifname "wg0" ip6 daddr != \{ fd42::1\/128 \} jump peers/
+  );
+  assert.match(script, /ip saddr 10\.8\.0\.2 drop/);
+
+  const input = rules
+    .renderIptables(spec)
+    .find((chain) => chain.family === 4 && chain.hook === "INPUT");
+  assert.equal(input.chain, "WGDASH-wg0-INPUT");
+  assert.deepEqual(input.rules.slice(1), [
+    ["-i", "wg0", "-d", "10.8.0.1/32", "-j", "ACCEPT"],
+    ["-i", "wg0", "-j", "WGDASH-wg0-PEERS"],
+  ]);
+});
+
+test("adds no input rules without restricted peers", () => {
+  const spec = rules.buildFirewallSpec(server);
+
+  assert.doesNotMatch(rules.renderNftables(spec), /hook input/);
+  assert.ok(
+    rules
+      .renderIptables(spec)
+      .filter((chain) => chain.hook === "INPUT")
+      .every((chain) => chain.rules.length === 0)
+  );
+});
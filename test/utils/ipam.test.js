@@ -0,0 +1,122 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const ipam = require("../../server/utils/ipam");
+
+test("normalizes IPv6 to RFC 5952 form", () => {
+  assert.equal(ipam.normalizeAddress("FD42:0000:0:0::0001"), "fd42::1");
+  assert.equal(
+    ipam.normalizeAddress("2001:db8:0:0:1:0:0:1"),
+    "2001:db8::1:0:0:1"
+  );
+  assert.equal(ipam.normalizeAddress("::ffff:192.0.2.1"), "::ffff:c000:201");
+  assert.equal(ipam.normalizeAddress("::"), "::");
+  assert.equal(ipam.normalizeAddress("10.8.0.1"), "10.8.0.1");
+  assert.throws(() => ipam.normalizeAddress("10.8.0.256"), /Invalid IP/);
+});
+
+test("parses pools by their real prefix", () => {
+  const pool = ipam.parsePool("172.16.5.9/28");
+
+  assert.equal(ipam.formatAddress(pool.network, 4), "172.16.5.0");
+  assert.equal(ipam.formatAddress(pool.last, 4), "172.16.5.15");
+  assert.equal(pool.size, 16n);
+  assert.equal(ipam.networkOf("fd42::1/64"), "fd42::/64");
+});
+
+test("reserves network, broadcast and the server address", () => {
+  const reserved = (cidr) =>
+    ipam
+      .reservedIn(ipam.parsePool(cidr))
+      .map((value) => ipam.formatAddress(value, cidr.includes(":") ? 6 : 4));
+
+  assert.deepEqual(reserved("10.8.0.1/24"), [
+    "10.8.0.0",
+    "10.8.0.1",
+    "10.8.0.255",
+  ]);
+  // RFC 3021: a /31 has no network or broadcast address
+  assert.deepEqual(reserved("10.8.0.0/31"), ["10.8.0.0"]);
+  assert.deepEqual(reserved("fd42::1/64"), ["fd42::", "fd42::1"]);
+});
+
+test("hands out the lowest free address", () => {
+  const pool = ipam.parsePool("10.8.0.1/29");
+
+  assert.equal(ipam.nextFree(pool, new Set()), "10.8.0.2");
+  assert.equal(
+    ipam.nextFree(pool, new Set(["10.8.0.2", "10.8.0.4"])),
+    "10.8.0.3"
+  );
+  assert.equal(
+    ipam.nextFree(
+      pool,
+      new Set(["10.8.0.2", "10.8.0.3", "10.8.0.4", "10.8.0.5", "10.8.0.6"])
+    ),
+    null
+  );
+});
+
+test("finds a full IPv6 pool without walking it", () => {
+  const pool = ipam.parsePool("fd42::1/126");
+  assert.equal(ipam.nextFree(pool, new Set(["fd42::2", "fd42::3"])), null);
+  assert.equal(
+    ipam.nextFree(ipam.parsePool("fd42::1/64"), new Set()),
+    "fd42::2"
+  );
+});
+
+test("explains why an address cannot be assigned", () => {
+  const pool = ipam.parsePool("10.8.0.1/24");
+
+  assert.equal(ipam.checkAssignable(pool, "10.8.0.7"), null);
+  assert.equal(
+    ipam.checkAssignable(pool, "10.9.0.7"),
+    "10.9.0.7 is outside 10.8.0.0/24"
+  );
+  assert.equal(
+    ipam.checkAssignable(pool, "10.8.0.1"),
+    "10.8.0.1 is the server's own address"
+  );
+  assert.equal(
+    ipam.checkAssignable(pool, "10.8.0.255"),
+    "10.8.0.255 is the broadcast address of 10.8.0.0/24"
+  );
+  assert.equal(
+    ipam.checkAssignable(pool, "fd42::7"),
+    "fd42::7 is outside 10.8.0.0/24"
+  );
+});
+
+test("reads single hosts out of CIDRs", () => {
+  assert.equal(ipam.hostOf("10.8.0.7/32"), "10.8.0.7");
+  assert.equal(ipam.hostOf("FD42::7/128"), "fd42::7");
+  assert.equal(ipam.hostOf("10.8.0.7"), "10.8.0.7");
+  assert.equal(ipam.hostOf("10.8.0.0/24"), null);
+});
+
+test("maps server prefixes to and from an Address list", () => {
+  const server = {
+    address: "10.8.0.1/24",
+    address6: "fd42::1/64",
+    enableIPv6: true,
+  };
+
+  assert.deepEqual(ipam.serverPrefixes(server), ["10.8.0.1/24", "fd42::1/64"]);
+  assert.deepEqual(ipam.serverPrefixes({ ...server, enableIPv6: false }), [
+    "10.8.0.1/24",
+  ]);
+  assert.deepEqual(ipam.prefixFields("10.8.0.1/24, fd42::1/64"), {
+    address: "10.8.0.1/24",
+    address6: "fd42::1/64",
+    enableIPv6: true,
+  });
+  assert.deepEqual(ipam.prefixFields(["10.8.0.1/24"]), {
+    address: "10.8.0.1/24",
+    enableIPv6: false,
+  });
+});
+
+test("serializes pool sizes beyond 2^53 as strings", () => {
+  assert.equal(ipam.toJSONNumber(256n), 256);
+  assert.equal(ipam.toJSONNumber(1n << 64n), "18446744073709551616");
+});
@@ -0,0 +1,43 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const keys = require("../../server/utils/keys");
+const { isValidKey } = require("../../server/utils/validators");
+
+const base64 = (hex) => Buffer.from(hex, "hex").toString("base64");
+
+test("derives the public key from the RFC 7748 test vector", () => {
+  const privateKey = base64(
+    "77076d0a7318a57d3c16c17251b26645df4c2f87ebc0992ab177fba51db92c2a"
+  );
+  const publicKey = base64(
+    "8520f0098930a754748b7ddcb43ef75a0dbf3a0d26381af4eba4a98eaa9b4e6a"
+  );
+
+  assert.equal(keys.derivePublicKey(privateKey), publicKey);
+});
+
+test("generates clamped private keys", () => {
+  const raw = Buffer.from(keys.generatePrivateKey(), "base64");
+
+  assert.equal(raw.length, 32);
+  assert.equal(raw[0] & 7, 0);
+  assert.equal(raw[31] & 128, 0);
+  assert.equal(raw[31] & 64, 64);
+});
+
+test("generates matching, valid key pairs", () => {
+  const { privateKey, publicKey } = keys.generateKeyPair();
+
+  assert.ok(isValidKey(privateKey));
+  assert.ok(isValidKey(publicKey));
+  assert.equal(keys.derivePublicKey(privateKey), publicKey);
+  assert.notEqual(keys.generateKeyPair().privateKey, privateKey);
+});
+
+test("generates 32-byte preshared keys", () => {
+  assert.ok(isValidKey(keys.generatePresharedKey()));
+});
+
+test("rejects malformed private keys", () => {
+  assert.throws(() => keys.derivePublicKey("not-a-key"), /private key/);
+});
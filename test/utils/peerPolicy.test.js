@@ -0,0 +1,83 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  compilePeerPolicy,
+  effectiveLevel,
+  lanCIDRs,
+} = require("../../server/utils/peerPolicy");
+
+const server = {
+  address: "10.8.0.1/24",
+  address6: "fd42::1/64",
+  enableIPv6: true,
+};
+const peer = { assignedIP: "10.8.0.2", assignedIP6: "fd42::2" };
+const summary = (policy) =>
+  policy.rules.map(
+    (rule) =>
+      `${rule.action} ${rule.destinations ? rule.destinations.join(",") : "*"}`
+  );
+
+test("defaults to guest and lets admin override", () => {
+  assert.equal(effectiveLevel({}), "guest");
+  assert.equal(effectiveLevel({ accessLevel: "full", isAdmin: true }), "admin");
+});
+
+test("leaves admin peers unrestricted", () => {
+  const policy = compilePeerPolicy({ ...peer, isAdmin: true }, server);
+
+  assert.equal(policy.unrestricted, true);
+  assert.deepEqual(summary(policy), ["allow *"]);
+});
+
+test("limits restricted peers to the tunnel and their subnets", () => {
+  const policy = compilePeerPolicy(
+    {
+      ...peer,
+      accessLevel: "restricted",
+      allowedSubnets: ["192.168.5.0/24", "bogus"],
+    },
+    server
+  );
+
+  assert.equal(policy.unrestricted, false);
+  assert.deepEqual(summary(policy), [
+    "allow 10.8.0.0/24,fd42::/64",
+    "allow 192.168.5.0/24",
+    "deny *",
+  ]);
+  assert.equal(policy.ip6, "fd42::2");
+});
+
+test("keeps guests off the LAN and honours allowInternet", () => {
+  const lan = lanCIDRs().join(",");
+
+  assert.deepEqual(summary(compilePeerPolicy(peer, server)), [
+    `deny ${lan}`,
+    "allow *",
+  ]);
+  assert.deepEqual(
+    summary(compilePeerPolicy({ ...peer, allowInternet: false }, server)),
+    [`deny ${lan}`, "deny *"]
+  );
+});
+
+test("lets full peers reach the LAN only when allowed", () => {
+  const lan = lanCIDRs().join(",");
+  const full = { ...peer, accessLevel: "full" };
+
+  assert.deepEqual(summary(compilePeerPolicy(full, server)).slice(1), [
+    `deny ${lan}`,
+    "allow *",
+  ]);
+  assert.equal(
+    compilePeerPolicy({ ...full, allowLocalNetwork: true }, server)
+      .unrestricted,
+    true
+  );
+});
+
+test("drops the IPv6 source on single-stack servers", () => {
+  const policy = compilePeerPolicy(peer, { address: "10.8.0.1/24" });
+  assert.equal(policy.ip6, null);
+});
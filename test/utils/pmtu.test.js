@@ -0,0 +1,83 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const pmtu = require("../../server/utils/pmtu");
+
+test("converts between packet, payload and tunnel sizes", () => {
+  assert.equal(pmtu.payloadSize(1500, 4), 1472);
+  assert.equal(pmtu.payloadSize(1500, 6), 1452);
+  assert.equal(pmtu.tunnelMTU(1500, 4), 1440);
+  assert.equal(pmtu.tunnelMTU(1500, 6), 1420);
+});
+
+test("parses a reply with its round trip", () => {
+  const output =
+    "PING 1.1.1.1 (1.1.1.1) 1472(1500) bytes of data.\n" +
+    "1480 bytes from 1.1.1.1: icmp_seq=1 ttl=57 time=12.3 ms\n";
+
+  assert.deepEqual(pmtu.parsePingOutput(output), {
+    result: "ok",
+    rtt: 12.3,
+    reportedMTU: null,
+  });
+  assert.equal(
+    pmtu.parsePingOutput("64 bytes from ::1: icmp_seq=1 time<1 ms").rtt,
+    1
+  );
+});
+
+test("parses fragmentation needed and packet too big", () => {
+  assert.deepEqual(
+    pmtu.parsePingOutput(
+      "From 192.168.1.1 icmp_seq=1 Frag needed and DF set (mtu = 1400)"
+    ),
+    {
+      result: "frag-needed",
+      rtt: null,
+      reportedMTU: 1400,
+      from: "192.168.1.1",
+    }
+  );
+  assert.deepEqual(
+    pmtu.parsePingOutput("From fd00::1 icmp_seq=1 Packet too big: mtu=1280"),
+    {
+      result: "frag-needed",
+      rtt: null,
+      reportedMTU: 1280,
+      from: "fd00::1",
+    }
+  );
+});
+
+test("parses local refusals, unreachable hosts and silence", () => {
+  assert.deepEqual(
+    pmtu.parsePingOutput("ping: local error: message too long, mtu=1420"),
+    { result: "too-big", rtt: null, reportedMTU: 1420 }
+  );
+  assert.equal(
+    pmtu.parsePingOutput("ping: sendmsg: Message too long").reportedMTU,
+    null
+  );
+  assert.equal(
+    pmtu.parsePingOutput(
+      "From 10.0.0.1 icmp_seq=1 Destination Host Unreachable"
+    ).result,
+    "unreachable"
+  );
+  assert.equal(
+    pmtu.parsePingOutput("1 packets transmitted, 0 received").result,
+    "timeout"
+  );
+  assert.equal(pmtu.parsePingOutput(undefined).result, "timeout");
+});
+
+test("builds MTU ranges that always include the maximum", () => {
+  assert.deepEqual(pmtu.mtuRange(1400, 1500, 50), [1400, 1450, 1500]);
+  assert.deepEqual(pmtu.mtuRange(1400, 1420, 15), [1400, 1415, 1420]);
+  assert.deepEqual(pmtu.mtuRange(1500, 1500, 10), [1500]);
+});
+
+test("rejects inverted ranges and non-positive steps", () => {
+  assert.throws(() => pmtu.mtuRange(1500, 1400, 10), /Invalid MTU range/);
+  assert.throws(() => pmtu.mtuRange(1400, 1500, 0), /Invalid MTU range/);
+  assert.throws(() => pmtu.mtuRange(1400, 1500, NaN), /Invalid MTU range/);
+});
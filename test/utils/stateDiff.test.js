@@ -0,0 +1,142 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const keys = require("../../server/utils/keys");
+const {
+  fromDatabase,
+  fromConfig,
+  fromLive,
+  diffStates,
+  diffState,
+} = require("../../server/utils/stateDiff");
+
+const serverKeys = keys.generateKeyPair();
+const peerKey = keys.generateKeyPair().publicKey;
+const psk = keys.generatePresharedKey();
+
+const server = {
+  publicKey: serverKeys.publicKey,
+  listenPort: 51820,
+  mtu: 1420,
+  address: "10.8.0.1/24",
+  address6: "fd42:0:0::1/64",
+  enableIPv6: true,
+};
+const peers = [
+  {
+    publicKey: peerKey,
+    allowedIPs: ["10.8.0.2/32", "fd42::2/128"],
+    persistentKeepalive: 25,
+    presharedKey: psk,
+  },
+];
+
+const live = (overrides = {}) => ({
+  dump: {
+    interface: { publicKey: serverKeys.publicKey, listenPort: 51820 },
+    peers: [
+      {
+        publicKey: peerKey,
+        allowedIPs: ["fd42:0::2/128", "10.8.0.2/32"],
+        persistentKeepalive: 25,
+        hasPresharedKey: true,
+      },
+    ],
+    ...overrides.dump,
+  },
+  link: {
+    mtu: 1420,
+    addresses: ["10.8.0.1/24", "fd42::1/64"],
+    ...overrides.link,
+  },
+});
+
+test("is in sync when only spelling and order differ", () => {
+  const result = diffState(server, peers, live());
+
+  assert.equal(result.inSync, true);
+  assert.deepEqual(result.differences, []);
+});
+
+test("flags interface changes by what reconcile has to do", () => {
+  const result = diffState(
+    server,
+    peers,
+    live({ link: { mtu: 1380, addresses: ["10.9.0.1/24"] } })
+  );
+
+  assert.equal(result.mtu, true);
+  assert.equal(result.address, true);
+  assert.equal(result.interface, false);
+  assert.equal(result.peersChanged, false);
+});
+
+test("reports missing, extra and changed peers", () => {
+  const extraKey = keys.generateKeyPair().publicKey;
+  const result = diffState(
+    server,
+    [...peers, { ...peers[0], publicKey: extraKey }],
+    live({
+      dump: {
+        peers: [
+          {
+            publicKey: peerKey,
+            allowedIPs: ["10.8.0.2/32"],
+            persistentKeepalive: 0,
+            hasPresharedKey: false,
+          },
+          { publicKey: "stray", allowedIPs: [], persistentKeepalive: 0 },
+        ],
+      },
+    })
+  );
+
+  const kinds = result.differences.map(
+    (d) => `${d.kind}:${d.field || d.publicKey}`
+  );
+  assert.ok(kinds.includes(`missing:${extraKey}`));
+  assert.ok(kinds.includes("extra:stray"));
+  assert.ok(kinds.includes("mismatch:allowedIPs"));
+  assert.ok(kinds.includes("mismatch:persistentKeepalive"));
+  assert.ok(kinds.includes("mismatch:presharedKey"));
+  // Key values never appear in a diff
+  assert.ok(!JSON.stringify(result).includes(psk));
+});
+
+test("compares a config file with the database", () => {
+  const config = {
+    interface: {
+      PrivateKey: serverKeys.privateKey,
+      ListenPort: "51820",
+      MTU: "1420",
+      Address: "10.8.0.1/24, fd42::1/64",
+    },
+    peers: [
+      {
+        PublicKey: peerKey,
+        AllowedIPs: "10.8.0.2/32, fd42::2/128",
+        PersistentKeepalive: "25",
+        PresharedKey: psk,
+      },
+    ],
+  };
+
+  assert.deepEqual(
+    diffStates(fromDatabase(server, peers), fromConfig(config)),
+    []
+  );
+  assert.deepEqual(
+    diffStates(
+      fromDatabase(server, peers),
+      fromConfig({
+        ...config,
+        interface: { ...config.interface, PrivateKey: "bad" },
+      })
+    ).map((d) => d.field),
+    ["publicKey"]
+  );
+});
+
+test("treats an unknown live preshared key as present", () => {
+  const state = fromLive(live().dump, live().link);
+  assert.equal(state.peers[0].presharedKey, undefined);
+});
@@ -0,0 +1,35 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const stats = require("../../server/utils/stats");
+
+test("returns null for empty samples", () => {
+  assert.equal(stats.mean([]), null);
+  assert.equal(stats.percentile([], 95), null);
+  assert.equal(stats.median([]), null);
+  assert.equal(stats.jitter([5]), null);
+  assert.equal(stats.round(null), null);
+});
+
+test("averages samples", () => {
+  assert.equal(stats.mean([10, 20, 30]), 20);
+});
+
+test("interpolates percentiles between the closest ranks", () => {
+  const values = [40, 10, 30, 20];
+
+  assert.equal(stats.percentile(values, 0), 10);
+  assert.equal(stats.percentile(values, 100), 40);
+  assert.equal(stats.percentile(values, 95), 38.5);
+  assert.equal(stats.median(values), 25);
+  assert.equal(stats.median([3, 1, 2]), 2);
+  assert.deepEqual(values, [40, 10, 30, 20]);
+});
+
+test("measures jitter as the mean change between consecutive samples", () => {
+  assert.equal(stats.jitter([10, 14, 12, 12]), 2);
+});
+
+test("rounds to two decimals", () => {
+  assert.equal(stats.round(1.23456), 1.23);
+  assert.equal(stats.round(0.125), 0.13);
+});
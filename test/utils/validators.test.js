@@ -0,0 +1,55 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const validators = require("../../server/utils/validators");
+
+const KEY = "YAnz9RbsNmSb8VRfLmEQjPXOFLlRNfhVXGtKq4sXmGU=";
+
+test("accepts 32-byte base64 keys only", () => {
+  assert.equal(validators.isValidKey(KEY), true);
+  assert.equal(validators.isValidKey(KEY.slice(0, -2) + "=="), false);
+  assert.equal(validators.isValidKey(KEY.replace("Y", "$")), false);
+  // Last character before "=" must leave the trailing bits zero
+  assert.equal(validators.isValidKey(KEY.slice(0, 42) + "V="), false);
+  assert.equal(validators.isValidKey(null), false);
+});
+
+test("validates IPv4 and IPv6 addresses", () => {
+  assert.equal(validators.isValidIPv4("10.0.0.1"), true);
+  assert.equal(validators.isValidIPv4("10.0.0.256"), false);
+  assert.equal(validators.isValidIPv4("10.0.0"), false);
+  assert.equal(validators.isValidIPv6("fd00::1"), true);
+  assert.equal(validators.isValidIPv6("10.0.0.1"), false);
+  assert.equal(validators.isValidIP("fd00::1"), true);
+});
+
+test("validates host names and endpoint hosts", () => {
+  assert.equal(validators.isValidHostname("vpn.example.com"), true);
+  assert.equal(validators.isValidHostname("example.com."), true);
+  assert.equal(validators.isValidHostname("-bad.example"), false);
+  assert.equal(validators.isValidHostname("a".repeat(64) + ".com"), false);
+  assert.equal(validators.isValidHost("2001:db8::5"), true);
+  assert.equal(validators.isValidHost("1.2.3.4\nPostUp = id"), false);
+  assert.equal(validators.isValidHost("-oProxyCommand"), false);
+});
+
+test("reports the family of a CIDR", () => {
+  assert.equal(validators.cidrVersion("10.0.0.0/24"), 4);
+  assert.equal(validators.cidrVersion("fd00::/64"), 6);
+  assert.equal(validators.cidrVersion("10.0.0.0/33"), 0);
+  assert.equal(validators.cidrVersion("fd00::/129"), 0);
+  assert.equal(validators.cidrVersion("10.0.0.0"), 0);
+  assert.equal(validators.cidrVersion("10.0.0.0/24/1"), 0);
+  assert.equal(validators.isValidIPv4CIDR("fd00::/64"), false);
+  assert.equal(validators.isValidIPv6CIDR("fd00::/64"), true);
+});
+
+test("assertions return the value or throw", () => {
+  assert.equal(validators.assertInterfaceName("wg0"), "wg0");
+  assert.throws(() => validators.assertInterfaceName("eth0; rm -rf /"));
+  assert.equal(validators.assertMTU("1420"), 1420);
+  assert.throws(() => validators.assertMTU(575), /MTU/);
+  assert.equal(validators.assertBandwidth(0), 0);
+  assert.throws(() => validators.assertBandwidth(1.5), /Bandwidth/);
+  assert.throws(() => validators.assertKey("nope", "public key"), /public key/);
+  assert.throws(() => validators.assertCIDR("10.0.0.1"), /Invalid CIDR/);
+});
@@ -0,0 +1,137 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const wgConfig = require("../../server/utils/wgConfig");
+const keys = require("../../server/utils/keys");
+
+const serverKey = keys.generatePrivateKey();
+const peerKey = keys.generateKeyPair().publicKey;
+
+const TEXT = `# Hand-edited, keep this comment
+[Interface]
+Address = 10.8.0.1/24
+Address = fd42::1/64   # second address line
+ListenPort = 51820
+PrivateKey = ${serverKey}
+PostUp = iptables -A FORWARD -i %i -j ACCEPT; iptables -t nat -A POSTROUTING -o eth0 -j MASQUERADE
+PostUp = sysctl -w net.ipv4.ip_forward=1
+PostDown = iptables -D FORWARD -i %i -j ACCEPT
+Table = off
+
+[Peer]
+# laptop
+PublicKey = ${peerKey}
+AllowedIPs = 10.8.0.2/32, fd42::2/128
+PersistentKeepalive = off
+`;
+
+test("serializes a parsed file back to the same text", () => {
+  assert.equal(wgConfig.serialize(wgConfig.parse(TEXT)), TEXT);
+});
+
+test("joins list keys and keeps every hook command", () => {
+  const { interface: iface, peers } = wgConfig.flatten(wgConfig.parse(TEXT));
+
+  assert.equal(iface.Address, "10.8.0.1/24, fd42::1/64");
+  assert.deepEqual(iface.PostUp, [
+    "iptables -A FORWARD -i %i -j ACCEPT; iptables -t nat -A POSTROUTING -o eth0 -j MASQUERADE",
+    "sysctl -w net.ipv4.ip_forward=1",
+  ]);
+  assert.deepEqual(iface.PostDown, ["iptables -D FORWARD -i %i -j ACCEPT"]);
+  // Unknown keys pass through
+  assert.equal(iface.Table, "off");
+  assert.equal(peers[0].AllowedIPs, "10.8.0.2/32, fd42::2/128");
+});
+
+test("lists every problem with its line number", () => {
+  const text = [
+    "[Interface]",
+    `PrivateKey = ${serverKey}`,
+    "ListenPort = 70000",
+    "ListenPort = 51820",
+    "garbage",
+    "[Peer]",
+    "AllowedIPs = 10.8.0.2/33",
+  ].join("\n");
+
+  assert.throws(
+    () => wgConfig.parse(text),
+    (error) => {
+      assert.deepEqual(
+        error.errors.map((e) => [e.line, e.message]),
+        [
+          [3, "Invalid ListenPort: expected a port between 1 and 65535"],
+          [4, "Duplicate ListenPort in [Interface]"],
+          [5, "Expected Key = Value"],
+          [6, "[Peer] has no PublicKey"],
+          [
+            7,
+            "Invalid AllowedIPs: expected a list of addresses in CIDR notation",
+          ],
+        ]
+      );
+      return true;
+    }
+  );
+});
+
+test("leaves errors on the document when not strict", () => {
+  const doc = wgConfig.parse("[Peer]\nPublicKey = nope", { strict: false });
+
+  assert.deepEqual(
+    doc.errors.map((e) => e.message),
+    [
+      "Expected exactly one [Interface] section",
+      "Invalid PublicKey: expected a base64-encoded 32-byte key",
+    ]
+  );
+});
+
+test("edits only the lines that change", () => {
+  const doc = wgConfig.parse(TEXT);
+  const [iface] = wgConfig.getSections(doc, "Interface");
+
+  wgConfig.set(iface, "ListenPort", 51821);
+  wgConfig.set(iface, "MTU", 1380);
+  wgConfig.set(iface, "Table", null);
+  const text = wgConfig.serialize(doc);
+
+  assert.match(text, /^ListenPort = 51821$/m);
+  assert.match(text, /^Address = fd42::1\/64 {3}# second address line$/m);
+  // Appended after the last entry, ahead of the blank line
+  assert.match(text, /PostDown = .*\nMTU = 1380\n\n\[Peer\]/);
+  assert.doesNotMatch(text, /Table/);
+});
+
+test("builds new documents with separated sections", () => {
+  const doc = wgConfig.createDocument(["generated"]);
+  wgConfig.append(
+    wgConfig.addSection(doc, "Interface"),
+    "PrivateKey",
+    serverKey
+  );
+  wgConfig.append(
+    wgConfig.addSection(doc, "Peer", ["a\nname"]),
+    "PublicKey",
+    peerKey
+  );
+
+  assert.equal(
+    wgConfig.serialize(doc),
+    `# generated\n\n[Interface]\nPrivateKey = ${serverKey}\n\n# a name\n[Peer]\nPublicKey = ${peerKey}`
+  );
+});
+
+test("refuses values that would add lines of their own", () => {
+  const doc = wgConfig.parse(`[Interface]\nPrivateKey = ${serverKey}\n`);
+  const [section] = wgConfig.getSections(doc, "Interface");
+
+  assert.throws(
+    () => wgConfig.append(section, "MTU", "1420\nPostUp = id"),
+    /line breaks/
+  );
+  assert.throws(
+    () => wgConfig.set(section, "PrivateKey", "x\r\n[Peer]"),
+    /line breaks/
+  );
+  assert.equal(wgConfig.get(section, "PrivateKey"), serverKey);
+});
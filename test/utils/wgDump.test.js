@@ -0,0 +1,74 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseDump, parseEndpoint } = require("../../server/utils/wgDump");
+
+const DUMP = [
+  ["PRIVATE", "SERVERPUB", "51820", "off"],
+  [
+    "PEER1",
+    "PSK",
+    "203.0.113.5:40000",
+    "10.8.0.2/32",
+    "1700000000",
+    "1024",
+    "2048",
+    "25",
+  ],
+  [
+    "PEER2",
+    "(none)",
+    "(none)",
+    "10.8.0.3/32,fd00::3/128",
+    "0",
+    "0",
+    "0",
+    "off",
+  ],
+]
+  .map((fields) => fields.join("\t"))
+  .join("\n");
+
+test("parses IPv4, IPv6 and missing endpoints", () => {
+  assert.deepEqual(parseEndpoint("203.0.113.5:51820"), {
+    host: "203.0.113.5",
+    port: 51820,
+  });
+  assert.deepEqual(parseEndpoint("[2001:db8::1]:51820"), {
+    host: "2001:db8::1",
+    port: 51820,
+  });
+  assert.equal(parseEndpoint("(none)"), null);
+  assert.equal(parseEndpoint("no-port"), null);
+});
+
+test("drops the private key and reads the interface line", () => {
+  const { interface: iface } = parseDump(DUMP);
+
+  assert.deepEqual(iface, {
+    publicKey: "SERVERPUB",
+    listenPort: 51820,
+    fwmark: null,
+  });
+  assert.ok(!JSON.stringify(parseDump(DUMP)).includes("PRIVATE"));
+});
+
+test("reads peer counters, handshakes and allowed IPs", () => {
+  const [first, second] = parseDump(DUMP).peers;
+
+  assert.equal(first.hasPresharedKey, true);
+  assert.deepEqual(first.endpoint, { host: "203.0.113.5", port: 40000 });
+  assert.equal(first.latestHandshake.getTime(), 1700000000 * 1000);
+  assert.equal(first.received, 1024);
+  assert.equal(first.sent, 2048);
+  assert.equal(first.persistentKeepalive, 25);
+
+  assert.equal(second.hasPresharedKey, false);
+  assert.equal(second.endpoint, null);
+  assert.equal(second.latestHandshake, null);
+  assert.deepEqual(second.allowedIPs, ["10.8.0.3/32", "fd00::3/128"]);
+  assert.equal(second.persistentKeepalive, 0);
+});
+
+test("returns nothing for empty output", () => {
+  assert.deepEqual(parseDump(""), { interface: null, peers: [] });
+});